@@ -1,95 +1,167 @@
-const express = require('express');
-const { OAuth2Client } = require('google-auth-library');
-require('dotenv').config();
-const router = express.Router();
-
-// Initialize the OAuth2 client
-const oauth2Client = new OAuth2Client(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  'http://localhost:3000/auth/google/callback'
-);
-
-// Generate Google OAuth URL
-router.get('/google', (req, res) => {
-  // Generate a URL for user consent
-  const authorizeUrl = oauth2Client.generateAuthUrl({
-    access_type: 'offline',
-    scope: [
-      'https://www.googleapis.com/auth/userinfo.profile',
-      'https://www.googleapis.com/auth/userinfo.email'
-    ],
-    prompt: 'consent'
-  });
-  
+import express from 'express';
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import client from '../utils/mongodbClient.js';
+import redis from '../utils/redisClient.js';
+import { createGoogleProvider } from '../utils/authProvider.js';
+import { issueTokens, consumeRefreshToken, revokeTokens } from '../utils/authTokens.js';
+import { requireAuth, requireRole, ROLES } from '../utils/authMiddleware.js';
+import { ValidationError, UnauthorizedError, NotFoundError, UpstreamError } from '../utils/errors.js';
+
+// How long an OAuth `state` value stays valid between redirect and callback
+const OAUTH_STATE_TTL = 10 * 60;
+
+const oauthStateKey = (state) => `auth:oauth-state:${state}`;
+
+// Emails that are granted the admin role on first sign-in (bootstraps the first admin)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const usersCollection = () => client.db('database1').collection('users');
+
+/**
+ * Find or create the local user for a provider profile
+ * @param {Object} profile - {provider, providerId, email, name, picture}
+ * @returns {Promise<Object>} User document
+ */
+async function upsertUser(profile) {
+  const now = new Date();
+  const initialRole = ADMIN_EMAILS.includes((profile.email || '').toLowerCase()) ? 'admin' : 'community';
+
+  return usersCollection().findOneAndUpdate(
+    { provider: profile.provider, provider_id: profile.providerId },
+    {
+      $set: {
+        email: profile.email,
+        name: profile.name,
+        picture: profile.picture,
+        last_login_at: now
+      },
+      $setOnInsert: { role: initialRole, created_at: now }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Build the auth router
+ * @param {Object} provider - OAuth provider (see utils/authProvider.js); swap for a stub in tests
+ * @returns {Object} Express router
+ */
+export function createAuthRouter(provider = createGoogleProvider()) {
+  const router = express.Router();
+
   // Redirect the user to Google's OAuth page
-  res.redirect(authorizeUrl);
-});
-
-// Google OAuth callback route
-router.get('/google/callback', async (req, res) => {
-  try {
-    const { code } = req.query;
-    
-    // Exchange the code for tokens
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
-    
-    // Get user info
-    const response = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-      headers: {
-        Authorization: `Bearer ${tokens.access_token}`
-      }
+  router.get('/google', async (req, res) => {
+    // Random state ties the callback to this redirect (CSRF protection)
+    const state = crypto.randomBytes(16).toString('hex');
+    await redis.setex(oauthStateKey(state), OAUTH_STATE_TTL, '1');
+
+    res.redirect(provider.getAuthorizationUrl(state));
+  });
+
+  // Google OAuth callback route
+  router.get('/google/callback', async (req, res) => {
+    const { code, state } = req.query;
+
+    if (!code || !state || !(await redis.getdel(oauthStateKey(state)))) {
+      throw new ValidationError('Invalid or expired OAuth state', undefined, { code: 'INVALID_OAUTH_STATE' });
+    }
+
+    const profile = await provider.fetchProfile(code).catch(err => {
+      throw new UpstreamError('Authentication failed', { code: 'OAUTH_PROVIDER_ERROR', cause: err });
     });
-    
-    const userData = await response.json();
-    
-    // Here you would typically:
-    // 1. Check if the user exists in your database
-    // 2. If not, create a new user
-    // 3. Create a session or JWT token
-    
-    // For demonstration, sending back the user data
+    const user = await upsertUser(profile);
+    const tokens = await issueTokens({ id: user._id, email: user.email, name: user.name, role: user.role });
+
     res.json({
       success: true,
       message: 'Google authentication successful',
-      user: userData,
-      tokens: tokens
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        role: user.role
+      },
+      ...tokens
     });
-    
-    // Or redirect to frontend with token
-    // res.redirect(`http://your-frontend-url?token=${yourGeneratedJWT}`);
-    
-  } catch (error) {
-    console.error('Error in OAuth callback:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Authentication failed',
-      error: error.message
+  });
+
+  // Exchange a refresh token for a new token pair
+  router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      throw new ValidationError('Refresh token is required');
+    }
+
+    const claims = await consumeRefreshToken(refreshToken);
+    if (!claims) {
+      throw new UnauthorizedError('Invalid or expired refresh token', { code: 'INVALID_TOKEN' });
+    }
+
+    // Reload the user so role changes apply from the next refresh
+    const user = await usersCollection().findOne({ _id: new ObjectId(claims.sub) });
+    if (!user) {
+      throw new UnauthorizedError('User no longer exists', { code: 'INVALID_TOKEN' });
+    }
+
+    const tokens = await issueTokens({ id: user._id, email: user.email, name: user.name, role: user.role });
+    res.json(tokens);
+  });
+
+  // Check authentication status
+  router.get('/status', (req, res) => {
+    if (req.user) {
+      return res.json({
+        authenticated: true,
+        user: req.user
+      });
+    }
+    res.json({
+      authenticated: false
     });
-  }
-});
-
-// Check authentication status
-router.get('/status', (req, res) => {
-  if (req.isAuthenticated()) {
-    return res.json({
-      authenticated: true,
-      user: req.user
+  });
+
+  // Logout route: revoke the current access token and the given refresh token
+  router.post('/logout', requireAuth, async (req, res) => {
+    await revokeTokens(req.auth, req.body?.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
     });
-  }
-  res.json({
-    authenticated: false
   });
-});
-
-// Logout route
-router.get('/logout', (req, res) => {
-  // Clear any tokens or sessions
-  res.json({ 
-    success: true, 
-    message: 'Logged out successfully' 
+
+  // Change a user's role (admins only)
+  router.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body || {};
+
+    if (!ObjectId.isValid(id)) {
+      throw new ValidationError('Invalid user ID');
+    }
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await usersCollection().findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { role } },
+      { returnDocument: 'after', projection: { email: 1, name: 1, role: 1 } }
+    );
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json(user);
   });
-});
 
-module.exports = router;
+  return router;
+}
+
+export default createAuthRouter();
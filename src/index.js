@@ -1,12 +1,36 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { ObjectId } from 'mongodb';
 import supabase from '../utils/supabaseClient.js'; // Your Supabase client configuration
 import client, { connectToMongoDB } from '../utils/mongodbClient.js'; // MongoDB client
 import analyticsRoutes from './routes/analytics.js'; // Import analytics routes
 import aiRoutes from './routes/ai.js'; // Import AI routes
 // Add the new import for safe path routes
 import safePathRoutes from './routes/safePath.js';
+import arrestRoutes from './routes/arrests.js';
+import areaRoutes from './routes/areas.js';
+import tileRoutes from './routes/tiles.js';
+import stationRoutes from './routes/stations.js';
+import crimeTypeRoutes from './routes/crimeTypes.js';
+import { parseListParams, listQuerySchema, listFromSupabase, listFromMongo } from '../utils/listQuery.js';
+import authRoutes from '../routes/auth.js';
+import { recordAudit, AUDITED_ENTITIES } from '../utils/auditLog.js';
+import { purgeSoftDeleted, PURGEABLE_TABLES } from '../utils/softDelete.js';
+import { getCrimeTypeCatalogue, resolveCrimeType } from '../utils/crimeTypes.js';
+import { initRoutingProviders } from '../utils/routingProviders.js';
+import { toCrimeFeatureCollection } from '../utils/crimeTiles.js';
+import { SPATIAL_QUERY_PROPERTIES, parseSpatialFilters, roundDistance } from '../utils/spatialFilters.js';
+import auditRoutes, { historyHandler } from './routes/audit.js';
+import { authenticate, requireAuth, requireRole, isOwnerOrRole, STAFF_ROLES, ANALYST_ROLES } from '../utils/authMiddleware.js';
+import {
+  validateRequest, idParams, objectIdParams, objectId,
+  nonEmptyString, isoDate, latitude, longitude, recordId
+} from '../utils/requestValidation.js';
+import {
+  AppError, ValidationError, ForbiddenError, NotFoundError, UpstreamError,
+  fromSupabaseError, requestId, notFoundHandler, errorHandler
+} from '../utils/errors.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,7 +39,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 // Handle duplicated /api prefix
 app.use('/api/api', (req, res, next) => {
@@ -23,264 +48,542 @@ app.use('/api/api', (req, res, next) => {
   req.url = req.url.replace('/api', '');
   next();
 });
+// Resolve req.user from the Authorization header for every route
+app.use(authenticate);
 
 // Connect to MongoDB
 connectToMongoDB();
 
+// Load the local road graph and any other routing provider state
+initRoutingProviders();
+
 // Base route
 app.get('/', (req, res) => {
   res.send('Server is running...');
 });
 
 // Mount routes
-app.use('/api/analytics', analyticsRoutes);
-app.use('/api/ai', aiRoutes);
+app.use('/auth', authRoutes);
+// Analytics are read-only, and limited to analysts and staff
+app.use('/api/analytics', requireRole(...ANALYST_ROLES), analyticsRoutes);
+// AI features spend model quota, so they are limited to analysts and staff
+app.use('/api/ai', requireRole(...ANALYST_ROLES), aiRoutes);
 // Add the new route for safe path calculation
 app.use('/api', safePathRoutes);
+app.use('/api/arrests', arrestRoutes);
+app.use('/api/areas', areaRoutes);
+app.use('/api/tiles', tileRoutes);
+app.use('/api/stations', stationRoutes);
+app.use('/api/crime-types', crimeTypeRoutes);
+app.use('/api/audit', requireRole(...STAFF_ROLES), auditRoutes);
+
+// Per-record audit history, e.g. GET /api/criminals/:id/history
+AUDITED_ENTITIES.forEach(entity => {
+  app.get(`/api/${entity}/:id/history`, requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), historyHandler(entity));
+});
 
-// Supabase endpoints
-app.get('/api/crimes', async (req, res) => {
-  const { data, error } = await supabase.from('crimes').select('*');
-  if (error) {
-    return res.status(500).json({ error: error.message });
+// List specs for the paginated list endpoints (see utils/listQuery.js)
+const CRIMES_LIST = {
+  idField: 'crime_id',
+  sortable: { date: 'date', crime_type: 'string', crime_id: 'number' },
+  defaultSort: '-date',
+  filters: {
+    crime_type: { column: 'crime_type', op: 'in' },
+    start: { column: 'date', op: 'gte', type: 'date' },
+    end: { column: 'date', op: 'lte', type: 'date' },
+    area: { column: 'crime_locations.areas.name', op: 'eq', join: 'crime_locations!inner(areas!inner(name))' }
   }
-  res.json(data);
-});
+};
+
+const CRIMINALS_LIST = {
+  idField: 'criminal_id',
+  sortable: { criminal_id: 'number', name: 'string', age: 'number' },
+  defaultSort: 'criminal_id',
+  softDelete: 'deleted_at',
+  filters: {
+    name: { column: 'name', op: 'ilike' }
+  }
+};
+
+const VICTIMS_LIST = {
+  idField: 'victim_id',
+  sortable: { victim_id: 'number', name: 'string', age: 'number' },
+  defaultSort: 'victim_id',
+  softDelete: 'deleted_at',
+  filters: {
+    name: { column: 'name', op: 'ilike' }
+  }
+};
+
+const COMMUNITY_REPORTS_LIST = {
+  idField: '_id',
+  sortable: { timestamp: 'date', title: 'string', _id: 'objectId' },
+  defaultSort: '-timestamp',
+  softDelete: 'deleted_at',
+  filters: {
+    user_id: { column: 'user_id', op: 'eq' },
+    tags: { column: 'tags', op: 'in' },
+    start: { column: 'timestamp', op: 'gte', type: 'date' },
+    end: { column: 'timestamp', op: 'lte', type: 'date' }
+  }
+};
+
+// Request schemas (see utils/requestValidation.js)
+const PERSON_BODY = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: nonEmptyString,
+    age: { type: ['integer', 'null'], minimum: 0, maximum: 150 },
+    address: { type: ['string', 'null'] }
+  }
+};
+
+const CRIME_BODY_PROPERTIES = {
+  crimeType: nonEmptyString,
+  description: nonEmptyString,
+  date: isoDate,
+  latitude,
+  longitude,
+  areaName: nonEmptyString,
+  criminals: { type: 'array', items: recordId },
+  victims: { type: 'array', items: recordId }
+};
+
+const CREATE_CRIME_BODY = {
+  type: 'object',
+  required: ['crimeType', 'description', 'latitude', 'longitude'],
+  properties: CRIME_BODY_PROPERTIES
+};
+
+const UPDATE_CRIME_BODY = { type: 'object', properties: CRIME_BODY_PROPERTIES };
+
+const STATION_BODY_PROPERTIES = {
+  station_name: nonEmptyString,
+  address: nonEmptyString,
+  latitude,
+  longitude
+};
+
+const CREATE_STATION_BODY = {
+  type: 'object',
+  required: ['station_name', 'address', 'latitude', 'longitude'],
+  properties: STATION_BODY_PROPERTIES
+};
+
+const UPDATE_STATION_BODY = {
+  type: 'object',
+  required: ['station_name', 'address'],
+  properties: STATION_BODY_PROPERTIES
+};
+
+const REPORT_BODY_PROPERTIES = {
+  title: nonEmptyString,
+  description: nonEmptyString,
+  images: { type: 'array', items: { type: 'string' } },
+  location: { type: 'object' },
+  tags: { type: 'array', items: { type: 'string' } }
+};
+
+const CREATE_REPORT_BODY = {
+  type: 'object',
+  required: ['title', 'description'],
+  properties: REPORT_BODY_PROPERTIES
+};
+
+const UPDATE_REPORT_BODY = { type: 'object', properties: REPORT_BODY_PROPERTIES };
+
+const COMMENT_BODY = {
+  type: 'object',
+  required: ['comment'],
+  properties: { comment: nonEmptyString }
+};
+
+const CRIME_LOCATIONS_QUERY = {
+  type: 'object',
+  properties: {
+    ...SPATIAL_QUERY_PROPERTIES,
+    start: isoDate,
+    end: isoDate,
+    format: { type: 'string', enum: ['json', 'geojson'] }
+  }
+};
+
+const STATIONS_QUERY = { type: 'object', properties: SPATIAL_QUERY_PROPERTIES };
+
+const COMMENT_PARAMS = {
+  type: 'object',
+  required: ['reportId', 'commentId'],
+  properties: { reportId: objectId, commentId: objectId }
+};
+
+/**
+ * Handle a paginated Supabase list request
+ * @param {string} table - Table to list
+ * @param {Object} spec - List spec
+ * @returns {Function} Express handler responding with {data, page, total}
+ */
+function supabaseListHandler(table, spec) {
+  return async (req, res) => {
+    const params = parseListParams(req.query, spec);
+    if (params.error) {
+      throw new ValidationError(params.error);
+    }
+    if (params.includeDeleted && !STAFF_ROLES.includes(req.user?.role)) {
+      throw new ForbiddenError('Only officers and admins can list deleted records');
+    }
+
+    const result = await listFromSupabase(supabase, table, params, spec);
+    if (result.error) {
+      throw fromSupabaseError(result.error, `Failed to fetch ${table}`);
+    }
+    res.json(result);
+  };
+}
+
+/**
+ * Parse a MongoDB ObjectId from a route param (already checked by the request schema)
+ * @param {string} id - Hex ObjectId string
+ * @returns {ObjectId} ObjectId
+ */
+const toObjectId = (id) => new ObjectId(String(id));
+
+/**
+ * Fetch the current state of a row for a before/after snapshot
+ * @param {string} table - Supabase table
+ * @param {string} idField - Primary key column
+ * @param {string|number} id - Row ID
+ * @param {string} columns - Columns to select (may embed relations)
+ * @returns {Promise<Object|null>} Row, or null if it doesn't exist or can't be read
+ */
+async function fetchSnapshot(table, idField, id, columns = '*') {
+  const { data, error } = await supabase
+    .from(table)
+    .select(columns)
+    .eq(idField, id)
+    .maybeSingle();
 
-app.get('/api/criminals', async (req, res) => {
-  const { data, error } = await supabase.from('criminals').select('*');
   if (error) {
-    return res.status(500).json({ error: error.message });
+    console.error(`Error fetching ${table} snapshot for audit:`, error);
+    return null;
   }
-  res.json(data);
-});
+  return data;
+}
+
+// Supabase endpoints
+app.get('/api/crimes', validateRequest({ query: listQuerySchema(CRIMES_LIST) }), supabaseListHandler('crimes', CRIMES_LIST));
+
+app.get('/api/criminals', validateRequest({ query: listQuerySchema(CRIMINALS_LIST) }), supabaseListHandler('criminals', CRIMINALS_LIST));
+
+app.get('/api/victims', validateRequest({ query: listQuerySchema(VICTIMS_LIST) }), supabaseListHandler('victims', VICTIMS_LIST));
+
+/**
+ * Fetch crimes with their coordinates, optionally filtered by bbox/near/radius and date
+ * @param {Object|null} spatial - Arguments from parseSpatialFilters
+ * @param {Object} [dates] - {start, end}: inclusive bounds on the crime date, either optional
+ * @returns {Promise<Array>} [{crime_id, crime_type, description, date, crime_locations: {latitude, longitude}, distance_m?}]
+ */
+async function fetchCrimeLocations(spatial, { start, end } = {}) {
+  if (!spatial) {
+    let query = supabase
+      .from('crimes')
+      .select(`
+        crime_id,
+        crime_type,
+        description,
+        date,
+        crime_locations (
+          latitude,
+          longitude
+        )
+      `);
+    if (start) query = query.gte('date', start);
+    if (end) query = query.lte('date', end);
 
-app.get('/api/victims', async (req, res) => {
-  const { data, error } = await supabase.from('victims').select('*');
+    const { data, error } = await query;
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to fetch crime locations');
+    }
+    return data;
+  }
+
+  const { data, error } = await supabase.rpc('crime_locations_search', {
+    ...spatial,
+    ...(start && { p_start: start }),
+    ...(end && { p_end: end })
+  });
   if (error) {
-    return res.status(500).json({ error: error.message });
+    throw fromSupabaseError(error, 'Failed to fetch crime locations');
+  }
+
+  // Same nested shape as the unfiltered query, plus distance_m when searching near a point
+  return data.map(({ latitude, longitude, distance_m, ...crime }) => ({
+    ...crime,
+    crime_locations: { latitude, longitude },
+    ...(spatial.p_lat !== undefined && { distance_m: roundDistance(distance_m) })
+  }));
+}
+
+// GET /api/crime-locations
+// `bbox`, `near` and `radius` filter spatially (nearest first when `near` is given);
+// `start`/`end` bound the crime date (inclusive);
+// `format=geojson` returns a FeatureCollection instead of the nested rows
+app.get('/api/crime-locations', validateRequest({ query: CRIME_LOCATIONS_QUERY }), async (req, res) => {
+  const { start, end } = req.query;
+  const data = await fetchCrimeLocations(parseSpatialFilters(req.query), { start, end });
+
+  if (req.query.format === 'geojson') {
+    return res.type('application/geo+json').json(toCrimeFeatureCollection(data));
   }
   res.json(data);
 });
 
-app.get('/api/crime-locations', async (req, res) => {
-  const { data, error } = await supabase
-    .from('crimes')
-    .select(`
-      crime_id,
-      crime_type,
-      description,
-      crime_locations (
-        latitude,
-        longitude
-      )
-    `);
-  if (error) {
-    return res.status(500).json({ error: error.message });
+app.post('/api/community-reports', requireAuth, validateRequest({ body: CREATE_REPORT_BODY }), async (req, res) => {
+  const {
+    title,
+    description,
+    images = [],
+    location,
+    tags = []
+  } = req.body;
+  // Reports are always filed as the signed-in user
+  const user_id = req.user.id;
+
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
+
+  const report = {
+    title,
+    description,
+    timestamp: new Date(),
+    images,
+    location: location || {},
+    tags,
+    user_id,
+    likes: [] // Initialize empty likes array
+  };
+
+  const result = await collection.insertOne(report);
+
+  // Return the inserted report with its ID
+  res.status(201).json({
+    ...result,
+    document: report
+  });
+});
+
+// Update a community report (owner or admin only)
+app.put('/api/community-reports/:id', requireAuth, validateRequest({ params: objectIdParams, body: UPDATE_REPORT_BODY }), async (req, res) => {
+  const { title, description, images, location, tags } = req.body;
+
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
+
+  const report = await collection.findOne({ _id: toObjectId(req.params.id), deleted_at: null });
+  if (!report) {
+    throw new NotFoundError('Report not found');
   }
-  res.json(data);
+
+  if (!isOwnerOrRole(req.user, report.user_id, ['admin'])) {
+    throw new ForbiddenError('You can only edit your own reports');
+  }
+
+  // Only overwrite the fields that were provided
+  const updates = Object.fromEntries(
+    Object.entries({ title, description, images, location, tags }).filter(([, value]) => value !== undefined)
+  );
+
+  const updatedReport = await collection.findOneAndUpdate(
+    { _id: report._id },
+    { $set: { ...updates, updated_at: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  res.json(updatedReport);
 });
 
-app.get('/api/areas', async (req, res) => {
-  const { data, error } = await supabase.from('areas').select('*');
-  if (error) {
-    return res.status(500).json({ error: error.message });
+// Delete a community report (owner, officer or admin)
+app.delete('/api/community-reports/:id', requireAuth, validateRequest({ params: objectIdParams }), async (req, res) => {
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
+
+  const report = await collection.findOne({ _id: toObjectId(req.params.id), deleted_at: null });
+  if (!report) {
+    throw new NotFoundError('Report not found');
   }
-  res.json(data);
+
+  if (!isOwnerOrRole(req.user, report.user_id, STAFF_ROLES)) {
+    throw new ForbiddenError('You can only delete your own reports');
+  }
+
+  // Soft delete; the report is purged after the retention period
+  const result = await collection.updateOne(
+    { _id: report._id, deleted_at: null },
+    { $set: { deleted_at: new Date() } }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new NotFoundError('Report not found');
+  }
+  res.status(204).send(); // Successful deletion, no content
 });
 
-app.post('/api/community-reports', async (req, res) => {
-  try {
-    const { 
-      title, 
-      description, 
-      images = [], 
-      location, 
-      tags = [], 
-      user_id
-    } = req.body;
-
-    // Validation
-    if (!title || !description || !user_id) {
-      return res.status(400).json({ error: 'Title, description, and User ID are required' });
-    }
+// Restore a soft-deleted community report (owner, officer or admin)
+app.post('/api/community-reports/:id/restore', requireAuth, validateRequest({ params: objectIdParams }), async (req, res) => {
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
 
-    const database = client.db('database1');
-    const collection = database.collection('community_reports');
-    
-    const report = { 
-      title,
-      description,
-      timestamp: new Date(),
-      images,
-      location: location || {},
-      tags,
-      user_id,
-      likes: [] // Initialize empty likes array
-    };
-    
-    const result = await collection.insertOne(report);
+  const report = await collection.findOne({ _id: toObjectId(req.params.id), deleted_at: { $ne: null } });
+  if (!report) {
+    throw new NotFoundError('Deleted report not found');
+  }
 
-    // Return the inserted report with its ID
-    res.status(201).json({
-      ...result,
-      document: report
-    });
-  } catch (err) {
-    console.error('Error adding report:', err);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-app.delete('/api/community-reports/:id', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const database = client.db('database1');
-    const collection = database.collection('community_reports');
-    
-    const result = await collection.deleteOne({ _id: new ObjectId(req.params.id) });
-    
-    if (result.deletedCount === 1) {
-      res.status(204).send(); // Successful deletion, no content
-    } else {
-      res.status(404).json({ error: 'Report not found' });
-    }
-  } catch (err) {
-    console.error('Error deleting report:', err);
-    res.status(500).json({ error: err.message });
+  if (!isOwnerOrRole(req.user, report.user_id, STAFF_ROLES)) {
+    throw new ForbiddenError('You can only restore your own reports');
   }
+
+  const restoredReport = await collection.findOneAndUpdate(
+    { _id: report._id },
+    { $set: { deleted_at: null } },
+    { returnDocument: 'after' }
+  );
+
+  res.json(restoredReport);
 });
 
-// Endpoint to fetch all community reports
-app.get('/api/community-reports', async (req, res) => {
-  try {
-    const database = client.db('database1');
-    const collection = database.collection('community_reports');
-    const reports = await collection.find({}).toArray();
-    
-    res.json(reports);
-  } catch (err) {
-    console.error('Error fetching community reports:', err);
-    res.status(500).json({ error: err.message });
+// Permanently remove reports (and their comments) deleted before the retention period
+app.post('/api/community-reports/purge', requireRole('admin'), async (req, res) => {
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
+  const cutoff = getPurgeCutoff();
+
+  const expired = await collection
+    .find({ deleted_at: { $ne: null, $lt: cutoff } }, { projection: { _id: 1 } })
+    .toArray();
+  const ids = expired.map(report => report._id);
+
+  const comments = await database.collection('report_comments').deleteMany({ report_id: { $in: ids } });
+  const reports = await collection.deleteMany({ _id: { $in: ids } });
+
+  console.log(`Purged ${reports.deletedCount} community reports deleted before ${cutoff.toISOString()}`);
+  res.json({
+    message: 'Community reports purged successfully',
+    cutoff,
+    purged: reports.deletedCount,
+    commentsPurged: comments.deletedCount
+  });
+});
+
+// Endpoint to fetch community reports, paginated
+app.get('/api/community-reports', validateRequest({ query: listQuerySchema(COMMUNITY_REPORTS_LIST) }), async (req, res) => {
+  const params = parseListParams(req.query, COMMUNITY_REPORTS_LIST);
+  if (params.error) {
+    throw new ValidationError(params.error);
+  }
+  if (params.includeDeleted && !STAFF_ROLES.includes(req.user?.role)) {
+    throw new ForbiddenError('Only officers and admins can list deleted reports');
   }
+
+  const database = client.db('database1');
+  const collection = database.collection('community_reports');
+  const reports = await listFromMongo(collection, params, COMMUNITY_REPORTS_LIST);
+
+  res.json(reports);
 });
 
 // Add new victim to Supabase
-app.post('/api/victims', async (req, res) => {
-  try {
-    const { name, age, address } = req.body;
-    
-    // Validation
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    // Insert into Supabase
-    const { data, error } = await supabase
-      .from('victims')
-      .insert([{ 
-        name, 
-        age, 
-        address 
-      }])
-      .select();
-      
-    if (error) {
-      return res.status(500).json({ error: error.message });
-    }
-    
-    res.status(201).json(data);
-  } catch (err) {
-    console.error('Error adding victim:', err);
-    res.status(500).json({ error: 'Internal server error' });
+app.post('/api/victims', requireRole(...STAFF_ROLES), validateRequest({ body: PERSON_BODY }), async (req, res) => {
+  const { name, age, address } = req.body;
+
+  // Insert into Supabase
+  const { data, error } = await supabase
+    .from('victims')
+    .insert([{
+      name,
+      age,
+      address
+    }])
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to add victim');
   }
+
+  await recordAudit(req, { entity: 'victims', entityId: data[0].victim_id, action: 'create', after: data[0] });
+  res.status(201).json(data);
 });
 
 // Update a specific victim
-app.put('/api/victims/:id', async (req, res) => {
+app.put('/api/victims/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: PERSON_BODY }), async (req, res) => {
   console.log(`PUT request received at /api/victims/${req.params.id}`, req.body);
-  try {
-    const { id } = req.params;
-    const { name, age, address } = req.body;
-    
-    // Validation
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    console.log('Updating victim in Supabase:', { id, name, age, address });
-    
-    // Update in Supabase
-    const { data, error } = await supabase
-      .from('victims')
-      .update({ name, age, address })
-      .eq('victim_id', id)
-      .select();
-      
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    if (data.length === 0) {
-      return res.status(404).json({ error: 'Victim not found' });
-    }
-    
-    console.log('Victim updated successfully:', data);
-    res.json(data[0]);
-  } catch (err) {
-    console.error('Error updating victim:', err);
-    res.status(500).json({ error: 'Internal server error' });
+  const { id } = req.params;
+  const { name, age, address } = req.body;
+
+  console.log('Updating victim in Supabase:', { id, name, age, address });
+  const before = await fetchSnapshot('victims', 'victim_id', id);
+
+  // Update in Supabase
+  const { data, error } = await supabase
+    .from('victims')
+    .update({ name, age, address })
+    .eq('victim_id', id)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to update victim');
   }
+
+  if (data.length === 0) {
+    throw new NotFoundError('Victim not found');
+  }
+
+  console.log('Victim updated successfully:', data);
+  await recordAudit(req, { entity: 'victims', entityId: id, action: 'update', before, after: data[0] });
+  res.json(data[0]);
 });
 
 // Add new criminal to Supabase
-app.post('/api/criminals', async (req, res) => {
+app.post('/api/criminals', requireRole(...STAFF_ROLES), validateRequest({ body: PERSON_BODY }), async (req, res) => {
   console.log('POST request received at /api/criminals', req.body);
-  try {
-    const { name, age, address } = req.body;
-    
-    // Validation
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    console.log('Inserting criminal into Supabase:', { name, age, address });
-    // Insert into Supabase
-    const { data, error } = await supabase
-      .from('criminals')
-      .insert([{ 
-        name, 
-        age, 
-        address 
-      }])
-      .select();
-      
-    if (error) {
-      console.error('Supabase error:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    console.log('Criminal added successfully:', data);
-    res.status(201).json(data);
-  } catch (err) {
-    console.error('Error adding criminal:', err);
-    res.status(500).json({ error: 'Internal server error' });
+  const { name, age, address } = req.body;
+
+  console.log('Inserting criminal into Supabase:', { name, age, address });
+  // Insert into Supabase
+  const { data, error } = await supabase
+    .from('criminals')
+    .insert([{
+      name,
+      age,
+      address
+    }])
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to add criminal');
   }
+
+  console.log('Criminal added successfully:', data);
+  await recordAudit(req, { entity: 'criminals', entityId: data[0].criminal_id, action: 'create', after: data[0] });
+  res.status(201).json(data);
 });
 
 // Helper function for retrying Supabase operations
+// Only upstream failures are retried; client errors (bad input, conflicts) are rethrown at once
 async function retryOperation(operation, maxRetries = 3) {
   let lastError = null;
-  
+
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       console.log(`Attempt ${attempt} of ${maxRetries}`);
       return await operation();
     } catch (err) {
-      console.error(`Attempt ${attempt} failed:`, err);
+      if (err instanceof AppError && !(err instanceof UpstreamError)) {
+        throw err;
+      }
+      console.error(`Attempt ${attempt} failed:`, err.cause || err);
       lastError = err;
-      
+
       // Wait before next retry with exponential backoff
       if (attempt < maxRetries) {
         const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
@@ -289,625 +592,756 @@ async function retryOperation(operation, maxRetries = 3) {
       }
     }
   }
-  
+
   throw lastError; // All retries failed
 }
 
-// Update a specific criminal
-app.put('/api/criminals/:id', async (req, res) => {
-  console.log(`PUT request received at /api/criminals/${req.params.id}`, req.body);
-  try {
+// Days a soft-deleted row is kept before it can be purged
+const SOFT_DELETE_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+
+/**
+ * Rows soft-deleted before this date are past retention and may be purged
+ * @returns {Date} Purge cutoff
+ */
+function getPurgeCutoff() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - SOFT_DELETE_RETENTION_DAYS);
+  return cutoff;
+}
+
+/**
+ * Handle POST /api/<table>/:id/restore for a soft-deleted Supabase row
+ * @param {string} table - Table name (also the audit entity)
+ * @param {string} idField - Primary key column
+ * @param {string} label - Human-readable entity name for messages
+ * @returns {Function} Express handler
+ */
+function restoreHandler(table, idField, label) {
+  return async (req, res) => {
+    console.log(`POST request received at /api/${table}/${req.params.id}/restore`);
     const { id } = req.params;
-    const { name, age, address } = req.body;
-    
-    // Validation
-    if (!name) {
-      return res.status(400).json({ error: 'Name is required' });
-    }
-    
-    console.log('Updating criminal in Supabase:', { id, name, age, address });
-    
-    // Update in Supabase with retry
+    const before = await fetchSnapshot(table, idField, id);
+
     const data = await retryOperation(async () => {
       const { data, error } = await supabase
-        .from('criminals')
-        .update({ name, age, address })
-        .eq('criminal_id', id)
+        .from(table)
+        .update({ deleted_at: null })
+        .eq(idField, id)
+        .not('deleted_at', 'is', null)
         .select();
-        
+
       if (error) {
-        console.error('Supabase error:', error);
-        throw new Error(error.message || 'Supabase update failed');
+        throw fromSupabaseError(error, `Failed to restore ${label.toLowerCase()}`);
       }
-      
+
       return data;
     });
-    
+
     if (!data || data.length === 0) {
-      return res.status(404).json({ error: 'Criminal not found' });
+      throw new NotFoundError(`Deleted ${label.toLowerCase()} not found`);
     }
-    
-    console.log('Criminal updated successfully:', data);
-    res.json(data[0]);
-  } catch (err) {
-    console.error('Error updating criminal:', err);
-    res.status(500).json({ error: 'Internal server error: ' + err.message });
+
+    await recordAudit(req, { entity: table, entityId: id, action: 'restore', before, after: data[0] });
+    res.json({ message: `${label} restored successfully`, data: data[0] });
+  };
+}
+
+/**
+ * Handle POST /api/<table>/purge: permanently remove rows soft-deleted before the retention cutoff.
+ * Rows still linked to crimes are kept soft-deleted and reported instead of purged.
+ * @param {Object} spec - Entry of PURGEABLE_TABLES
+ * @returns {Function} Express handler
+ */
+function purgeHandler(spec) {
+  const { table, idField } = spec;
+  return async (req, res) => {
+    console.log(`POST request received at /api/${table}/purge`);
+    const cutoff = getPurgeCutoff();
+
+    const { purged, kept } = await purgeSoftDeleted(supabase, spec, cutoff);
+
+    await Promise.all(purged.map(row =>
+      recordAudit(req, { entity: table, entityId: row[idField], action: 'purge', before: row })
+    ));
+
+    console.log(`Purged ${purged.length} rows from ${table} deleted before ${cutoff.toISOString()}, kept ${kept.length} still linked to crimes`);
+    res.json({ message: 'Purge completed successfully', cutoff, purged: purged.length, kept });
+  };
+}
+
+app.post('/api/criminals/:id/restore', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), restoreHandler('criminals', 'criminal_id', 'Criminal'));
+app.post('/api/victims/:id/restore', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), restoreHandler('victims', 'victim_id', 'Victim'));
+app.post('/api/stations/:id/restore', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), restoreHandler('stations', 'station_id', 'Station'));
+
+app.post('/api/criminals/purge', requireRole('admin'), purgeHandler(PURGEABLE_TABLES.criminals));
+app.post('/api/victims/purge', requireRole('admin'), purgeHandler(PURGEABLE_TABLES.victims));
+app.post('/api/stations/purge', requireRole('admin'), purgeHandler(PURGEABLE_TABLES.stations));
+
+// Update a specific criminal
+app.put('/api/criminals/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: PERSON_BODY }), async (req, res) => {
+  console.log(`PUT request received at /api/criminals/${req.params.id}`, req.body);
+  const { id } = req.params;
+  const { name, age, address } = req.body;
+
+  console.log('Updating criminal in Supabase:', { id, name, age, address });
+  const before = await fetchSnapshot('criminals', 'criminal_id', id);
+
+  // Update in Supabase with retry
+  const data = await retryOperation(async () => {
+    const { data, error } = await supabase
+      .from('criminals')
+      .update({ name, age, address })
+      .eq('criminal_id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to update criminal');
+    }
+
+    return data;
+  });
+
+  if (!data || data.length === 0) {
+    throw new NotFoundError('Criminal not found');
   }
+
+  console.log('Criminal updated successfully:', data);
+  await recordAudit(req, { entity: 'criminals', entityId: id, action: 'update', before, after: data[0] });
+  res.json(data[0]);
 });
 
 // Delete a specific criminal
-app.delete('/api/criminals/:id', async (req, res) => {
+app.delete('/api/criminals/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), async (req, res) => {
   console.log(`DELETE request received at /api/criminals/${req.params.id}`);
-  try {
-    const { id } = req.params;
-    
-    // Delete from Supabase with retry
-    const result = await retryOperation(async () => {
-      const { data, error } = await supabase
-        .from('criminals')
-        .delete()
-        .eq('criminal_id', id)
-        .select();
-        
-      if (error) {
-        console.error('Supabase error:', error);
-        throw new Error(error.message || 'Supabase delete failed');
-      }
-      
-      return { data, count: data?.length || 0 };
-    });
-    
-    if (!result.data || result.count === 0) {
-      return res.status(404).json({ error: 'Criminal not found or already deleted' });
+  const { id } = req.params;
+  const before = await fetchSnapshot('criminals', 'criminal_id', id);
+
+  // Soft delete in Supabase with retry; the row is purged after the retention period
+  const result = await retryOperation(async () => {
+    const { data, error } = await supabase
+      .from('criminals')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('criminal_id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to delete criminal');
     }
-    
-    console.log('Criminal deleted successfully:', result.data);
-    res.status(200).json({ message: 'Criminal deleted successfully', data: result.data });
-  } catch (err) {
-    console.error('Error deleting criminal:', err);
-    res.status(500).json({ error: 'Internal server error: ' + err.message });
+
+    return { data, count: data?.length || 0 };
+  });
+
+  if (!result.data || result.count === 0) {
+    throw new NotFoundError('Criminal not found or already deleted');
   }
+
+  console.log('Criminal deleted successfully:', result.data);
+  await recordAudit(req, { entity: 'criminals', entityId: id, action: 'delete', before, after: result.data[0] });
+  res.status(200).json({ message: 'Criminal deleted successfully', data: result.data });
 });
 
 // Delete a specific victim
-app.delete('/api/victims/:id', async (req, res) => {
+app.delete('/api/victims/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), async (req, res) => {
   console.log(`DELETE request received at /api/victims/${req.params.id}`);
-  try {
-    const { id } = req.params;
-    
-    // Delete from Supabase with retry
-    const result = await retryOperation(async () => {
-      const { data, error } = await supabase
-        .from('victims')
-        .delete()
-        .eq('victim_id', id)
-        .select();
-        
-      if (error) {
-        console.error('Supabase error:', error);
-        throw new Error(error.message || 'Supabase delete failed');
-      }
-      
-      return { data, count: data?.length || 0 };
-    });
-    
-    if (!result.data || result.count === 0) {
-      return res.status(404).json({ error: 'Victim not found or already deleted' });
+  const { id } = req.params;
+  const before = await fetchSnapshot('victims', 'victim_id', id);
+
+  // Soft delete in Supabase with retry; the row is purged after the retention period
+  const result = await retryOperation(async () => {
+    const { data, error } = await supabase
+      .from('victims')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('victim_id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to delete victim');
     }
-    
-    console.log('Victim deleted successfully:', result.data);
-    res.status(200).json({ message: 'Victim deleted successfully', data: result.data });
-  } catch (err) {
-    console.error('Error deleting victim:', err);
-    res.status(500).json({ error: 'Internal server error: ' + err.message });
+
+    return { data, count: data?.length || 0 };
+  });
+
+  if (!result.data || result.count === 0) {
+    throw new NotFoundError('Victim not found or already deleted');
   }
+
+  console.log('Victim deleted successfully:', result.data);
+  await recordAudit(req, { entity: 'victims', entityId: id, action: 'delete', before, after: result.data[0] });
+  res.status(200).json({ message: 'Victim deleted successfully', data: result.data });
 });
 
+// Columns captured in crime audit snapshots, including location and links
+const CRIME_AUDIT_COLUMNS = `
+  *,
+  crime_locations (latitude, longitude, area_id),
+  crime_criminal (criminal_id),
+  crime_victim (victim_id)
+`;
+
+/**
+ * Map a crime type as entered (any case, or an alias) to its catalogue name
+ * @param {string} crimeType - crimeType from the request body
+ * @returns {Promise<string>} Canonical crime type name
+ * @throws {ValidationError} If the type is not in the catalogue
+ */
+async function canonicalCrimeType(crimeType) {
+  const type = resolveCrimeType(await getCrimeTypeCatalogue(), crimeType);
+  if (!type) {
+    throw new ValidationError('Validation failed', [
+      { location: 'body', field: 'crimeType', message: 'must be a crime type from /api/crime-types' }
+    ]);
+  }
+  return type.name;
+}
+
 // Create a new crime with related entities using transaction
-app.post('/api/crimes', async (req, res) => {
+app.post('/api/crimes', requireRole(...STAFF_ROLES), validateRequest({ body: CREATE_CRIME_BODY }), async (req, res) => {
   console.log('POST request received at /api/crimes', req.body);
-  try {
-    const { crimeType, description, date, latitude, longitude, areaName, criminals, victims } = req.body;
-    
-    // Validation
-    if (!crimeType || !description || !latitude || !longitude) {
-      return res.status(400).json({ error: 'Crime type, description, latitude, and longitude are required' });
-    }
-    
-    // Ensure criminals and victims are arrays
-    const criminalIds = Array.isArray(criminals) ? criminals : [];
-    const victimIds = Array.isArray(victims) ? victims : [];
-    
-    console.log('Processing crime insertion with transaction');
-
-    // Call the stored procedure with all data - note the reordered parameters
-    const { data, error } = await supabase.rpc('insert_crime_with_relations', {
-      p_crime_type: crimeType,
-      p_description: description,
-      p_latitude: latitude,
-      p_longitude: longitude,
-      p_date: date || new Date().toISOString(),
-      p_area_name: areaName || 'Unknown Area',
-      p_criminal_ids: criminalIds,
-      p_victim_ids: victimIds
-    });
+  const { crimeType, description, date, latitude, longitude, areaName, criminals = [], victims = [] } = req.body;
+  const canonicalType = await canonicalCrimeType(crimeType);
+
+  console.log('Processing crime insertion with transaction');
+
+  // Call the stored procedure with all data - note the reordered parameters
+  const { data, error } = await supabase.rpc('insert_crime_with_relations', {
+    p_crime_type: canonicalType,
+    p_description: description,
+    p_latitude: latitude,
+    p_longitude: longitude,
+    p_date: date || new Date().toISOString(),
+    p_area_name: areaName || 'Unknown Area',
+    p_criminal_ids: criminals,
+    p_victim_ids: victims
+  });
 
-    if (error) {
-      console.error('Transaction error:', error);
-      return res.status(500).json({ error: error.message });
-    }
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to insert crime');
+  }
 
-    console.log('Crime created successfully with transaction');
-    res.status(201).json({ 
-      message: 'Crime inserted successfully', 
-      data: data
-    });
-  } catch (err) {
-    console.error('Error inserting crime:', err);
-    res.status(500).json({ 
-      error: 'Internal server error while inserting crime: ' + err.message 
-    });
+  console.log('Crime created successfully with transaction');
+  const crimeId = data?.crime_id ?? data;
+  await recordAudit(req, {
+    entity: 'crimes',
+    entityId: crimeId,
+    action: 'create',
+    after: await fetchSnapshot('crimes', 'crime_id', crimeId, CRIME_AUDIT_COLUMNS)
+  });
+  res.status(201).json({
+    message: 'Crime inserted successfully',
+    data: data
+  });
+});
+
+// Get a single crime with its location, area, criminals and victims
+app.get('/api/crimes/:id', validateRequest({ params: idParams }), async (req, res) => {
+  const { data, error } = await supabase
+    .from('crimes')
+    .select(`
+      *,
+      crime_locations (
+        latitude,
+        longitude,
+        areas (
+          area_id,
+          name
+        )
+      ),
+      crime_criminal (
+        criminals (*)
+      ),
+      crime_victim (
+        victims (*)
+      )
+    `)
+    .eq('crime_id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Crime not found');
   }
+
+  // Flatten the join rows into plain criminal and victim lists, leaving out soft-deleted people
+  const { crime_criminal, crime_victim, ...crime } = data;
+  const isLive = person => person && !person.deleted_at;
+  res.json({
+    ...crime,
+    criminals: (crime_criminal || []).map(link => link.criminals).filter(isLive),
+    victims: (crime_victim || []).map(link => link.victims).filter(isLive)
+  });
 });
 
-// Endpoint to add a new comment to a community report
-app.post('/api/community-reports/:id/comments', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const reportId = req.params.id;
-    const { user_id, comment } = req.body;
-
-    // Validation
-    if (!comment || !user_id) {
-      return res.status(400).json({ error: 'Comment text and user ID are required' });
-    }
+// Update a crime and its relations using transaction
+// Omitted fields are left unchanged; criminals/victims arrays replace the existing links
+app.put('/api/crimes/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: UPDATE_CRIME_BODY }), async (req, res) => {
+  console.log(`PUT request received at /api/crimes/${req.params.id}`);
+  const { id } = req.params;
+  const { crimeType, description, date, latitude, longitude, areaName, criminals, victims } = req.body;
+  const canonicalType = crimeType === undefined ? null : await canonicalCrimeType(crimeType);
+
+  const before = await fetchSnapshot('crimes', 'crime_id', id, CRIME_AUDIT_COLUMNS);
+
+  const { data, error } = await supabase.rpc('update_crime_with_relations', {
+    p_crime_id: id,
+    p_crime_type: canonicalType,
+    p_description: description ?? null,
+    p_date: date ?? null,
+    p_latitude: latitude ?? null,
+    p_longitude: longitude ?? null,
+    p_area_name: areaName ?? null,
+    p_criminal_ids: criminals ?? null,
+    p_victim_ids: victims ?? null
+  });
 
-    // Validate report exists
-    const database = client.db('database1');
-    const reportsCollection = database.collection('community_reports');
-    
-    const reportExists = await reportsCollection.findOne({ _id: new ObjectId(reportId) });
-    if (!reportExists) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to update crime');
+  }
 
-    const commentsCollection = database.collection('report_comments');
-    
-    const commentDoc = {
-      report_id: new ObjectId(reportId),
-      user_id,
-      comment,
-      timestamp: new Date(),
-      parent_comment_id: null, // Root level comment
-      likes: []
-    };
-    
-    const result = await commentsCollection.insertOne(commentDoc);
+  if (!data) {
+    throw new NotFoundError('Crime not found');
+  }
 
-    // Return the created comment with its ID
-    res.status(201).json({
-      ...result,
-      document: commentDoc
-    });
-  } catch (err) {
-    console.error('Error adding comment:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
+  console.log('Crime updated successfully with transaction');
+  await recordAudit(req, {
+    entity: 'crimes',
+    entityId: id,
+    action: 'update',
+    before,
+    after: await fetchSnapshot('crimes', 'crime_id', id, CRIME_AUDIT_COLUMNS)
+  });
+  res.json(data);
+});
+
+// Delete a crime along with its criminal/victim links and orphaned location
+app.delete('/api/crimes/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), async (req, res) => {
+  console.log(`DELETE request received at /api/crimes/${req.params.id}`);
+  const before = await fetchSnapshot('crimes', 'crime_id', req.params.id, CRIME_AUDIT_COLUMNS);
+
+  const { data, error } = await supabase.rpc('delete_crime_with_relations', {
+    p_crime_id: req.params.id
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to delete crime');
   }
+
+  if (!data) {
+    throw new NotFoundError('Crime not found or already deleted');
+  }
+
+  console.log('Crime deleted successfully:', data);
+  await recordAudit(req, { entity: 'crimes', entityId: req.params.id, action: 'delete', before: before || data });
+  res.status(200).json({ message: 'Crime deleted successfully', data });
 });
 
-// Endpoint to retrieve all comments for a report (including threaded replies)
-app.get('/api/community-reports/:id/comments', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const reportId = req.params.id;
-    const database = client.db('database1');
-    const commentsCollection = database.collection('report_comments');
-    
-    const comments = await commentsCollection
-      .find({ report_id: new ObjectId(reportId) })
-      .sort({ timestamp: 1 }) // Oldest first, can change to -1 for newest first
-      .toArray();
-    
-    res.json(comments);
-  } catch (err) {
-    console.error('Error fetching comments:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
+// Endpoint to add a new comment to a community report
+app.post('/api/community-reports/:id/comments', requireAuth, validateRequest({ params: objectIdParams, body: COMMENT_BODY }), async (req, res) => {
+  const reportId = toObjectId(req.params.id);
+  const { comment } = req.body;
+  const user_id = req.user.id;
+
+  // Validate report exists
+  const database = client.db('database1');
+  const reportsCollection = database.collection('community_reports');
+
+  const reportExists = await reportsCollection.findOne({ _id: reportId, deleted_at: null });
+  if (!reportExists) {
+    throw new NotFoundError('Report not found');
   }
+
+  const commentsCollection = database.collection('report_comments');
+
+  const commentDoc = {
+    report_id: reportId,
+    user_id,
+    comment,
+    timestamp: new Date(),
+    parent_comment_id: null, // Root level comment
+    likes: []
+  };
+
+  const result = await commentsCollection.insertOne(commentDoc);
+
+  // Return the created comment with its ID
+  res.status(201).json({
+    ...result,
+    document: commentDoc
+  });
+});
+
+// Endpoint to retrieve all comments for a report (including threaded replies)
+app.get('/api/community-reports/:id/comments', validateRequest({ params: objectIdParams }), async (req, res) => {
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
+
+  const comments = await commentsCollection
+    .find({ report_id: toObjectId(req.params.id) })
+    .sort({ timestamp: 1 }) // Oldest first, can change to -1 for newest first
+    .toArray();
+
+  res.json(comments);
 });
 
 // Endpoint to add a reply to an existing comment
-app.post('/api/community-reports/:reportId/comments/:commentId/reply', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const { reportId, commentId } = req.params;
-    const { user_id, comment } = req.body;
-
-    // Validation
-    if (!comment || !user_id) {
-      return res.status(400).json({ error: 'Comment text and user ID are required' });
-    }
+app.post('/api/community-reports/:reportId/comments/:commentId/reply', requireAuth, validateRequest({ params: COMMENT_PARAMS, body: COMMENT_BODY }), async (req, res) => {
+  const { reportId, commentId } = req.params;
+  const { comment } = req.body;
+  const user_id = req.user.id;
+
+  // Validate parent comment exists
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
+
+  const parentComment = await commentsCollection.findOne({ _id: toObjectId(commentId) });
+  if (!parentComment) {
+    throw new NotFoundError('Parent comment not found');
+  }
 
-    // Validate parent comment exists
-    const database = client.db('database1');
-    const commentsCollection = database.collection('report_comments');
-    
-    const parentComment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
-    if (!parentComment) {
-      return res.status(404).json({ error: 'Parent comment not found' });
-    }
+  const replyDoc = {
+    report_id: toObjectId(reportId),
+    user_id,
+    comment,
+    timestamp: new Date(),
+    parent_comment_id: parentComment._id,
+    likes: []
+  };
+
+  const result = await commentsCollection.insertOne(replyDoc);
+
+  // Return the created reply
+  res.status(201).json({
+    ...result,
+    document: replyDoc
+  });
+});
 
-    const replyDoc = {
-      report_id: new ObjectId(reportId),
-      user_id,
-      comment,
-      timestamp: new Date(),
-      parent_comment_id: new ObjectId(commentId),
-      likes: []
-    };
-    
-    const result = await commentsCollection.insertOne(replyDoc);
+// Endpoint to edit a comment or reply (author or admin only)
+app.put('/api/community-reports/:reportId/comments/:commentId', requireAuth, validateRequest({ params: COMMENT_PARAMS, body: COMMENT_BODY }), async (req, res) => {
+  const { reportId, commentId } = req.params;
+  const { comment } = req.body;
 
-    // Return the created reply
-    res.status(201).json({
-      ...result,
-      document: replyDoc
-    });
-  } catch (err) {
-    console.error('Error adding reply:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
+
+  const existingComment = await commentsCollection.findOne({
+    _id: toObjectId(commentId),
+    report_id: toObjectId(reportId)
+  });
+  if (!existingComment) {
+    throw new NotFoundError('Comment not found');
   }
+
+  if (!isOwnerOrRole(req.user, existingComment.user_id, ['admin'])) {
+    throw new ForbiddenError('You can only edit your own comments');
+  }
+
+  const updatedComment = await commentsCollection.findOneAndUpdate(
+    { _id: existingComment._id },
+    { $set: { comment, edited_at: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  res.json(updatedComment);
 });
 
 // Endpoint to like a comment
-app.put('/api/community-reports/:reportId/comments/:commentId/like', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const { commentId } = req.params;
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+app.put('/api/community-reports/:reportId/comments/:commentId/like', requireAuth, validateRequest({ params: COMMENT_PARAMS }), async (req, res) => {
+  const commentId = toObjectId(req.params.commentId);
+  const user_id = req.user.id;
 
-    const database = client.db('database1');
-    const commentsCollection = database.collection('report_comments');
-    
-    // Add user_id to likes array if not already present
-    const result = await commentsCollection.updateOne(
-      { _id: new ObjectId(commentId), likes: { $ne: user_id } },
-      { $addToSet: { likes: user_id } }
-    );
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
+  // Add user_id to likes array if not already present
+  const result = await commentsCollection.updateOne(
+    { _id: commentId, likes: { $ne: user_id } },
+    { $addToSet: { likes: user_id } }
+  );
 
-    // Get updated comment
-    const updatedComment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
-    res.json(updatedComment);
-  } catch (err) {
-    console.error('Error liking comment:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Comment not found');
   }
+
+  // Get updated comment
+  const updatedComment = await commentsCollection.findOne({ _id: commentId });
+  res.json(updatedComment);
 });
 
 // Endpoint to unlike a comment
-app.put('/api/community-reports/:reportId/comments/:commentId/unlike', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const { commentId } = req.params;
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+app.put('/api/community-reports/:reportId/comments/:commentId/unlike', requireAuth, validateRequest({ params: COMMENT_PARAMS }), async (req, res) => {
+  const commentId = toObjectId(req.params.commentId);
+  const user_id = req.user.id;
 
-    const database = client.db('database1');
-    const commentsCollection = database.collection('report_comments');
-    
-    // Remove user_id from likes array
-    const result = await commentsCollection.updateOne(
-      { _id: new ObjectId(commentId) },
-      { $pull: { likes: user_id } }
-    );
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
+  // Remove user_id from likes array
+  const result = await commentsCollection.updateOne(
+    { _id: commentId },
+    { $pull: { likes: user_id } }
+  );
 
-    // Get updated comment
-    const updatedComment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
-    res.json(updatedComment);
-  } catch (err) {
-    console.error('Error unliking comment:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
+  if (result.matchedCount === 0) {
+    throw new NotFoundError('Comment not found');
   }
+
+  // Get updated comment
+  const updatedComment = await commentsCollection.findOne({ _id: commentId });
+  res.json(updatedComment);
 });
 
 // Endpoint to like a community report
-app.put('/api/community-reports/:id/like', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const reportId = req.params.id;
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+app.put('/api/community-reports/:id/like', requireAuth, validateRequest({ params: objectIdParams }), async (req, res) => {
+  const reportId = toObjectId(req.params.id);
+  const user_id = req.user.id;
 
-    const database = client.db('database1');
-    const reportsCollection = database.collection('community_reports');
-    
-    // Check if report exists
-    const reportExists = await reportsCollection.findOne({ _id: new ObjectId(reportId) });
-    if (!reportExists) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
-    
-    // First ensure likes field exists if not already
-    if (!reportExists.likes) {
-      await reportsCollection.updateOne(
-        { _id: new ObjectId(reportId) },
-        { $set: { likes: [] } }
-      );
-    }
-    
-    // Now add user_id to likes array if not already present
-    const result = await reportsCollection.updateOne(
-      { _id: new ObjectId(reportId) },
-      { $addToSet: { likes: user_id } }
-    );
+  const database = client.db('database1');
+  const reportsCollection = database.collection('community_reports');
 
-    // Get updated report with like count
-    const updatedReport = await reportsCollection.findOne(
-      { _id: new ObjectId(reportId) },
-      { projection: { likes: 1, title: 1, timestamp: 1 } }
+  // Check if report exists
+  const reportExists = await reportsCollection.findOne({ _id: reportId, deleted_at: null });
+  if (!reportExists) {
+    throw new NotFoundError('Report not found');
+  }
+
+  // First ensure likes field exists if not already
+  if (!reportExists.likes) {
+    await reportsCollection.updateOne(
+      { _id: reportId },
+      { $set: { likes: [] } }
     );
-    
-    res.json({
-      ...updatedReport,
-      likeCount: updatedReport.likes ? updatedReport.likes.length : 0
-    });
-  } catch (err) {
-    console.error('Error liking report:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
   }
+
+  // Now add user_id to likes array if not already present
+  await reportsCollection.updateOne(
+    { _id: reportId },
+    { $addToSet: { likes: user_id } }
+  );
+
+  // Get updated report with like count
+  const updatedReport = await reportsCollection.findOne(
+    { _id: reportId },
+    { projection: { likes: 1, title: 1, timestamp: 1 } }
+  );
+
+  res.json({
+    ...updatedReport,
+    likeCount: updatedReport.likes ? updatedReport.likes.length : 0
+  });
 });
 
 // Endpoint to unlike a community report
-app.put('/api/community-reports/:id/unlike', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const reportId = req.params.id;
-    const { user_id } = req.body;
-
-    if (!user_id) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
+app.put('/api/community-reports/:id/unlike', requireAuth, validateRequest({ params: objectIdParams }), async (req, res) => {
+  const reportId = toObjectId(req.params.id);
+  const user_id = req.user.id;
 
-    const database = client.db('database1');
-    const reportsCollection = database.collection('community_reports');
-    
-    // Check if report exists
-    const reportExists = await reportsCollection.findOne({ _id: new ObjectId(reportId) });
-    if (!reportExists) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
-    
-    // First ensure likes field exists if not already
-    if (!reportExists.likes) {
-      await reportsCollection.updateOne(
-        { _id: new ObjectId(reportId) },
-        { $set: { likes: [] } }
-      );
-    }
-    
-    // Remove user_id from likes array
-    const result = await reportsCollection.updateOne(
-      { _id: new ObjectId(reportId) },
-      { $pull: { likes: user_id } }
-    );
+  const database = client.db('database1');
+  const reportsCollection = database.collection('community_reports');
+
+  // Check if report exists
+  const reportExists = await reportsCollection.findOne({ _id: reportId, deleted_at: null });
+  if (!reportExists) {
+    throw new NotFoundError('Report not found');
+  }
 
-    // Get updated report with like count
-    const updatedReport = await reportsCollection.findOne(
-      { _id: new ObjectId(reportId) },
-      { projection: { likes: 1, title: 1, timestamp: 1 } }
+  // First ensure likes field exists if not already
+  if (!reportExists.likes) {
+    await reportsCollection.updateOne(
+      { _id: reportId },
+      { $set: { likes: [] } }
     );
-    
-    res.json({
-      ...updatedReport,
-      likeCount: updatedReport.likes ? updatedReport.likes.length : 0
-    });
-  } catch (err) {
-    console.error('Error unliking report:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
   }
+
+  // Remove user_id from likes array
+  await reportsCollection.updateOne(
+    { _id: reportId },
+    { $pull: { likes: user_id } }
+  );
+
+  // Get updated report with like count
+  const updatedReport = await reportsCollection.findOne(
+    { _id: reportId },
+    { projection: { likes: 1, title: 1, timestamp: 1 } }
+  );
+
+  res.json({
+    ...updatedReport,
+    likeCount: updatedReport.likes ? updatedReport.likes.length : 0
+  });
 });
 
 // Endpoint to get comment count for a community report
-app.get('/api/community-reports/:id/comment-count', async (req, res) => {
-  try {
-    const { ObjectId } = await import('mongodb');
-    const reportId = req.params.id;
-    const database = client.db('database1');
-    const commentsCollection = database.collection('report_comments');
-    
-    // Count all comments associated with this report
-    const commentCount = await commentsCollection.countDocuments({ 
-      report_id: new ObjectId(reportId) 
-    });
-    
-    // Return the count in a simple JSON structure
-    res.json({ 
-      report_id: reportId,
-      comment_count: commentCount
-    });
-  } catch (err) {
-    console.error('Error fetching comment count:', err);
-    res.status(500).json({ error: 'Internal server error', details: err.message });
-  }
+app.get('/api/community-reports/:id/comment-count', validateRequest({ params: objectIdParams }), async (req, res) => {
+  const reportId = req.params.id;
+  const database = client.db('database1');
+  const commentsCollection = database.collection('report_comments');
+
+  // Count all comments associated with this report
+  const commentCount = await commentsCollection.countDocuments({
+    report_id: toObjectId(reportId)
+  });
+
+  // Return the count in a simple JSON structure
+  res.json({
+    report_id: reportId,
+    comment_count: commentCount
+  });
 });
 
 // Endpoint to create a new police station
-app.post('/api/stations', async (req, res) => {
+app.post('/api/stations', requireRole(...STAFF_ROLES), validateRequest({ body: CREATE_STATION_BODY }), async (req, res) => {
   console.log('POST request received at /api/stations', req.body);
-  try {
-    const { station_name, address, latitude, longitude } = req.body;
-    
-    // Validation
-    if (!station_name || !address || !latitude || !longitude) {
-      return res.status(400).json({ 
-        error: 'Station name, address, latitude, and longitude are required' 
-      });
-    }
-    
-    console.log('Processing station insertion with location data');
-
-    // Use retry operation for better reliability
-    const result = await retryOperation(async () => {
-      // Insert directly into stations table with coordinates
-      const { data: stationData, error: stationError } = await supabase
-        .from('stations')
-        .insert({ 
-          station_name, 
-          address, 
-          latitude,
-          longitude
-        })
-        .select();
+  const { station_name, address, latitude, longitude } = req.body;
 
-      if (stationError) {
-        console.error('Station insert error:', stationError);
-        throw new Error(stationError.message);
-      }
+  console.log('Processing station insertion with location data');
 
-      const stationId = stationData[0].station_id;
-      console.log('Station processed:', stationId);
+  // Use retry operation for better reliability
+  const result = await retryOperation(async () => {
+    // Insert directly into stations table with coordinates
+    const { data: stationData, error: stationError } = await supabase
+      .from('stations')
+      .insert({
+        station_name,
+        address,
+        latitude,
+        longitude
+      })
+      .select();
 
-      // Return station data
-      return stationData[0];
-    });
+    if (stationError) {
+      throw fromSupabaseError(stationError, 'Failed to create station');
+    }
 
-    console.log('Station created successfully');
-    res.status(201).json({ 
-      message: 'Station created successfully', 
-      data: result 
-    });
-  } catch (err) {
-    console.error('Error creating station:', err);
-    res.status(500).json({ 
-      error: 'Internal server error while creating station: ' + err.message 
-    });
-  }
+    const stationId = stationData[0].station_id;
+    console.log('Station processed:', stationId);
+
+    // Return station data
+    return stationData[0];
+  });
+
+  console.log('Station created successfully');
+  await recordAudit(req, { entity: 'stations', entityId: result.station_id, action: 'create', after: result });
+  res.status(201).json({
+    message: 'Station created successfully',
+    data: result
+  });
 });
 
 // Endpoint to get all police stations
-app.get('/api/stations', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('stations')
-      .select('*');
-    
+// `bbox`, `near` and `radius` filter spatially (nearest first when `near` is given)
+app.get('/api/stations', validateRequest({ query: STATIONS_QUERY }), async (req, res) => {
+  const spatial = parseSpatialFilters(req.query);
+
+  if (spatial) {
+    const { data, error } = await supabase.rpc('stations_search', spatial);
     if (error) {
-      console.error('Error fetching stations:', error);
-      return res.status(500).json({ error: error.message });
+      throw fromSupabaseError(error, 'Failed to fetch stations');
     }
-    
-    res.json(data);
-  } catch (err) {
-    console.error('Error in stations endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    return res.json(data.map(({ station, distance_m }) => (
+      spatial.p_lat !== undefined ? { ...station, distance_m: roundDistance(distance_m) } : station
+    )));
+  }
+
+  const { data, error } = await supabase
+    .from('stations')
+    .select('*')
+    .is('deleted_at', null);
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch stations');
   }
+
+  res.json(data);
 });
 
 // Endpoint to update a police station
-app.put('/api/stations/:id', async (req, res) => {
+app.put('/api/stations/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: UPDATE_STATION_BODY }), async (req, res) => {
   console.log(`PUT request received at /api/stations/${req.params.id}`, req.body);
-  try {
-    const { id } = req.params;
-    const { station_name, address, latitude, longitude } = req.body;
-    
-    // Validation
-    if (!station_name || !address) {
-      return res.status(400).json({ error: 'Station name and address are required' });
+  const { id } = req.params;
+  const { station_name, address, latitude, longitude } = req.body;
+
+  console.log('Updating station in Supabase:', { id, station_name, address, latitude, longitude });
+  const before = await fetchSnapshot('stations', 'station_id', id);
+
+  // Update in Supabase with retry
+  const data = await retryOperation(async () => {
+    // Update all fields at once
+    const updateData = {
+      station_name,
+      address
+    };
+
+    // Only include coordinates if they were provided
+    if (latitude !== undefined) updateData.latitude = latitude;
+    if (longitude !== undefined) updateData.longitude = longitude;
+
+    // Update station with all provided fields
+    const { data, error } = await supabase
+      .from('stations')
+      .update(updateData)
+      .eq('station_id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to update station');
     }
-    
-    console.log('Updating station in Supabase:', { id, station_name, address, latitude, longitude });
-    
-    // Update in Supabase with retry
-    const result = await retryOperation(async () => {
-      // Update all fields at once
-      const updateData = { 
-        station_name, 
-        address
-      };
-      
-      // Only include coordinates if they were provided
-      if (latitude !== undefined) updateData.latitude = latitude;
-      if (longitude !== undefined) updateData.longitude = longitude;
-      
-      // Update station with all provided fields
-      const { data, error } = await supabase
-        .from('stations')
-        .update(updateData)
-        .eq('station_id', id)
-        .select();
-        
-      if (error) {
-        console.error('Station update error:', error);
-        throw new Error(error.message || 'Station update failed');
-      }
-      
-      if (!data || data.length === 0) {
-        throw new Error('Station not found');
-      }
-      
-      return data[0];
-    });
-    
-    console.log('Station updated successfully:', result);
-    res.json(result);
-  } catch (err) {
-    console.error('Error updating station:', err);
-    res.status(500).json({ error: 'Internal server error: ' + err.message });
+
+    return data;
+  });
+
+  if (!data || data.length === 0) {
+    throw new NotFoundError('Station not found');
   }
+
+  const result = data[0];
+  console.log('Station updated successfully:', result);
+  await recordAudit(req, { entity: 'stations', entityId: id, action: 'update', before, after: result });
+  res.json(result);
 });
 
 // Endpoint to delete a police station
-app.delete('/api/stations/:id', async (req, res) => {
+app.delete('/api/stations/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), async (req, res) => {
   console.log(`DELETE request received at /api/stations/${req.params.id}`);
-  try {
-    const { id } = req.params;
-    
-    // Delete from Supabase with retry
-    const result = await retryOperation(async () => {
-      // Delete the station directly
-      const { data, error } = await supabase
-        .from('stations')
-        .delete()
-        .eq('station_id', id)
-        .select();
-        
-      if (error) {
-        console.error('Station delete error:', error);
-        throw new Error(error.message || 'Station delete failed');
-      }
-      
-      return { data, count: data?.length || 0 };
-    });
-    
-    if (!result.data || result.count === 0) {
-      return res.status(404).json({ error: 'Station not found or already deleted' });
+  const { id } = req.params;
+  const before = await fetchSnapshot('stations', 'station_id', id);
+
+  // Delete from Supabase with retry
+  const result = await retryOperation(async () => {
+    // Soft delete the station; it is purged after the retention period
+    const { data, error } = await supabase
+      .from('stations')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('station_id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to delete station');
     }
-    
-    console.log('Station deleted successfully:', result.data);
-    res.status(200).json({ message: 'Station deleted successfully', data: result.data });
-  } catch (err) {
-    console.error('Error deleting station:', err);
-    res.status(500).json({ error: 'Internal server error: ' + err.message });
+
+    return { data, count: data?.length || 0 };
+  });
+
+  if (!result.data || result.count === 0) {
+    throw new NotFoundError('Station not found or already deleted');
   }
+
+  console.log('Station deleted successfully:', result.data);
+  await recordAudit(req, { entity: 'stations', entityId: id, action: 'delete', before, after: result.data[0] });
+  res.status(200).json({ message: 'Station deleted successfully', data: result.data });
 });
 
+// Unmatched routes and every error thrown above end up here
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
@@ -1,39 +1,64 @@
 import express from 'express';
 import { generateContent, generateContentFromImage } from '../../utils/geminiClient.js';
-import axios from 'axios';
 import supabase from '../../utils/supabaseClient.js';
 import redis, { getCache, setCache } from '../../utils/redisClient.js';
+import { validateRequest, nonEmptyString, positiveCount } from '../../utils/requestValidation.js';
+import { UpstreamError } from '../../utils/errors.js';
+import { fetchPredictionAnalytics } from '../../utils/analyticsDataFetcher.js';
 
 const router = express.Router();
 
-// Generate content endpoint
-router.post('/generate-content', async (req, res) => {
-  try {
-    const { prompt, systemInstruction, model } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
-    
-    const content = await generateContent(prompt, systemInstruction, model);
-    res.json({ content });
-  } catch (err) {
-    console.error('Error generating content:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Request schemas (see utils/requestValidation.js)
+const PREDICTION_OPTIONS = {
+  timeframe: positiveCount,
+  areaLimit: positiveCount
+};
+
+const GENERATE_CONTENT_BODY = {
+  type: 'object',
+  required: ['prompt'],
+  properties: {
+    prompt: nonEmptyString,
+    systemInstruction: { type: 'string' },
+    model: nonEmptyString
   }
+};
+
+const PREDICTIONS_QUERY = { type: 'object', properties: PREDICTION_OPTIONS };
+
+const PREDICT_BODY = {
+  type: 'object',
+  properties: {
+    data: { type: 'object', properties: PREDICTION_OPTIONS },
+    updateCache: { type: 'boolean' },
+    forceFresh: { type: 'boolean' }
+  }
+};
+
+const REFRESH_BODY = { type: 'object', properties: PREDICTION_OPTIONS };
+
+// Generate content endpoint
+router.post('/generate-content', validateRequest({ body: GENERATE_CONTENT_BODY }), async (req, res) => {
+  const { prompt, systemInstruction, model } = req.body;
+  
+  const content = await generateContent(prompt, systemInstruction, model).catch(err => {
+    throw new UpstreamError('AI content generation failed', { code: 'AI_SERVICE_ERROR', cause: err });
+  });
+  res.json({ content });
 });
 
 /**
  * Generate crime predictions based on analytics data
  * @param {string} timeframe - Number of days to analyze
  * @param {string} areaLimit - Number of areas to analyze
+ * @param {string} [authorization] - Caller's Authorization header, forwarded to the analytics routes
  * @returns {Object} Crime prediction data
  */
-async function generatePredictions(timeframe = '90', areaLimit = '5') {
+async function generatePredictions(timeframe = '90', areaLimit = '5', authorization) {
   console.log(`Generating crime prediction with timeframe: ${timeframe} days, analyzing top ${areaLimit} areas`);
   
   // Fetch real crime data
-  const realCrimeData = await fetchAnalyticsData(timeframe);
+  const realCrimeData = await fetchPredictionAnalytics(timeframe, authorization);
   
   // Count total crimes analyzed
   const totalCrimesAnalyzed = realCrimeData?.crimesByType?.reduce((sum, item) => sum + item.value, 0) || 
@@ -140,163 +165,84 @@ async function generatePredictions(timeframe = '90', areaLimit = '5') {
 }
 
 // GET /api/ai/cached-predictions endpoint
-router.get('/cached-predictions', async (req, res) => {
+router.get('/cached-predictions', validateRequest({ query: PREDICTIONS_QUERY }), async (req, res) => {
   const { timeframe = '90', areaLimit = '5' } = req.query;
   const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
   
-  try {
+  console.log(`Checking cache for key: ${cacheKey}`);
+  // Check if data exists in Redis cache
+  const cachedData = await getCache(cacheKey);
+  
+  if (cachedData) {
+    // Return cached data with cache indicator header
+    console.log(`Cache HIT for prediction data with timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
+    res.setHeader('X-From-Cache', 'true');
+    return res.json(cachedData);
+  }
+  
+  // If not in cache, generate new predictions
+  console.log(`Cache MISS. Generating new predictions for timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
+  const predictions = await generatePredictions(timeframe, areaLimit, req.headers.authorization);
+  
+  // Store in Redis with expiration (24 hours)
+  console.log('Storing new predictions in cache');
+  await setCache(cacheKey, predictions, 86400);
+  
+  // Return fresh data
+  res.setHeader('X-From-Cache', 'false');
+  return res.json(predictions);
+});
+
+// Modified POST /api/ai/predict-crime-patterns endpoint
+router.post('/predict-crime-patterns', validateRequest({ body: PREDICT_BODY }), async (req, res) => {
+  const { data = {}, updateCache = false, forceFresh = false } = req.body;
+  const { timeframe = '90', areaLimit = '5' } = data;
+  
+  // Check if we should use cache first (only if forceFresh is false)
+  if (!forceFresh) {
+    const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
     console.log(`Checking cache for key: ${cacheKey}`);
-    // Check if data exists in Redis cache
     const cachedData = await getCache(cacheKey);
     
     if (cachedData) {
-      // Return cached data with cache indicator header
-      console.log(`Cache HIT for prediction data with timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
+      console.log(`Cache HIT! Using cached prediction data`);
       res.setHeader('X-From-Cache', 'true');
       return res.json(cachedData);
     }
-    
-    // If not in cache, generate new predictions
-    console.log(`Cache MISS. Generating new predictions for timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
-    const predictions = await generatePredictions(timeframe, areaLimit);
-    
-    // Store in Redis with expiration (24 hours)
-    console.log('Storing new predictions in cache');
-    await setCache(cacheKey, predictions, 86400);
-    
-    // Return fresh data
-    res.setHeader('X-From-Cache', 'false');
-    return res.json(predictions);
-  } catch (error) {
-    console.error('Error fetching cached predictions:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch predictions', 
-      message: error.message 
-    });
   }
-});
-
-// Modified POST /api/ai/predict-crime-patterns endpoint
-router.post('/predict-crime-patterns', async (req, res) => {
-  try {
-    const { data = {}, updateCache = false, forceFresh = false } = req.body;
-    const { timeframe = '90', areaLimit = '5' } = data;
-    
-    // Check if we should use cache first (only if forceFresh is false)
-    if (!forceFresh) {
-      const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
-      console.log(`Checking cache for key: ${cacheKey}`);
-      const cachedData = await getCache(cacheKey);
-      
-      if (cachedData) {
-        console.log(`Cache HIT! Using cached prediction data`);
-        res.setHeader('X-From-Cache', 'true');
-        return res.json(cachedData);
-      }
-    }
-    
-    console.log(`Generating fresh crime prediction with timeframe: ${timeframe}, analyzing top ${areaLimit} areas`);
-    
-    // Generate fresh predictions
-    const predictions = await generatePredictions(timeframe, areaLimit);
-    
-    // Store in Redis if updateCache is true or we had a cache miss
-    if (updateCache || !forceFresh) {
-      const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
-      console.log(`Updating cache for key: ${cacheKey}`);
-      await setCache(cacheKey, predictions, 86400);
-    }
-    
-    res.setHeader('X-From-Cache', 'false');
-    return res.json(predictions);
-  } catch (error) {
-    console.error('Error generating predictions:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate predictions', 
-      message: error.message 
-    });
-  }
-});
-
-// Add a dedicated endpoint for refreshing predictions
-router.post('/refresh-predictions', async (req, res) => {
-  try {
-    const { timeframe = '90', areaLimit = '5' } = req.body;
-    
-    console.log(`Refreshing crime predictions for timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
-    
-    // Always generate fresh predictions
-    const predictions = await generatePredictions(timeframe, areaLimit);
-    
-    // Update the cache with the new predictions
+  
+  console.log(`Generating fresh crime prediction with timeframe: ${timeframe}, analyzing top ${areaLimit} areas`);
+  
+  // Generate fresh predictions
+  const predictions = await generatePredictions(timeframe, areaLimit, req.headers.authorization);
+  
+  // Store in Redis if updateCache is true or we had a cache miss
+  if (updateCache || !forceFresh) {
     const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
+    console.log(`Updating cache for key: ${cacheKey}`);
     await setCache(cacheKey, predictions, 86400);
-    
-    res.setHeader('X-From-Cache', 'false');
-    return res.json(predictions);
-  } catch (error) {
-    console.error('Error refreshing predictions:', error);
-    res.status(500).json({ 
-      error: 'Failed to refresh predictions', 
-      message: error.message 
-    });
   }
+  
+  res.setHeader('X-From-Cache', 'false');
+  return res.json(predictions);
 });
 
-// Helper function to fetch real analytics data
-async function fetchAnalyticsData(timeframe) {
-  try {
-    // Calculate date range
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(timeframe));
-    const formattedStart = startDate.toISOString().split('T')[0];
-    
-    // Base URL for internal API requests (use localhost since we're on the same machine)
-    const BASE_URL = 'http://localhost:3000/api';
-    
-    // Fetch data from multiple endpoints
-    const [crimesByType, crimesByArea, crimeTimeDistribution, victimAgeDistribution, criminalAgeDistribution] = 
-      await Promise.all([
-        axios.get(`${BASE_URL}/analytics/crimes-by-type?start=${formattedStart}&end=${endDate}`)
-          .then(res => res.data)
-          .catch(() => []),
-        axios.get(`${BASE_URL}/analytics/crimes-by-area?start=${formattedStart}&end=${endDate}`)
-          .then(res => res.data)
-          .catch(() => []),
-        axios.get(`${BASE_URL}/analytics/crime-time-distribution`)
-          .then(res => res.data)
-          .catch(() => []),
-        axios.get(`${BASE_URL}/analytics/victim-age-distribution`)
-          .then(res => res.data)
-          .catch(() => []),
-        axios.get(`${BASE_URL}/analytics/criminal-age-distribution`)
-          .then(res => res.data)
-          .catch(() => [])
-      ]);
-
-    return {
-      crimesByType,
-      crimesByArea,
-      crimeTimeDistribution,
-      victimAgeDistribution,
-      criminalAgeDistribution,
-      metadata: {
-        timeframeInDays: parseInt(timeframe),
-        startDate: formattedStart,
-        endDate
-      }
-    };
-  } catch (error) {
-    console.error('Error fetching analytics data:', error);
-    return {
-      metadata: {
-        error: error.message,
-        timeframeInDays: parseInt(timeframe)
-      }
-    };
-  }
-}
+// Add a dedicated endpoint for refreshing predictions
+router.post('/refresh-predictions', validateRequest({ body: REFRESH_BODY }), async (req, res) => {
+  const { timeframe = '90', areaLimit = '5' } = req.body;
+  
+  console.log(`Refreshing crime predictions for timeframe: ${timeframe}, areaLimit: ${areaLimit}`);
+  
+  // Always generate fresh predictions
+  const predictions = await generatePredictions(timeframe, areaLimit, req.headers.authorization);
+  
+  // Update the cache with the new predictions
+  const cacheKey = `crime_prediction:${timeframe}:${areaLimit}`;
+  await setCache(cacheKey, predictions, 86400);
+  
+  res.setHeader('X-From-Cache', 'false');
+  return res.json(predictions);
+});
 
 // Helper functions for data fetching
 async function fetchRecentCrimes(timeframe) {
@@ -1,412 +1,550 @@
 import { Router } from 'express';
 import supabase from '../../utils/supabaseClient.js';
+import { NON_CLEARING_DISPOSITIONS } from './arrests.js';
+import { selectPopulationForYear } from './areas.js';
+import { validateRequest, idParams, isoDate, nonEmptyString, timezone } from '../../utils/requestValidation.js';
+import { ValidationError, NotFoundError, fromSupabaseError } from '../../utils/errors.js';
+import { detectHotspots, assignHotspotsToNearestStation, HOTSPOT_ALGORITHMS } from '../../utils/hotspots.js';
+import { fetchCrimePoints } from '../../utils/crimePoints.js';
+import { DATE_PRESETS, validateDateParams, resolveBaseline, rangeDays } from '../../utils/dateRange.js';
+import { WEEKDAYS, HOUR_LABELS, toTimeMatrix, toHourlyDistribution, toAgeDistribution, compareCounts, formatWorkload } from '../../utils/analyticsResults.js';
 
 const router = Router();
 
-// Helper function for date parameter validation
-function validateDateParams(req, res) {
-  const { start, end } = req.query;
+// Query schemas (see utils/requestValidation.js)
+const DATE_RANGE_QUERY = {
+  type: 'object',
+  properties: {
+    start: isoDate,
+    end: isoDate,
+    range: { type: 'string', enum: Object.keys(DATE_PRESETS) }
+  }
+};
+
+const CRIMES_TREND_QUERY = {
+  type: 'object',
+  properties: {
+    ...DATE_RANGE_QUERY.properties,
+    granularity: { type: 'string', enum: ['day', 'week', 'month', 'quarter'] }
+  }
+};
+
+const CRIMES_VS_ARRESTS_QUERY = {
+  type: 'object',
+  properties: { ...DATE_RANGE_QUERY.properties, crimeType: nonEmptyString }
+};
+
+const TIME_DISTRIBUTION_QUERY = {
+  type: 'object',
+  properties: {
+    ...DATE_RANGE_QUERY.properties,
+    timezone,
+    crimeType: nonEmptyString,
+    area: nonEmptyString,
+    view: { type: 'string', enum: ['hourly', 'heatmap'] }
+  }
+};
+
+const COMPARE_QUERY = {
+  type: 'object',
+  required: ['dimension'],
+  properties: {
+    ...DATE_RANGE_QUERY.properties,
+    dimension: { type: 'string', enum: ['type', 'area', 'hour'] },
+    baseline: { type: 'string', enum: ['previous_period', 'previous_year'] },
+    baselineStart: isoDate,
+    baselineEnd: isoDate,
+    timezone
+  }
+};
+
+const HOTSPOTS_QUERY = {
+  type: 'object',
+  properties: {
+    ...DATE_RANGE_QUERY.properties,
+    algorithm: { type: 'string', enum: HOTSPOT_ALGORITHMS },
+    bandwidth: { type: 'number', minimum: 10, maximum: 5000 },
+    minPoints: { type: 'integer', minimum: 1, maximum: 1000 },
+    crimeType: nonEmptyString
+  }
+};
+
+const STATIONS_QUERY = {
+  type: 'object',
+  properties: {
+    ...DATE_RANGE_QUERY.properties,
+    algorithm: HOTSPOTS_QUERY.properties.algorithm,
+    bandwidth: HOTSPOTS_QUERY.properties.bandwidth
+  }
+};
+
+const STATION_QUERY = {
+  type: 'object',
+  properties: {
+    ...STATIONS_QUERY.properties,
+    granularity: CRIMES_TREND_QUERY.properties.granularity
+  }
+};
+
+const YEAR_QUERY = {
+  type: 'object',
+  properties: { year: { type: 'integer', minimum: 1800, maximum: 2200 } }
+};
+
+// Timezone used to bucket crimes by local hour/weekday when the request doesn't name one
+const DEFAULT_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+
+// Hotspot defaults: ~200 m cells, as used when routing around high-crime areas
+const DEFAULT_HOTSPOT_BANDWIDTH = 200;
+const DEFAULT_HOTSPOT_MIN_POINTS = 5;
+
+// Strongest hotspots matched to stations by the station analytics
+const STATION_HOTSPOT_LIMIT = 20;
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {string} value - e.g. 'theft,robbery'
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function splitList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Count crimes per bucket of a comparison dimension, using the same database
+ * functions as crimes-by-type, crimes-by-area and crime-time-distribution
+ * @param {string} dimension - 'type', 'area' or 'hour'
+ * @param {Object} dates - {formattedStart, formattedEnd}
+ * @param {string} timeZone - IANA timezone for the hour dimension
+ * @returns {Promise<Map>} Bucket name => crime count
+ */
+async function countByDimension(dimension, dates, timeZone) {
+  const range = { p_start: dates.formattedStart, p_end: dates.formattedEnd };
   
-  // Default to last 90 days if no date range provided
-  const endDate = end ? new Date(end) : new Date();
-  const startDate = start ? new Date(start) : new Date(endDate);
-  startDate.setDate(startDate.getDate() - 90);
+  if (dimension === 'hour') {
+    const { data, error } = await supabase.rpc('analytics_crime_time_distribution', { ...range, p_timezone: timeZone });
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to fetch crime time distribution');
+    }
+    const counts = new Map(HOUR_LABELS.map(label => [label, 0]));
+    data.forEach(({ hour, crimes }) => counts.set(HOUR_LABELS[hour], counts.get(HOUR_LABELS[hour]) + crimes));
+    return counts;
+  }
   
-  // Format dates for PostgreSQL
-  const formattedStart = startDate.toISOString().split('T')[0];
-  const formattedEnd = endDate.toISOString().split('T')[0];
+  if (dimension === 'area') {
+    const { data, error } = await supabase.rpc('analytics_crimes_by_area', range);
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to fetch crimes by area');
+    }
+    return new Map(data.map(({ name, crimes }) => [name, crimes]));
+  }
+  
+  const { data, error } = await supabase.rpc('analytics_crimes_by_type', range);
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crimes by type');
+  }
+  return new Map(data.map(({ crime_type, value }) => [crime_type, value]));
+}
+
+/**
+ * Fetch every station's workload for a date range
+ * @param {Object} dates - {formattedStart, formattedEnd}
+ * @returns {Promise<Array>} analytics_station_workload rows, busiest first
+ */
+async function fetchStationWorkload(dates) {
+  const { data, error } = await supabase.rpc('analytics_station_workload', {
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd,
+    p_non_clearing: NON_CLEARING_DISPOSITIONS
+  });
   
-  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
-    return { error: 'Invalid date format. Use YYYY-MM-DD.' };
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch station workload');
+  }
+  return data;
+}
+
+/**
+ * Detect the strongest hotspots in a date range and give each to the station
+ * nearest its centre
+ * @param {Object} dates - {formattedStart, formattedEnd}
+ * @param {Object} query - {algorithm, bandwidth}
+ * @param {Array} stations - Rows with station_id, latitude, longitude
+ * @returns {Promise<Map>} station_id => hotspot Features (with `station_id` and `distance_m` added)
+ */
+async function assignHotspotsToStations(dates, query, stations) {
+  if (!stations.some(station => station.latitude !== null && station.longitude !== null)) {
+    return new Map();
   }
   
-  return { formattedStart, formattedEnd };
+  const points = await fetchCrimePoints({ start: dates.formattedStart, end: dates.formattedEnd });
+  const hotspots = detectHotspots(points, {
+    algorithm: query.algorithm || 'grid',
+    bandwidth: query.bandwidth || DEFAULT_HOTSPOT_BANDWIDTH,
+    minPoints: DEFAULT_HOTSPOT_MIN_POINTS
+  }).slice(0, STATION_HOTSPOT_LIMIT);
+  
+  return assignHotspotsToNearestStation(hotspots, stations);
 }
 
 // GET /api/analytics/crimes-by-type
-router.get('/crimes-by-type', async (req, res) => {
-  try {
-    const dates = validateDateParams(req, res);
-    if (dates.error) {
-      return res.status(400).json({ error: dates.error });
-    }
-    
-    // Using direct SQL query instead of stored procedure
-    const { data, error } = await supabase
-      .from('crimes')
-      .select('crime_type')
-      .gte('date', dates.formattedStart)
-      .lte('date', dates.formattedEnd);
-    
-    if (error) {
-      console.error('Error fetching crimes by type:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to count by crime type
-    const counts = {};
-    data.forEach(crime => {
-      const type = crime.crime_type;
-      counts[type] = (counts[type] || 0) + 1;
-    });
-    
-    // Convert to array format for visualization
-    const result = Object.entries(counts).map(([crime_type, value]) => ({
-      crime_type,
-      value
-    })).sort((a, b) => b.value - a.value);
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crimes-by-type endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+router.get('/crimes-by-type', validateRequest({ query: DATE_RANGE_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  // Counted in the database, largest first: [{crime_type, value}]
+  const { data, error } = await supabase.rpc('analytics_crimes_by_type', {
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd
+  });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crimes by type');
   }
+  
+  res.json(data);
 });
 
 // GET /api/analytics/crimes-by-area
-router.get('/crimes-by-area', async (req, res) => {
-  try {
-    const dates = validateDateParams(req, res);
-    if (dates.error) {
-      return res.status(400).json({ error: dates.error });
-    }
-    
-    // Using direct query with joins
-    const { data, error } = await supabase
-      .from('crimes')
-      .select(`
-        crime_locations (
-          areas (
-            name
-          )
-        )
-      `)
-      .gte('date', dates.formattedStart)
-      .lte('date', dates.formattedEnd);
-    
-    if (error) {
-      console.error('Error fetching crimes by area:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to count by area
-    const counts = {};
-    data.forEach(crime => {
-      if (crime.crime_locations && crime.crime_locations.areas) {
-        const name = crime.crime_locations.areas.name;
-        counts[name] = (counts[name] || 0) + 1;
-      }
-    });
-    
-    // Convert to array format for visualization
-    const result = Object.entries(counts).map(([name, crimes]) => ({
-      name,
-      crimes
-    })).sort((a, b) => b.crimes - a.crimes);
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crimes-by-area endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+router.get('/crimes-by-area', validateRequest({ query: DATE_RANGE_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
   }
+  
+  // Counted in the database, largest first: [{name, crimes}]
+  const { data, error } = await supabase.rpc('analytics_crimes_by_area', {
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd
+  });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crimes by area');
+  }
+  
+  res.json(data);
 });
 
 // GET /api/analytics/crimes-trend
-router.get('/crimes-trend', async (req, res) => {
-  try {
-    const dates = validateDateParams(req, res);
-    if (dates.error) {
-      return res.status(400).json({ error: dates.error });
-    }
-    
-    const { data, error } = await supabase
-      .from('crimes')
-      .select('crime_type, date')
-      .gte('date', dates.formattedStart)
-      .lte('date', dates.formattedEnd);
-    
-    if (error) {
-      console.error('Error fetching crimes trend:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to group by month and crime category
-    const months = {};
-    data.forEach(crime => {
-      const date = new Date(crime.date);
-      const monthName = date.toLocaleString('en-us', { month: 'short' });
-      
-      if (!months[monthName]) {
-        months[monthName] = { name: monthName, violent: 0, property: 0, cyber: 0 };
-      }
-      
-      const category = crime.crime_type.toLowerCase();
-      if (['assault', 'robbery', 'homicide'].includes(category)) {
-        months[monthName].violent++;
-      } else if (['theft', 'burglary', 'vandalism'].includes(category)) {
-        months[monthName].property++;
-      } else if (['fraud', 'identity theft', 'cybercrime'].includes(category)) {
-        months[monthName].cyber++;
-      }
-    });
-    
-    // Sort by month order
-    const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const result = Object.values(months).sort((a, b) => 
-      monthOrder.indexOf(a.name) - monthOrder.indexOf(b.name)
-    );
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crimes-trend endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Without `granularity`, counts per calendar month name across all years:
+// [{name: 'Jan', violent, property, cyber}]. With `granularity` (day, week,
+// month or quarter), one bucket per period in the range, including empty ones:
+// [{name: '2024-Q1', periodStart: '2024-01-01', violent, property, cyber}]
+router.get('/crimes-trend', validateRequest({ query: CRIMES_TREND_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  const { granularity } = req.query;
+  const { data, error } = granularity
+    ? await supabase.rpc('analytics_crimes_trend_buckets', {
+        p_start: dates.formattedStart,
+        p_end: dates.formattedEnd,
+        p_granularity: granularity
+      })
+    : await supabase.rpc('analytics_crimes_trend', {
+        p_start: dates.formattedStart,
+        p_end: dates.formattedEnd
+      });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crimes trend');
   }
+  
+  res.json(data);
 });
 
 // GET /api/analytics/crime-time-distribution
-router.get('/crime-time-distribution', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('crimes')
-      .select('date');
-    
-    if (error) {
-      console.error('Error fetching crime time distribution:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to get hour distribution
-    const hourCounts = Array(24).fill(0);
-    data.forEach(crime => {
-      const date = new Date(crime.date);
-      const hour = date.getHours();
-      hourCounts[hour]++;
+// Crimes by local hour of day in `timezone` (default ANALYTICS_TIMEZONE or UTC).
+// `crimeType` and `area` take comma-separated lists; `view=heatmap` returns an
+// hour × weekday matrix instead of the hourly list.
+router.get('/crime-time-distribution', validateRequest({ query: TIME_DISTRIBUTION_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  const { crimeType, area, view = 'hourly' } = req.query;
+  const timeZone = req.query.timezone || DEFAULT_TIMEZONE;
+  
+  // Non-empty (weekday, hour) cells counted in the database; weekday 1 is Monday
+  const { data, error } = await supabase.rpc('analytics_crime_time_distribution', {
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd,
+    p_timezone: timeZone,
+    p_crime_types: crimeType ? splitList(crimeType) : null,
+    p_areas: area ? splitList(area) : null
+  });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime time distribution');
+  }
+  
+  const { matrix, total } = toTimeMatrix(data);
+  
+  if (view === 'heatmap') {
+    return res.json({
+      timezone: timeZone,
+      start: dates.formattedStart,
+      end: dates.formattedEnd,
+      weekdays: WEEKDAYS,
+      hours: HOUR_LABELS,
+      matrix,
+      total
     });
-    
-    const result = hourCounts.map((count, hour) => ({
-      hour: `${hour.toString().padStart(2, '0')}:00`,
-      crimes: count
-    }));
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crime-time-distribution endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
   }
+  
+  res.json(toHourlyDistribution(matrix));
 });
 
 // GET /api/analytics/crimes-vs-arrests
-router.get('/crimes-vs-arrests', async (req, res) => {
-  try {
-    const dates = validateDateParams(req, res);
-    if (dates.error) {
-      return res.status(400).json({ error: dates.error });
-    }
-    
-    // Since we may not have an arrests table, we can adapt this to directly query
-    // the crimes table and assume all crimes have a status field
-    const { data, error } = await supabase
-      .from('crimes')
-      .select('crime_type')
-      .gte('date', dates.formattedStart)
-      .lte('date', dates.formattedEnd);
-    
-    if (error) {
-      console.error('Error fetching crimes vs arrests:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to count crimes by type
-    const countByType = data.reduce((acc, crime) => {
-      const type = crime.crime_type;
-      if (!acc[type]) {
-        acc[type] = { name: type, crimes: 0, arrests: 0 };
-      }
-      acc[type].crimes++;
-      // For arrests, we would normally check a status field
-      // Here we're just estimating 30% arrests as an example
-      if (Math.random() < 0.3) {
-        acc[type].arrests++;
-      }
-      return acc;
-    }, {});
-    
-    const result = Object.values(countByType).sort((a, b) => b.crimes - a.crimes);
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crimes-vs-arrests endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Reports crimes, arrests and clearance rate (share of crimes with at least one
+// clearing arrest) per crime type. Optional `crimeType` narrows to a single type.
+router.get('/crimes-vs-arrests', validateRequest({ query: CRIMES_VS_ARRESTS_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  // Crimes, arrests and cleared crimes per type, counted in the database
+  const { data, error } = await supabase.rpc('analytics_crimes_vs_arrests', {
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd,
+    p_non_clearing: NON_CLEARING_DISPOSITIONS,
+    p_crime_type: req.query.crimeType ?? null
+  });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crimes vs arrests');
   }
+  
+  const result = data.map(type => ({
+    ...type,
+    clearanceRate: Number((type.cleared * 100.0 / type.crimes).toFixed(2))
+  }));
+  
+  res.json(result);
 });
 
-// GET /api/analytics/victim-age-distribution
-router.get('/victim-age-distribution', async (req, res) => {
-  try {
-    // Use a proper Supabase query approach instead of the join method
-    const { data: victims, error: victimError } = await supabase
-      .from('victims')
-      .select('victim_id, age');
-    
-    if (victimError) {
-      console.error('Error fetching victims:', victimError);
-      return res.status(500).json({ error: victimError.message });
-    }
+// GET /api/analytics/compare
+// Crimes per `dimension` bucket (type, area or local hour) in the current range
+// against a baseline range. Percent changes are null when the baseline is 0.
+router.get('/compare', validateRequest({ query: COMPARE_QUERY }), async (req, res) => {
+  const current = validateDateParams(req.query);
+  if (current.error) {
+    throw new ValidationError(current.error);
+  }
+  
+  const baseline = resolveBaseline(req.query, current);
+  if (baseline.error) {
+    throw new ValidationError(baseline.error);
+  }
+  
+  const { dimension } = req.query;
+  const timeZone = req.query.timezone || DEFAULT_TIMEZONE;
+  
+  const [currentCounts, baselineCounts] = await Promise.all([
+    countByDimension(dimension, current, timeZone),
+    countByDimension(dimension, baseline, timeZone)
+  ]);
+  
+  const currentDays = rangeDays(current);
+  const currentShare = currentDays / (currentDays + rangeDays(baseline));
+  
+  const names = [...new Set([...currentCounts.keys(), ...baselineCounts.keys()])];
+  const buckets = names.map(name => ({
+    name,
+    ...compareCounts(currentCounts.get(name) || 0, baselineCounts.get(name) || 0, currentShare)
+  }));
+  
+  // Hours stay in clock order; types and areas lead with the biggest swings
+  if (dimension !== 'hour') {
+    buckets.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.current - a.current);
+  }
+  
+  const sum = counts => [...counts.values()].reduce((total, count) => total + count, 0);
+  
+  res.json({
+    dimension,
+    current: { start: current.formattedStart, end: current.formattedEnd },
+    baseline: { start: baseline.formattedStart, end: baseline.formattedEnd },
+    total: compareCounts(sum(currentCounts), sum(baselineCounts), currentShare),
+    buckets
+  });
+});
 
-    // Get crime-victim associations
-    const { data: crimeVictims, error: cvError } = await supabase
-      .from('crime_victim')
-      .select('victim_id');
-    
-    if (cvError) {
-      console.error('Error fetching crime-victim relationships:', cvError);
-      return res.status(500).json({ error: cvError.message });
+// GET /api/analytics/hotspots
+// Crime hotspots as a GeoJSON FeatureCollection of polygons, strongest first.
+// `algorithm` is grid (default), kde or dbscan; `bandwidth` (metres) is the
+// cell size, kernel width or cluster radius respectively. `minPoints` is the
+// fewest crimes a grid cell or a DBSCAN core needs.
+router.get('/hotspots', validateRequest({ query: HOTSPOTS_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  const {
+    algorithm = 'grid',
+    bandwidth = DEFAULT_HOTSPOT_BANDWIDTH,
+    minPoints = DEFAULT_HOTSPOT_MIN_POINTS,
+    crimeType
+  } = req.query;
+  
+  const points = await fetchCrimePoints({
+    start: dates.formattedStart,
+    end: dates.formattedEnd,
+    crimeTypes: crimeType ? splitList(crimeType) : null
+  });
+  const features = detectHotspots(points, { algorithm, bandwidth, minPoints });
+  
+  res.json({
+    type: 'FeatureCollection',
+    features,
+    metadata: {
+      algorithm,
+      bandwidth,
+      ...(algorithm !== 'kde' && { minPoints }),
+      start: dates.formattedStart,
+      end: dates.formattedEnd,
+      crimes: points.reduce((sum, point) => sum + point.crimes, 0)
     }
+  });
+});
 
-    // Create a set of victim IDs that are associated with crimes
-    const victimIdsInCrimes = new Set(crimeVictims.map(cv => cv.victim_id));
-    
-    // Filter victims to only include those associated with crimes
-    const victimsInCrimes = victims.filter(v => victimIdsInCrimes.has(v.victim_id));
-    
-    // Process the results to get age groups
-    const ageGroups = {
-      'Under 18': 0,
-      '18-24': 0,
-      '25-34': 0,
-      '35-44': 0,
-      '45-54': 0,
-      '55+': 0
-    };
-    
-    victimsInCrimes.forEach(victim => {
-      const age = victim.age;
-      
-      if (age < 18) ageGroups['Under 18']++;
-      else if (age >= 18 && age <= 24) ageGroups['18-24']++;
-      else if (age >= 25 && age <= 34) ageGroups['25-34']++;
-      else if (age >= 35 && age <= 44) ageGroups['35-44']++;
-      else if (age >= 45 && age <= 54) ageGroups['45-54']++;
-      else ageGroups['55+']++;
-    });
-    
-    // Convert to array format
-    const result = Object.entries(ageGroups).map(([age, count]) => ({ age, count }));
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in victim-age-distribution endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// GET /api/analytics/stations
+// Workload per station, busiest first: crimes in its jurisdiction (nearest
+// station), arrests it made, open cases and how many of the strongest hotspots
+// it is nearest to.
+router.get('/stations', validateRequest({ query: STATIONS_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
   }
+  
+  const rows = await fetchStationWorkload(dates);
+  const hotspots = await assignHotspotsToStations(dates, req.query, rows);
+  
+  res.json(rows.map(row => ({
+    ...formatWorkload(row),
+    hotspots: hotspots.get(row.station_id)?.length ?? 0
+  })));
 });
 
-// GET /api/analytics/criminal-age-distribution
-router.get('/criminal-age-distribution', async (req, res) => {
-  try {
-    // Use a proper Supabase query approach instead of the join method
-    const { data: criminals, error: criminalError } = await supabase
-      .from('criminals')
-      .select('criminal_id, age');
-    
-    if (criminalError) {
-      console.error('Error fetching criminals:', criminalError);
-      return res.status(500).json({ error: criminalError.message });
-    }
+// GET /api/analytics/stations/:id
+// One station's workload with its trend per `granularity` period (default
+// month) and the hotspots it covers as a GeoJSON FeatureCollection
+router.get('/stations/:id', validateRequest({ params: idParams, query: STATION_QUERY }), async (req, res) => {
+  const dates = validateDateParams(req.query);
+  if (dates.error) {
+    throw new ValidationError(dates.error);
+  }
+  
+  // Hotspots go to their nearest station, so every station's location is needed
+  const stationId = req.params.id;
+  const stations = await fetchStationWorkload(dates);
+  const row = stations.find(station => station.station_id === stationId);
+  if (!row) {
+    throw new NotFoundError('Station not found');
+  }
+  
+  const { data: trend, error } = await supabase.rpc('analytics_station_trend', {
+    p_station_id: stationId,
+    p_start: dates.formattedStart,
+    p_end: dates.formattedEnd,
+    p_granularity: req.query.granularity || 'month'
+  });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch station trend');
+  }
+  
+  const hotspots = await assignHotspotsToStations(dates, req.query, stations);
+  
+  res.json({
+    ...formatWorkload(row),
+    latitude: row.latitude,
+    longitude: row.longitude,
+    start: dates.formattedStart,
+    end: dates.formattedEnd,
+    trend,
+    hotspots: { type: 'FeatureCollection', features: hotspots.get(stationId) || [] }
+  });
+});
 
-    // Get crime-criminal associations
-    const { data: crimeCriminals, error: ccError } = await supabase
-      .from('crime_criminal')
-      .select('criminal_id');
-    
-    if (ccError) {
-      console.error('Error fetching crime-criminal relationships:', ccError);
-      return res.status(500).json({ error: ccError.message });
-    }
+// GET /api/analytics/victim-age-distribution
+// Ages of non-deleted victims linked to at least one crime
+router.get('/victim-age-distribution', async (req, res) => {
+  const { data, error } = await supabase.rpc('analytics_victim_age_distribution');
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch victim age distribution');
+  }
+  
+  res.json(toAgeDistribution(data));
+});
 
-    // Create a set of criminal IDs that are associated with crimes
-    const criminalIdsInCrimes = new Set(crimeCriminals.map(cc => cc.criminal_id));
-    
-    // Filter criminals to only include those associated with crimes
-    const criminalsInCrimes = criminals.filter(c => criminalIdsInCrimes.has(c.criminal_id));
-    
-    // Process the results to get age groups
-    const ageGroups = {
-      'Under 18': 0,
-      '18-24': 0,
-      '25-34': 0,
-      '35-44': 0,
-      '45-54': 0,
-      '55+': 0
-    };
-    
-    criminalsInCrimes.forEach(criminal => {
-      const age = criminal.age;
-      
-      if (age < 18) ageGroups['Under 18']++;
-      else if (age >= 18 && age <= 24) ageGroups['18-24']++;
-      else if (age >= 25 && age <= 34) ageGroups['25-34']++;
-      else if (age >= 35 && age <= 44) ageGroups['35-44']++;
-      else if (age >= 45 && age <= 54) ageGroups['45-54']++;
-      else ageGroups['55+']++;
-    });
-    
-    // Convert to array format
-    const result = Object.entries(ageGroups).map(([age, count]) => ({ age, count }));
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in criminal-age-distribution endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// GET /api/analytics/criminal-age-distribution
+// Ages of non-deleted criminals linked to at least one crime
+router.get('/criminal-age-distribution', async (req, res) => {
+  const { data, error } = await supabase.rpc('analytics_criminal_age_distribution');
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch criminal age distribution');
   }
+  
+  res.json(toAgeDistribution(data));
 });
 
 // GET /api/analytics/crime-area-correlation
-router.get('/crime-area-correlation', async (req, res) => {
-  try {
-    // This is a conceptual endpoint that would need population data
-    // Instead, we'll return crime counts by area as a substitute
-    const { data, error } = await supabase
-      .from('crimes')
-      .select(`
-        crime_locations!inner (
-          areas!inner (
-            name
-          )
-        )
-      `);
-    
-    if (error) {
-      console.error('Error fetching crime area correlation:', error);
-      return res.status(500).json({ error: error.message });
-    }
-    
-    // Process the data to count crimes by area
-    const countByArea = data.reduce((acc, crime) => {
-      const areaName = crime.crime_locations.areas.name;
-      if (!acc[areaName]) {
-        acc[areaName] = {
-          name: areaName,
-          z: 0, // crime count
-          population: Math.floor(Math.random() * 100000) + 10000, // mock population
-          crimeRate: 0
-        };
-      }
-      acc[areaName].z++;
-      return acc;
-    }, {});
-    
-    // Calculate crime rates based on mock population
-    Object.values(countByArea).forEach(area => {
-      area.crimeRate = (area.z * 100000.0 / area.population).toFixed(2);
-    });
-    
-    const result = Object.values(countByArea).sort((a, b) => b.crimeRate - a.crimeRate);
-    
-    res.json(result);
-  } catch (err) {
-    console.error('Error in crime-area-correlation endpoint:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Crimes dated in `year` (defaults to the current year) per 100k residents and
+// per km² for each area, using the population figure in effect for that year.
+// Areas without crimes that year are listed with z = 0.
+router.get('/crime-area-correlation', validateRequest({ query: YEAR_QUERY }), async (req, res) => {
+  const year = req.query.year ?? new Date().getFullYear();
+  
+  // One row per area with its crime count for the year and population figures
+  const { data, error } = await supabase.rpc('analytics_crimes_per_area', { p_year: year });
+  
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime area correlation');
+  }
+  
+  const areas = data.map(area => ({ area, name: area.name, z: area.crimes }));
+  
+  // Per-capita rates are meaningless without population, so refuse rather than guess
+  const missingPopulation = areas
+    .filter(({ area }) => !selectPopulationForYear(area.area_populations, year))
+    .map(({ name }) => name);
+  
+  if (missingPopulation.length > 0) {
+    throw new ValidationError(
+      `No population data effective in ${year} for ${missingPopulation.length} area(s)`,
+      { areas: missingPopulation },
+      { status: 422, code: 'POPULATION_DATA_MISSING' }
+    );
   }
+  
+  const result = areas.map(({ area, name, z }) => {
+    const { population, effective_year } = selectPopulationForYear(area.area_populations, year);
+    const landArea = area.land_area_km2 ? Number(area.land_area_km2) : null;
+    
+    return {
+      name,
+      z,
+      population,
+      populationYear: effective_year,
+      crimeRate: population > 0 ? Number((z * 100000.0 / population).toFixed(2)) : null,
+      landArea,
+      populationDensity: landArea ? Number((population / landArea).toFixed(2)) : null,
+      crimeDensity: landArea ? Number((z / landArea).toFixed(2)) : null
+    };
+  }).sort((a, b) => (b.crimeRate ?? -Infinity) - (a.crimeRate ?? -Infinity));
+  
+  res.json(result);
 });
 
 export default router;
@@ -0,0 +1,241 @@
+import express from 'express';
+import supabase from '../../utils/supabaseClient.js';
+import { requireRole, STAFF_ROLES } from '../../utils/authMiddleware.js';
+import { NotFoundError, fromSupabaseError } from '../../utils/errors.js';
+import { validateRequest, idParams, nonEmptyString, recordId } from '../../utils/requestValidation.js';
+
+const router = express.Router();
+
+const AREA_SELECT = `
+  *,
+  area_populations (
+    effective_year,
+    population,
+    demographics
+  )
+`;
+
+/**
+ * Pick the population figure in effect for a given year
+ * @param {Array} populations - Area population rows ({effective_year, population, demographics})
+ * @param {number} year - Year the figure should apply to
+ * @returns {Object|null} Latest figure whose effective_year is not after `year`, or null
+ */
+export function selectPopulationForYear(populations, year) {
+  return (populations || [])
+    .filter(p => p.effective_year <= year)
+    .sort((a, b) => b.effective_year - a.effective_year)[0] || null;
+}
+
+/**
+ * Sort an area's population figures newest first
+ * @param {Object} area - Area row with embedded area_populations
+ * @returns {Object} Area with sorted populations
+ */
+function formatArea(area) {
+  const { area_populations: populations = [], ...rest } = area;
+  return {
+    ...rest,
+    populations: [...populations].sort((a, b) => b.effective_year - a.effective_year)
+  };
+}
+
+// Request schemas (see utils/requestValidation.js)
+// Years accepted by the area_populations.effective_year check
+const effectiveYear = { type: 'integer', minimum: 1800, maximum: 3000 };
+const population = { type: 'integer', minimum: 0 };
+// Optional demographic attributes, e.g. { "median_age": 31 }
+const demographics = { type: 'object' };
+
+const AREA_BODY_PROPERTIES = {
+  name: nonEmptyString,
+  land_area_km2: { type: ['number', 'null'], exclusiveMinimum: 0 }
+};
+
+const CREATE_AREA_BODY = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    ...AREA_BODY_PROPERTIES,
+    populations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['effective_year', 'population'],
+        properties: { effective_year: effectiveYear, population, demographics }
+      }
+    }
+  }
+};
+
+const UPDATE_AREA_BODY = { type: 'object', required: ['name'], properties: AREA_BODY_PROPERTIES };
+
+const POPULATION_PARAMS = {
+  type: 'object',
+  required: ['id', 'year'],
+  properties: { id: recordId, year: effectiveYear }
+};
+
+const POPULATION_BODY = {
+  type: 'object',
+  required: ['population'],
+  properties: { population, demographics }
+};
+
+// GET /api/areas
+router.get('/', async (req, res) => {
+  const { data, error } = await supabase.from('areas').select(AREA_SELECT);
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch areas');
+  }
+  res.json(data.map(formatArea));
+});
+
+// GET /api/areas/:id
+router.get('/:id', validateRequest({ params: idParams }), async (req, res) => {
+  const { data, error } = await supabase
+    .from('areas')
+    .select(AREA_SELECT)
+    .eq('area_id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch area');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Area not found');
+  }
+
+  res.json(formatArea(data));
+});
+
+// POST /api/areas
+router.post('/', requireRole(...STAFF_ROLES), validateRequest({ body: CREATE_AREA_BODY }), async (req, res) => {
+  console.log('POST request received at /api/areas');
+  const { name, land_area_km2, populations = [] } = req.body;
+
+  // Area and population figures are created in one transaction
+  const { data, error } = await supabase.rpc('create_area_with_populations', {
+    p_name: name,
+    p_land_area_km2: land_area_km2 ?? null,
+    p_populations: populations
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to create area');
+  }
+
+  res.status(201).json({
+    message: 'Area created successfully',
+    data
+  });
+});
+
+// PUT /api/areas/:id
+router.put('/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: UPDATE_AREA_BODY }), async (req, res) => {
+  console.log(`PUT request received at /api/areas/${req.params.id}`);
+  const { id } = req.params;
+  const { name, land_area_km2 } = req.body;
+
+  const updateData = { name };
+  // Only touch land area if it was provided
+  if (land_area_km2 !== undefined) updateData.land_area_km2 = land_area_km2;
+
+  const { data, error } = await supabase
+    .from('areas')
+    .update(updateData)
+    .eq('area_id', id)
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to update area');
+  }
+
+  if (data.length === 0) {
+    throw new NotFoundError('Area not found');
+  }
+
+  res.json(data[0]);
+});
+
+// DELETE /api/areas/:id
+router.delete('/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams }), async (req, res) => {
+  console.log(`DELETE request received at /api/areas/${req.params.id}`);
+  const { data, error } = await supabase
+    .from('areas')
+    .delete()
+    .eq('area_id', req.params.id)
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to delete area');
+  }
+
+  if (data.length === 0) {
+    throw new NotFoundError('Area not found or already deleted');
+  }
+
+  res.status(200).json({ message: 'Area deleted successfully', data });
+});
+
+// PUT /api/areas/:id/populations/:year
+// Creates or replaces the population figure effective from the given year
+router.put('/:id/populations/:year', requireRole(...STAFF_ROLES), validateRequest({ params: POPULATION_PARAMS, body: POPULATION_BODY }), async (req, res) => {
+  console.log(`PUT request received at /api/areas/${req.params.id}/populations/${req.params.year}`);
+  const { id, year } = req.params;
+  const { population, demographics } = req.body;
+
+  const { data: area, error: areaError } = await supabase
+    .from('areas')
+    .select('area_id')
+    .eq('area_id', id)
+    .maybeSingle();
+
+  if (areaError) {
+    throw fromSupabaseError(areaError, 'Failed to fetch area');
+  }
+
+  if (!area) {
+    throw new NotFoundError('Area not found');
+  }
+
+  const { data, error } = await supabase
+    .from('area_populations')
+    .upsert({
+      area_id: area.area_id,
+      effective_year: year,
+      population,
+      demographics: demographics || {}
+    })
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to save area population');
+  }
+
+  res.json(data[0]);
+});
+
+// DELETE /api/areas/:id/populations/:year
+router.delete('/:id/populations/:year', requireRole(...STAFF_ROLES), validateRequest({ params: POPULATION_PARAMS }), async (req, res) => {
+  console.log(`DELETE request received at /api/areas/${req.params.id}/populations/${req.params.year}`);
+  const { data, error } = await supabase
+    .from('area_populations')
+    .delete()
+    .eq('area_id', req.params.id)
+    .eq('effective_year', req.params.year)
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to delete area population');
+  }
+
+  if (data.length === 0) {
+    throw new NotFoundError('Population figure not found');
+  }
+
+  res.status(200).json({ message: 'Population figure deleted successfully', data });
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from 'express';
+import supabase from '../../utils/supabaseClient.js';
+import { requireRole, STAFF_ROLES } from '../../utils/authMiddleware.js';
+import { NotFoundError, fromSupabaseError } from '../../utils/errors.js';
+import { validateRequest, idParams, isoDate, recordId } from '../../utils/requestValidation.js';
+
+const router = express.Router();
+
+// Allowed values for the arrests.disposition column
+export const ARREST_DISPOSITIONS = ['pending', 'charged', 'released', 'convicted', 'acquitted', 'dismissed'];
+
+// Dispositions that do not clear the crime (suspect let go without charge)
+export const NON_CLEARING_DISPOSITIONS = ['released'];
+
+const ARREST_SELECT = `
+  arrest_id,
+  crime_id,
+  station_id,
+  arrest_date,
+  disposition,
+  created_at,
+  arrest_criminal (
+    criminal_id
+  )
+`;
+
+/**
+ * Flatten the arrest_criminal join rows into a list of criminal IDs
+ * @param {Object} arrest - Arrest row with embedded arrest_criminal rows
+ * @returns {Object} Arrest with a `criminals` array of IDs
+ */
+function formatArrest(arrest) {
+  const { arrest_criminal: links = [], ...rest } = arrest;
+  return {
+    ...rest,
+    criminals: links.map(link => link.criminal_id)
+  };
+}
+
+// Request schemas (see utils/requestValidation.js)
+const ARREST_BODY_PROPERTIES = {
+  crimeId: recordId,
+  arrestDate: isoDate,
+  stationId: recordId,
+  disposition: { type: 'string', enum: ARREST_DISPOSITIONS },
+  criminals: { type: 'array', items: recordId, minItems: 1 }
+};
+
+const CREATE_ARREST_BODY = {
+  type: 'object',
+  required: ['crimeId', 'criminals'],
+  properties: ARREST_BODY_PROPERTIES
+};
+
+const UPDATE_ARREST_BODY = { type: 'object', properties: ARREST_BODY_PROPERTIES };
+
+const ARRESTS_QUERY = {
+  type: 'object',
+  properties: {
+    crimeId: recordId,
+    stationId: recordId,
+    disposition: { type: 'string', enum: ARREST_DISPOSITIONS }
+  }
+};
+
+// GET /api/arrests
+router.get('/', validateRequest({ query: ARRESTS_QUERY }), async (req, res) => {
+  const { crimeId, stationId, disposition } = req.query;
+
+  let query = supabase
+    .from('arrests')
+    .select(ARREST_SELECT)
+    .order('arrest_date', { ascending: false });
+
+  if (crimeId) query = query.eq('crime_id', crimeId);
+  if (stationId) query = query.eq('station_id', stationId);
+  if (disposition) query = query.eq('disposition', disposition);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch arrests');
+  }
+
+  res.json(data.map(formatArrest));
+});
+
+// GET /api/arrests/:id
+router.get('/:id', validateRequest({ params: idParams }), async (req, res) => {
+  const { data, error } = await supabase
+    .from('arrests')
+    .select(ARREST_SELECT)
+    .eq('arrest_id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch arrest');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Arrest not found');
+  }
+
+  res.json(formatArrest(data));
+});
+
+// POST /api/arrests
+// Creates the arrest and its criminal links in one transaction
+router.post('/', requireRole(...STAFF_ROLES), validateRequest({ body: CREATE_ARREST_BODY }), async (req, res) => {
+  console.log('POST request received at /api/arrests');
+  const { crimeId, arrestDate, stationId, disposition, criminals } = req.body;
+
+  const { data, error } = await supabase.rpc('insert_arrest_with_relations', {
+    p_crime_id: crimeId,
+    p_arrest_date: arrestDate || new Date().toISOString(),
+    p_station_id: stationId || null,
+    p_disposition: disposition || 'pending',
+    p_criminal_ids: criminals
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to create arrest');
+  }
+
+  console.log('Arrest created successfully with transaction');
+  res.status(201).json({
+    message: 'Arrest created successfully',
+    data
+  });
+});
+
+// PUT /api/arrests/:id
+// Omitted fields are left unchanged; a `criminals` array replaces the existing links
+router.put('/:id', requireRole(...STAFF_ROLES), validateRequest({ params: idParams, body: UPDATE_ARREST_BODY }), async (req, res) => {
+  console.log(`PUT request received at /api/arrests/${req.params.id}`);
+  const { id } = req.params;
+  const { crimeId, arrestDate, stationId, disposition, criminals } = req.body;
+
+  const { data, error } = await supabase.rpc('update_arrest_with_relations', {
+    p_arrest_id: id,
+    p_crime_id: crimeId ?? null,
+    p_arrest_date: arrestDate ?? null,
+    p_station_id: stationId ?? null,
+    p_disposition: disposition ?? null,
+    p_criminal_ids: criminals ?? null
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to update arrest');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Arrest not found');
+  }
+
+  console.log('Arrest updated successfully:', data);
+  res.json(data);
+});
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { auditCollection, AUDITED_ENTITIES } from '../../utils/auditLog.js';
+import { parseListParams, listFromMongo } from '../../utils/listQuery.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const router = express.Router();
+
+const AUDIT_LIST = {
+  idField: '_id',
+  sortable: { timestamp: 'date', _id: 'objectId' },
+  defaultSort: '-timestamp',
+  filters: {
+    entity: { column: 'entity', op: 'eq' },
+    entity_id: { column: 'entity_id', op: 'eq' },
+    action: { column: 'action', op: 'eq' },
+    actor: { column: 'actor.id', op: 'eq' },
+    start: { column: 'timestamp', op: 'gte', type: 'date' },
+    end: { column: 'timestamp', op: 'lte', type: 'date' }
+  }
+};
+
+/**
+ * Respond with a paginated page of audit entries
+ * @param {Object} res - Express response
+ * @param {Object} query - Query params to apply
+ */
+async function sendAuditPage(res, query) {
+  const params = parseListParams(query, AUDIT_LIST);
+  if (params.error) {
+    throw new ValidationError(params.error);
+  }
+
+  const entries = await listFromMongo(auditCollection(), params, AUDIT_LIST);
+  res.json(entries);
+}
+
+// GET /api/audit
+router.get('/', async (req, res) => {
+  if (req.query.entity && !AUDITED_ENTITIES.includes(req.query.entity)) {
+    throw new ValidationError(`Entity must be one of: ${AUDITED_ENTITIES.join(', ')}`);
+  }
+
+  await sendAuditPage(res, req.query);
+});
+
+/**
+ * Build the handler for GET /api/<entity>/:id/history
+ * @param {string} entity - Audited entity name
+ * @returns {Function} Express handler returning the record's audit entries
+ */
+export function historyHandler(entity) {
+  return async (req, res) => {
+    await sendAuditPage(res, { ...req.query, entity, entity_id: req.params.id });
+  };
+}
+
+export default router;
@@ -0,0 +1,127 @@
+import express from 'express';
+import supabase from '../../utils/supabaseClient.js';
+import { requireRole } from '../../utils/authMiddleware.js';
+import { validateRequest, idParams, nonEmptyString } from '../../utils/requestValidation.js';
+import { NotFoundError, fromSupabaseError } from '../../utils/errors.js';
+import {
+  CRIME_CATEGORIES, CRIME_TYPE_SELECT, formatCrimeType, invalidateCrimeTypeCatalogue
+} from '../../utils/crimeTypes.js';
+
+const router = express.Router();
+
+const CRIME_TYPE_PROPERTIES = {
+  name: nonEmptyString,
+  category: { type: 'string', enum: CRIME_CATEGORIES },
+  severityWeight: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+  aliases: { type: 'array', items: nonEmptyString, uniqueItems: true }
+};
+
+const CREATE_CRIME_TYPE_BODY = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: CRIME_TYPE_PROPERTIES
+};
+
+const UPDATE_CRIME_TYPE_BODY = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: CRIME_TYPE_PROPERTIES
+};
+
+/**
+ * Create or update a crime type and its aliases in one transaction
+ * @param {number|null} id - Crime type to update, or null to create one
+ * @param {Object} body - {name, category, severityWeight, aliases}; omitted fields are kept
+ * @returns {Promise<Object|null>} Saved crime type, or null if `id` does not exist
+ */
+async function saveCrimeType(id, { name, category, severityWeight, aliases }) {
+  const { data, error } = await supabase.rpc('save_crime_type', {
+    p_crime_type_id: id,
+    p_name: name ?? null,
+    p_category: category ?? null,
+    p_severity_weight: severityWeight ?? null,
+    p_aliases: aliases ?? null
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to save crime type');
+  }
+
+  invalidateCrimeTypeCatalogue();
+  return data && { ...data, severity_weight: Number(data.severity_weight) };
+}
+
+// GET /api/crime-types
+router.get('/', async (req, res) => {
+  const { data, error } = await supabase
+    .from('crime_types')
+    .select(CRIME_TYPE_SELECT)
+    .order('name');
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime types');
+  }
+
+  res.json(data.map(formatCrimeType));
+});
+
+// GET /api/crime-types/:id
+router.get('/:id', validateRequest({ params: idParams }), async (req, res) => {
+  const { data, error } = await supabase
+    .from('crime_types')
+    .select(CRIME_TYPE_SELECT)
+    .eq('crime_type_id', req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime type');
+  }
+
+  if (!data) {
+    throw new NotFoundError('Crime type not found');
+  }
+
+  res.json(formatCrimeType(data));
+});
+
+// POST /api/crime-types
+router.post('/', requireRole('admin'), validateRequest({ body: CREATE_CRIME_TYPE_BODY }), async (req, res) => {
+  const crimeType = await saveCrimeType(null, req.body);
+  res.status(201).json(crimeType);
+});
+
+// PUT /api/crime-types/:id
+// Omitted fields are left unchanged; `aliases` replaces the existing aliases
+router.put('/:id', requireRole('admin'), validateRequest({ params: idParams, body: UPDATE_CRIME_TYPE_BODY }), async (req, res) => {
+  const crimeType = await saveCrimeType(req.params.id, req.body);
+  if (!crimeType) {
+    throw new NotFoundError('Crime type not found');
+  }
+  res.json(crimeType);
+});
+
+// DELETE /api/crime-types/:id
+// Crimes already recorded with the type keep their crime_type text; analytics
+// then report them under that text and scoring uses the default weight
+router.delete('/:id', requireRole('admin'), validateRequest({ params: idParams }), async (req, res) => {
+  const { data, error } = await supabase
+    .from('crime_types')
+    .delete()
+    .eq('crime_type_id', req.params.id)
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to delete crime type');
+  }
+
+  if (data.length === 0) {
+    throw new NotFoundError('Crime type not found or already deleted');
+  }
+
+  invalidateCrimeTypeCatalogue();
+  res.json({ message: 'Crime type deleted successfully', data: data[0] });
+});
+
+export default router;
@@ -1,77 +1,156 @@
 import express from 'express';
 import { fetchCrimeLocationsForPathfinding } from '../../utils/analyticsDataFetcher.js';
-import { calculateSafestPath } from '../../utils/pathfindingAlgorithm.js';
+import {
+  calculateSafestPath, calculateMultiStopPath, TRAVEL_MODES, DEFAULT_TRAVEL_MODE, TIME_WEIGHTING, MAX_WAYPOINTS
+} from '../../utils/pathfindingAlgorithm.js';
+import { withSeverityWeights } from '../../utils/crimeTypes.js';
+import { validateRequest, latitude, longitude, positiveCount, isoDate, timezone } from '../../utils/requestValidation.js';
+import { NotFoundError, UpstreamError, ValidationError } from '../../utils/errors.js';
 
 const router = express.Router();
 
+// Most candidate routes one request may ask for
+const MAX_ALTERNATIVE_ROUTES = 5;
+
+const POINT = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: { latitude, longitude }
+};
+
+const SAFEST_PATH_BODY = {
+  type: 'object',
+  required: ['from', 'to'],
+  properties: {
+    from: POINT,
+    to: POINT,
+    timeframe: positiveCount,
+    mode: { type: 'string', enum: Object.keys(TRAVEL_MODES) },
+    alternatives: { type: 'integer', minimum: 1, maximum: MAX_ALTERNATIVE_ROUTES },
+    departureTime: isoDate,
+    timezone,
+    waypoints: { type: 'array', items: POINT, maxItems: MAX_WAYPOINTS },
+    optimizeOrder: { type: 'boolean' }
+  }
+};
+
+/**
+ * Convert a request point to the pathfinding algorithm's coordinates
+ * @param {Object} point - {latitude, longitude}
+ * @returns {Object} {lat, lng}
+ */
+function toCoordinates({ latitude, longitude }) {
+  return { lat: latitude, lng: longitude };
+}
+
+/**
+ * Routing summary for the response metadata
+ * @param {Array} providers - Provider of each route leg
+ * @returns {string} 'road-based', 'straight-line', or 'mixed' when only some legs were routed on roads
+ */
+function describeRouting(providers) {
+  const straight = providers.filter(provider => provider === 'straight-line').length;
+  if (straight === 0) {
+    return 'road-based';
+  }
+  return straight === providers.length ? 'straight-line' : 'mixed';
+}
+
 /**
  * POST /api/calculate-safest-path
- * Calculate the safest path between two points considering crime data
+ * Calculate the safest path between two points considering crime data,
+ * optionally through `waypoints` with a route and score per leg
  */
-router.post('/calculate-safest-path', async (req, res) => {
-  try {
-    const { from, to, timeframe } = req.body;
+router.post('/calculate-safest-path', validateRequest({ body: SAFEST_PATH_BODY }), async (req, res) => {
+  const {
+    from, to, timeframe, mode = DEFAULT_TRAVEL_MODE, alternatives = 1, timezone: timeZone = TIME_WEIGHTING.timeZone,
+    waypoints = [], optimizeOrder = false
+  } = req.body;
+  if (waypoints.length > 0 && alternatives > 1) {
+    throw new ValidationError('Validation failed', [
+      { location: 'body', field: 'alternatives', message: 'must be 1 when waypoints are given' }
+    ]);
+  }
+  // Crimes are weighted by how close they are in time to the trip, which leaves now unless given
+  const departureTime = req.body.departureTime ? new Date(req.body.departureTime) : new Date();
+  
+  console.log(`Calculating ${mode} safest path from [${from.latitude}, ${from.longitude}] to [${to.latitude}, ${to.longitude}]`);
+  
+  // Get crime data for the algorithm (last 90 days by default)
+  const crimeDataTimeframe = timeframe || '90';
+  const crimeData = await withSeverityWeights(await fetchCrimeLocationsForPathfinding(crimeDataTimeframe));
+  
+  console.log(`Using ${crimeData.length} crime data points for path calculation`);
+  
+  const metadata = {
+    crimeDataPoints: crimeData.length,
+    timeframe: `${crimeDataTimeframe} days`,
+    mode,
+    departureTime: departureTime.toISOString(),
+    timezone: timeZone
+  };
+  
+  if (waypoints.length > 0) {
+    const stops = [from, ...waypoints, to];
+    const result = await calculateMultiStopPath(stops.map(toCoordinates), crimeData, {
+      mode, departureTime, timeZone, optimizeOrder
+    }).catch(pathError => {
+      throw new UpstreamError('Failed to calculate road-based path', { code: 'ROUTING_SERVICE_ERROR', cause: pathError });
+    });
     
-    // Validate the coordinates
-    if (!from || !to || !from.latitude || !to.latitude || 
-        !from.longitude || !to.longitude) {
-      return res.status(400).json({ 
-        error: 'Invalid coordinates provided. Both starting and destination points must include latitude and longitude.' 
-      });
+    if (!result) {
+      throw new NotFoundError('No path found between two consecutive stops. They may be too far apart or unreachable.', { code: 'PATH_NOT_FOUND' });
     }
     
-    console.log(`Calculating safest path from [${from.latitude}, ${from.longitude}] to [${to.latitude}, ${to.longitude}]`);
-    
-    // Get crime data for the algorithm (last 90 days by default)
-    const crimeDataTimeframe = timeframe || '90';
-    const crimeData = await fetchCrimeLocationsForPathfinding(crimeDataTimeframe);
+    const { order, legs, total: { path, ...total } } = result;
+    console.log(`Found route through ${stops.length} stops with ${path.length} points`);
     
-    console.log(`Using ${crimeData.length} crime data points for path calculation`);
-    
-    // Calculate the safest path using the pathfinding algorithm
-    try {
-      const path = await calculateSafestPath(
-        { lat: from.latitude, lng: from.longitude },
-        { lat: to.latitude, lng: to.longitude },
-        crimeData
-      );
-      
-      if (!path || path.length === 0) {
-        return res.status(404).json({ 
-          error: 'No path found between the given points. They may be too far apart or unreachable.' 
-        });
+    return res.json({
+      success: true,
+      path,
+      legs: legs.map(({ fromStop, toStop, ...leg }) => ({ from: stops[fromStop], to: stops[toStop], ...leg })),
+      total,
+      // Indices into `waypoints` in the order they are visited
+      waypointOrder: order.slice(1, -1).map(stop => stop - 1),
+      metadata: {
+        ...metadata,
+        pathPoints: path.length,
+        routing: describeRouting(legs.map(leg => leg.provider)),
+        providers: [...new Set(legs.map(leg => leg.provider))],
+        optimizedOrder: optimizeOrder
       }
-      
-      console.log(`Found path with ${path.length} points`);
-      
-      // Return the path
-      return res.json({ 
-        success: true,
-        path,
-        metadata: {
-          crimeDataPoints: crimeData.length,
-          pathPoints: path.length,
-          timeframe: `${crimeDataTimeframe} days`,
-          routing: 'road-based'
-        }
-      });
-    } catch (pathError) {
-      console.error('Error in path calculation:', pathError);
-      
-      // If OpenRouteService fails, fall back to direct path
-      return res.status(500).json({ 
-        error: 'Failed to calculate road-based path',
-        message: pathError.message,
-        suggestion: 'Try again later or with different coordinates'
-      });
-    }
-  } catch (error) {
-    console.error('Error calculating safest path:', error);
-    return res.status(500).json({ 
-      error: 'Failed to calculate safest path',
-      message: error.message 
     });
   }
+  
+  // Calculate the safest path using the pathfinding algorithm
+  const { routes } = await calculateSafestPath(
+    toCoordinates(from),
+    toCoordinates(to),
+    crimeData,
+    { mode, maxRoutes: alternatives, departureTime, timeZone }
+  ).catch(pathError => {
+    throw new UpstreamError('Failed to calculate road-based path', { code: 'ROUTING_SERVICE_ERROR', cause: pathError });
+  });
+  
+  if (routes.length === 0 || routes[0].path.length === 0) {
+    throw new NotFoundError('No path found between the given points. They may be too far apart or unreachable.', { code: 'PATH_NOT_FOUND' });
+  }
+  
+  const [{ path, provider }] = routes;
+  console.log(`Found ${routes.length} route(s), safest with ${path.length} points`);
+  
+  // Return the safest path, plus every candidate ranked safest first
+  return res.json({ 
+    success: true,
+    path,
+    routes,
+    metadata: {
+      ...metadata,
+      pathPoints: path.length,
+      routing: describeRouting([provider]),
+      provider
+    }
+  });
 });
 
 export default router;
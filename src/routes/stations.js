@@ -0,0 +1,99 @@
+import express from 'express';
+import supabase from '../../utils/supabaseClient.js';
+import { getRoadDistances } from '../../utils/pathfindingAlgorithm.js';
+import { validateRequest, idParams, isoDate, latitude, longitude } from '../../utils/requestValidation.js';
+import { NotFoundError, UpstreamError, fromSupabaseError } from '../../utils/errors.js';
+import { toJurisdictionFeatures, toNearestStations, withRoadDistances } from '../../utils/stationCoverage.js';
+
+const router = express.Router();
+
+// Most stations /nearest will return
+const MAX_NEAREST_STATIONS = 20;
+
+const NEAREST_QUERY = {
+  type: 'object',
+  required: ['lat', 'lng'],
+  properties: {
+    lat: latitude,
+    lng: longitude,
+    k: { type: 'integer', minimum: 1, maximum: MAX_NEAREST_STATIONS },
+    road: { type: 'boolean' }
+  }
+};
+
+const COVERAGE_QUERY = {
+  type: 'object',
+  properties: { start: isoDate, end: isoDate }
+};
+
+/**
+ * Fetch station jurisdictions (Voronoi cells) with their crime counts
+ * @param {Object} query - {start, end} to limit the crimes counted
+ * @param {number} [stationId] - Only return this station
+ * @returns {Promise<Array>} GeoJSON Features with {station_id, station_name, crimes} properties
+ */
+async function fetchJurisdictions({ start, end }, stationId = null) {
+  const { data, error } = await supabase.rpc('station_jurisdictions', {
+    p_start: start ?? null,
+    p_end: end ?? null,
+    p_station_id: stationId
+  });
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to compute station coverage');
+  }
+
+  return toJurisdictionFeatures(data);
+}
+
+// GET /api/stations/nearest?lat=&lng=&k=3&road=true
+// The k nearest stations by straight-line distance. With road=true each also
+// gets road_distance_m and eta_seconds (driving) from the routing provider.
+router.get('/nearest', validateRequest({ query: NEAREST_QUERY }), async (req, res) => {
+  const { lat, lng, k = 3, road = false } = req.query;
+
+  const { data, error } = await supabase
+    .rpc('stations_search', { p_lat: lat, p_lng: lng })
+    .limit(k);
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch nearest stations');
+  }
+
+  const stations = toNearestStations(data);
+
+  if (!road) {
+    return res.json(stations);
+  }
+
+  let roadDistances;
+  try {
+    roadDistances = await getRoadDistances(
+      { lat, lng },
+      stations.map(station => ({ lat: station.latitude, lng: station.longitude }))
+    );
+  } catch (roadError) {
+    throw new UpstreamError('Failed to calculate road distances', { code: 'ROUTING_SERVICE_ERROR', cause: roadError });
+  }
+
+  res.json(withRoadDistances(stations, roadDistances));
+});
+
+// GET /api/stations/coverage
+// Every station's jurisdiction as a GeoJSON FeatureCollection
+router.get('/coverage', validateRequest({ query: COVERAGE_QUERY }), async (req, res) => {
+  const features = await fetchJurisdictions(req.query);
+  res.type('application/geo+json').json({ type: 'FeatureCollection', features });
+});
+
+// GET /api/stations/:id/coverage
+// One station's jurisdiction polygon and the crimes nearest to it
+router.get('/:id/coverage', validateRequest({ params: idParams, query: COVERAGE_QUERY }), async (req, res) => {
+  const [feature] = await fetchJurisdictions(req.query, req.params.id);
+  if (!feature) {
+    throw new NotFoundError('Station not found');
+  }
+  res.type('application/geo+json').json(feature);
+});
+
+export default router;
@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import { fetchCrimePoints } from '../../utils/crimePoints.js';
+import { buildTileIndex, encodeTile } from '../../utils/crimeTiles.js';
+import { validateRequest } from '../../utils/requestValidation.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const router = Router();
+
+const TILE_PARAMS = {
+  type: 'object',
+  required: ['z', 'x', 'y'],
+  properties: {
+    z: { type: 'integer', minimum: 0, maximum: 22 },
+    x: { type: 'integer', minimum: 0 },
+    y: { type: 'integer', minimum: 0 }
+  }
+};
+
+// How long the clustered index is reused before crimes are reloaded
+const TILE_INDEX_TTL_MS = (parseInt(process.env.CRIME_TILE_TTL_SECONDS) || 300) * 1000;
+
+let tileIndex = null;
+let tileIndexBuiltAt = 0;
+let tileIndexPending = null;
+
+/**
+ * Load every located crime and build the cluster index
+ * @returns {Promise<Supercluster>} Index ready for encodeTile
+ */
+async function loadTileIndex() {
+  const points = await fetchCrimePoints();
+  const index = buildTileIndex(points);
+
+  console.log(`Built crime tile index from ${points.length} locations`);
+  return index;
+}
+
+/**
+ * Return the cluster index, rebuilding it once it is older than the TTL.
+ * Concurrent requests share a single rebuild.
+ * @returns {Promise<Supercluster>} Cluster index
+ */
+async function getTileIndex() {
+  if (tileIndex && Date.now() - tileIndexBuiltAt < TILE_INDEX_TTL_MS) {
+    return tileIndex;
+  }
+
+  if (!tileIndexPending) {
+    tileIndexPending = loadTileIndex()
+      .then(index => {
+        tileIndex = index;
+        tileIndexBuiltAt = Date.now();
+        return index;
+      })
+      .finally(() => {
+        tileIndexPending = null;
+      });
+  }
+
+  return tileIndexPending;
+}
+
+// GET /api/tiles/crimes/:z/:x/:y.mvt
+// Mapbox Vector Tile with one `crimes` layer. Up to CLUSTER_MAX_ZOOM nearby
+// locations are merged into clusters (`cluster: true`, `point_count`, `crimes`);
+// beyond it each feature is one location with its `crime_type` and `crimes`.
+router.get('/crimes/:z/:x/:y.mvt', validateRequest({ params: TILE_PARAMS }), async (req, res) => {
+  const { z, x, y } = req.params;
+  const tilesPerSide = 2 ** z;
+  if (x >= tilesPerSide || y >= tilesPerSide) {
+    throw new ValidationError(`Tile x and y must be below ${tilesPerSide} at zoom ${z}`);
+  }
+
+  const tile = encodeTile(await getTileIndex(), z, x, y);
+
+  res.set('Cache-Control', `public, max-age=${Math.floor(TILE_INDEX_TTL_MS / 1000)}`);
+
+  if (!tile) {
+    return res.status(204).end();
+  }
+
+  res.type('application/vnd.mapbox-vector-tile').send(tile);
+});
+
+export default router;
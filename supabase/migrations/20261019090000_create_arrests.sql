@@ -0,0 +1,86 @@
+-- Arrests made against a crime, the station that charged them and the
+-- criminals taken into custody.
+
+create table if not exists arrests (
+  arrest_id bigint generated always as identity primary key,
+  crime_id bigint not null references crimes (crime_id) on delete cascade,
+  station_id bigint references stations (station_id) on delete set null,
+  arrest_date timestamptz not null default now(),
+  disposition text not null default 'pending'
+    check (disposition in ('pending', 'charged', 'released', 'convicted', 'acquitted', 'dismissed')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists arrests_crime_id_idx on arrests (crime_id);
+create index if not exists arrests_arrest_date_idx on arrests (arrest_date);
+
+create table if not exists arrest_criminal (
+  arrest_id bigint not null references arrests (arrest_id) on delete cascade,
+  criminal_id bigint not null references criminals (criminal_id) on delete cascade,
+  primary key (arrest_id, criminal_id)
+);
+
+-- Insert an arrest and its criminal links in a single transaction
+create or replace function insert_arrest_with_relations(
+  p_crime_id bigint,
+  p_arrest_date timestamptz,
+  p_station_id bigint,
+  p_disposition text,
+  p_criminal_ids bigint[]
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_arrest arrests;
+begin
+  insert into arrests (crime_id, station_id, arrest_date, disposition)
+  values (p_crime_id, p_station_id, coalesce(p_arrest_date, now()), coalesce(p_disposition, 'pending'))
+  returning * into v_arrest;
+
+  insert into arrest_criminal (arrest_id, criminal_id)
+  select v_arrest.arrest_id, unnest(p_criminal_ids);
+
+  return to_jsonb(v_arrest) || jsonb_build_object('criminals', to_jsonb(p_criminal_ids));
+end;
+$$;
+
+-- Update an arrest and, when p_criminal_ids is given, replace its criminal links.
+-- Returns null when the arrest does not exist.
+create or replace function update_arrest_with_relations(
+  p_arrest_id bigint,
+  p_crime_id bigint,
+  p_arrest_date timestamptz,
+  p_station_id bigint,
+  p_disposition text,
+  p_criminal_ids bigint[] default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_arrest arrests;
+begin
+  update arrests
+  set crime_id = coalesce(p_crime_id, crime_id),
+      arrest_date = coalesce(p_arrest_date, arrest_date),
+      station_id = coalesce(p_station_id, station_id),
+      disposition = coalesce(p_disposition, disposition)
+  where arrest_id = p_arrest_id
+  returning * into v_arrest;
+
+  if not found then
+    return null;
+  end if;
+
+  if p_criminal_ids is not null then
+    delete from arrest_criminal where arrest_id = p_arrest_id;
+
+    insert into arrest_criminal (arrest_id, criminal_id)
+    select p_arrest_id, unnest(p_criminal_ids);
+  end if;
+
+  return to_jsonb(v_arrest) || jsonb_build_object(
+    'criminals',
+    (select coalesce(jsonb_agg(criminal_id), '[]'::jsonb) from arrest_criminal where arrest_id = p_arrest_id)
+  );
+end;
+$$;
@@ -0,0 +1,13 @@
+-- Land area and yearly population figures for areas, used to compute
+-- per-capita crime rates.
+
+alter table areas add column if not exists land_area_km2 numeric check (land_area_km2 > 0);
+
+create table if not exists area_populations (
+  area_id bigint not null references areas (area_id) on delete cascade,
+  effective_year integer not null check (effective_year between 1800 and 3000),
+  population integer not null check (population >= 0),
+  -- Optional demographic attributes, e.g. { "median_age": 31, "households": 12040 }
+  demographics jsonb not null default '{}'::jsonb,
+  primary key (area_id, effective_year)
+);
@@ -0,0 +1,92 @@
+-- Update and delete counterparts to insert_crime_with_relations.
+-- Assumes crimes.location_id -> crime_locations.location_id and
+-- crime_locations.area_id -> areas.area_id, as created by the insert RPC.
+
+-- Update a crime, its location and, when the arrays are given, replace its
+-- criminal/victim links. Null arguments leave the current value unchanged.
+-- Returns null when the crime does not exist.
+create or replace function update_crime_with_relations(
+  p_crime_id bigint,
+  p_crime_type text default null,
+  p_description text default null,
+  p_date timestamptz default null,
+  p_latitude double precision default null,
+  p_longitude double precision default null,
+  p_area_name text default null,
+  p_criminal_ids bigint[] default null,
+  p_victim_ids bigint[] default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_crime crimes;
+  v_area_id bigint;
+begin
+  update crimes
+  set crime_type = coalesce(p_crime_type, crime_type),
+      description = coalesce(p_description, description),
+      date = coalesce(p_date, date)
+  where crime_id = p_crime_id
+  returning * into v_crime;
+
+  if not found then
+    return null;
+  end if;
+
+  if p_area_name is not null then
+    select area_id into v_area_id from areas where name = p_area_name;
+    if not found then
+      insert into areas (name) values (p_area_name) returning area_id into v_area_id;
+    end if;
+  end if;
+
+  update crime_locations
+  set latitude = coalesce(p_latitude, latitude),
+      longitude = coalesce(p_longitude, longitude),
+      area_id = coalesce(v_area_id, area_id)
+  where location_id = v_crime.location_id;
+
+  if p_criminal_ids is not null then
+    delete from crime_criminal where crime_id = p_crime_id;
+    insert into crime_criminal (crime_id, criminal_id)
+    select p_crime_id, unnest(p_criminal_ids);
+  end if;
+
+  if p_victim_ids is not null then
+    delete from crime_victim where crime_id = p_crime_id;
+    insert into crime_victim (crime_id, victim_id)
+    select p_crime_id, unnest(p_victim_ids);
+  end if;
+
+  return to_jsonb(v_crime) || jsonb_build_object(
+    'criminals', (select coalesce(jsonb_agg(criminal_id), '[]'::jsonb) from crime_criminal where crime_id = p_crime_id),
+    'victims', (select coalesce(jsonb_agg(victim_id), '[]'::jsonb) from crime_victim where crime_id = p_crime_id)
+  );
+end;
+$$;
+
+-- Delete a crime with its criminal/victim links, and its location if no other
+-- crime points at it. Returns the deleted crime, or null if it did not exist.
+create or replace function delete_crime_with_relations(p_crime_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_crime crimes;
+begin
+  delete from crime_criminal where crime_id = p_crime_id;
+  delete from crime_victim where crime_id = p_crime_id;
+
+  delete from crimes where crime_id = p_crime_id returning * into v_crime;
+
+  if not found then
+    return null;
+  end if;
+
+  delete from crime_locations
+  where location_id = v_crime.location_id
+    and not exists (select 1 from crimes where location_id = v_crime.location_id);
+
+  return to_jsonb(v_crime);
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Soft delete markers. Rows with deleted_at set are hidden from lists and
+-- analytics and are purged once they are older than the retention period.
+
+alter table criminals add column if not exists deleted_at timestamptz;
+alter table victims add column if not exists deleted_at timestamptz;
+alter table stations add column if not exists deleted_at timestamptz;
+
+create index if not exists criminals_deleted_at_idx on criminals (deleted_at) where deleted_at is not null;
+create index if not exists victims_deleted_at_idx on victims (deleted_at) where deleted_at is not null;
+create index if not exists stations_deleted_at_idx on stations (deleted_at) where deleted_at is not null;
@@ -0,0 +1,196 @@
+-- Grouped counts behind the /api/analytics routes, so the API receives one row
+-- per group instead of every matching crime.
+-- Date bounds compare against crimes.date exactly as the PostgREST
+-- .gte()/.lte() filters they replace did.
+
+create index if not exists crimes_date_idx on crimes (date);
+create index if not exists crimes_location_id_idx on crimes (location_id);
+create index if not exists crime_locations_area_id_idx on crime_locations (area_id);
+create index if not exists crime_victim_victim_id_idx on crime_victim (victim_id);
+create index if not exists crime_criminal_criminal_id_idx on crime_criminal (criminal_id);
+
+-- Crimes per crime type, largest first
+create or replace function analytics_crimes_by_type(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (crime_type text, value integer)
+language sql
+stable
+as $$
+  select c.crime_type, count(*)::integer
+  from crimes c
+  where c.date >= p_start and c.date <= p_end
+  group by c.crime_type
+  order by 2 desc, 1;
+$$;
+
+-- Crimes per area name, largest first. Crimes without a located area are skipped.
+create or replace function analytics_crimes_by_area(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (name text, crimes integer)
+language sql
+stable
+as $$
+  select a.name, count(*)::integer
+  from crimes c
+  join crime_locations l on l.location_id = c.location_id
+  join areas a on a.area_id = l.area_id
+  where c.date >= p_start and c.date <= p_end
+  group by a.name
+  order by 2 desc, 1;
+$$;
+
+-- Crimes per calendar month (all years folded together) split into the
+-- violent/property/cyber categories, January first. Months with crimes of
+-- other types still appear, with zero counts.
+create or replace function analytics_crimes_trend(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (name text, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  select
+    to_char(c.date, 'Mon'),
+    count(*) filter (where lower(c.crime_type) in ('assault', 'robbery', 'homicide'))::integer,
+    count(*) filter (where lower(c.crime_type) in ('theft', 'burglary', 'vandalism'))::integer,
+    count(*) filter (where lower(c.crime_type) in ('fraud', 'identity theft', 'cybercrime'))::integer
+  from crimes c
+  where c.date >= p_start and c.date <= p_end
+  group by extract(month from c.date), to_char(c.date, 'Mon')
+  order by extract(month from c.date);
+$$;
+
+-- Crimes per local weekday (1 = Monday .. 7 = Sunday) and hour in p_timezone.
+-- Only non-empty cells are returned. Null filters match everything.
+create or replace function analytics_crime_time_distribution(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_timezone text,
+  p_crime_types text[] default null,
+  p_areas text[] default null
+) returns table (weekday integer, hour integer, crimes integer)
+language sql
+stable
+as $$
+  select
+    extract(isodow from c.date::timestamptz at time zone p_timezone)::integer,
+    extract(hour from c.date::timestamptz at time zone p_timezone)::integer,
+    count(*)::integer
+  from crimes c
+  where c.date >= p_start and c.date <= p_end
+    and (p_crime_types is null or c.crime_type = any (p_crime_types))
+    and (p_areas is null or exists (
+      select 1
+      from crime_locations l
+      join areas a on a.area_id = l.area_id
+      where l.location_id = c.location_id and a.name = any (p_areas)
+    ))
+  group by 1, 2;
+$$;
+
+-- Crimes, arrests and cleared crimes (at least one arrest whose disposition
+-- is not in p_non_clearing) per crime type, largest first
+create or replace function analytics_crimes_vs_arrests(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_non_clearing text[],
+  p_crime_type text default null
+) returns table (name text, crimes integer, arrests integer, cleared integer)
+language sql
+stable
+as $$
+  select
+    c.crime_type,
+    count(*)::integer,
+    coalesce(sum(a.arrests), 0)::integer,
+    count(*) filter (where a.clearing > 0)::integer
+  from crimes c
+  left join lateral (
+    select
+      count(*) as arrests,
+      count(*) filter (where ar.disposition is null or ar.disposition <> all (p_non_clearing)) as clearing
+    from arrests ar
+    where ar.crime_id = c.crime_id
+  ) a on true
+  where c.date >= p_start and c.date <= p_end
+    and (p_crime_type is null or c.crime_type = p_crime_type)
+  group by c.crime_type
+  order by 2 desc, 1;
+$$;
+
+-- Buckets an age the way the API always has; unknown ages count as 'Under 18'
+create or replace function analytics_age_group(p_age numeric)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when coalesce(p_age, 0) < 18 then 'Under 18'
+    when p_age >= 18 and p_age <= 24 then '18-24'
+    when p_age >= 25 and p_age <= 34 then '25-34'
+    when p_age >= 35 and p_age <= 44 then '35-44'
+    when p_age >= 45 and p_age <= 54 then '45-54'
+    else '55+'
+  end;
+$$;
+
+-- Non-deleted victims linked to at least one crime, per age group
+create or replace function analytics_victim_age_distribution()
+returns table (age text, count integer)
+language sql
+stable
+as $$
+  select analytics_age_group(v.age), count(*)::integer
+  from victims v
+  where v.deleted_at is null
+    and exists (select 1 from crime_victim cv where cv.victim_id = v.victim_id)
+  group by 1;
+$$;
+
+-- Non-deleted criminals linked to at least one crime, per age group
+create or replace function analytics_criminal_age_distribution()
+returns table (age text, count integer)
+language sql
+stable
+as $$
+  select analytics_age_group(cr.age), count(*)::integer
+  from criminals cr
+  where cr.deleted_at is null
+    and exists (select 1 from crime_criminal cc where cc.criminal_id = cr.criminal_id)
+  group by 1;
+$$;
+
+-- Crimes per area with the area's land size and population figures
+-- ([{effective_year, population}]) for per-capita rates
+create or replace function analytics_crimes_per_area()
+returns table (
+  area_id bigint,
+  name text,
+  land_area_km2 numeric,
+  crimes integer,
+  area_populations jsonb
+)
+language sql
+stable
+as $$
+  select
+    a.area_id,
+    a.name,
+    a.land_area_km2,
+    counts.crimes,
+    coalesce((
+      select jsonb_agg(jsonb_build_object('effective_year', p.effective_year, 'population', p.population))
+      from area_populations p
+      where p.area_id = a.area_id
+    ), '[]'::jsonb)
+  from (
+    select l.area_id, count(*)::integer as crimes
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    group by l.area_id
+  ) counts
+  join areas a on a.area_id = counts.area_id
+  order by counts.crimes desc, a.area_id;
+$$;
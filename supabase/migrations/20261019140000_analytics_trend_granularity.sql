@@ -0,0 +1,77 @@
+-- Period buckets (day/week/month/quarter) for /api/analytics/crimes-trend.
+
+-- Trend category of a crime type: 'violent', 'property', 'cyber' or null
+create or replace function analytics_crime_category(p_crime_type text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when lower(p_crime_type) in ('assault', 'robbery', 'homicide') then 'violent'
+    when lower(p_crime_type) in ('theft', 'burglary', 'vandalism') then 'property'
+    when lower(p_crime_type) in ('fraud', 'identity theft', 'cybercrime') then 'cyber'
+  end;
+$$;
+
+-- Same output as before, with the category lists now shared
+create or replace function analytics_crimes_trend(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (name text, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  select
+    to_char(c.date, 'Mon'),
+    count(*) filter (where analytics_crime_category(c.crime_type) = 'violent')::integer,
+    count(*) filter (where analytics_crime_category(c.crime_type) = 'property')::integer,
+    count(*) filter (where analytics_crime_category(c.crime_type) = 'cyber')::integer
+  from crimes c
+  where c.date >= p_start and c.date <= p_end
+  group by extract(month from c.date), to_char(c.date, 'Mon')
+  order by extract(month from c.date);
+$$;
+
+-- One row per period between p_start and p_end, oldest first, with zero
+-- counts for periods without crimes. Weeks start on Monday and are labelled
+-- by ISO week (2024-W09); quarters as 2024-Q1.
+create or replace function analytics_crimes_trend_buckets(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_granularity text
+) returns table (name text, "periodStart" date, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  with periods as (
+    select generate_series(
+      date_trunc(p_granularity, p_start),
+      date_trunc(p_granularity, p_end),
+      case p_granularity when 'quarter' then interval '3 months' else ('1 ' || p_granularity)::interval end
+    ) as period
+  ),
+  counts as (
+    select
+      date_trunc(p_granularity, c.date::timestamptz) as period,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'violent') as violent,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'property') as property,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'cyber') as cyber
+    from crimes c
+    where c.date >= p_start and c.date <= p_end
+    group by 1
+  )
+  select
+    to_char(p.period, case p_granularity
+      when 'day' then 'YYYY-MM-DD'
+      when 'week' then 'IYYY-"W"IW'
+      when 'month' then 'YYYY-MM'
+      else 'YYYY-"Q"Q'
+    end),
+    p.period::date,
+    coalesce(c.violent, 0)::integer,
+    coalesce(c.property, 0)::integer,
+    coalesce(c.cyber, 0)::integer
+  from periods p
+  left join counts c on c.period = p.period
+  order by p.period;
+$$;
@@ -0,0 +1,25 @@
+-- Located crimes for hotspot detection, merged per crime type and ~10 m
+-- position (4 decimal places) so dense areas return one weighted row instead
+-- of one row per crime. Null filters match everything.
+
+create or replace function analytics_crime_points(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_crime_types text[] default null
+) returns table (crime_type text, latitude double precision, longitude double precision, crimes integer)
+language sql
+stable
+as $$
+  select
+    c.crime_type,
+    round(l.latitude::numeric, 4)::double precision,
+    round(l.longitude::numeric, 4)::double precision,
+    count(*)::integer
+  from crimes c
+  join crime_locations l on l.location_id = c.location_id
+  where c.date >= p_start and c.date <= p_end
+    and l.latitude is not null and l.longitude is not null
+    and (p_crime_types is null or c.crime_type = any (p_crime_types))
+  group by 1, 2, 3
+  order by 2, 3, 1;
+$$;
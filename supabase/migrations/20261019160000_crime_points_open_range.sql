@@ -0,0 +1,25 @@
+-- Let analytics_crime_points run without date bounds (null = open-ended), for
+-- the vector tile index that covers every crime.
+
+create or replace function analytics_crime_points(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_crime_types text[] default null
+) returns table (crime_type text, latitude double precision, longitude double precision, crimes integer)
+language sql
+stable
+as $$
+  select
+    c.crime_type,
+    round(l.latitude::numeric, 4)::double precision,
+    round(l.longitude::numeric, 4)::double precision,
+    count(*)::integer
+  from crimes c
+  join crime_locations l on l.location_id = c.location_id
+  where (p_start is null or c.date >= p_start)
+    and (p_end is null or c.date <= p_end)
+    and l.latitude is not null and l.longitude is not null
+    and (p_crime_types is null or c.crime_type = any (p_crime_types))
+  group by 1, 2, 3
+  order by 2, 3, 1;
+$$;
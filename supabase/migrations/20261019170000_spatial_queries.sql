@@ -0,0 +1,85 @@
+-- Bounding-box and radius search over crime locations and stations, backed by
+-- GiST indexes on the coordinates as PostGIS geography points.
+
+create extension if not exists postgis with schema extensions;
+
+-- WGS 84 point for a latitude/longitude pair; null if either is missing.
+-- Indexes and queries both go through this so the planner can match them.
+create or replace function geo_point(p_latitude double precision, p_longitude double precision)
+returns extensions.geography
+language sql
+immutable
+as $$
+  select case
+    when p_latitude is not null and p_longitude is not null
+    then extensions.st_setsrid(extensions.st_makepoint(p_longitude, p_latitude), 4326)::extensions.geography
+  end;
+$$;
+
+create index if not exists crime_locations_geo_idx
+  on crime_locations using gist (geo_point(latitude, longitude));
+
+create index if not exists stations_geo_idx
+  on stations using gist (geo_point(latitude, longitude));
+
+-- Crimes whose location is inside the bounding box and/or within p_radius_m
+-- metres of (p_lat, p_lng). Null arguments skip that filter. When a centre is
+-- given, distance_m is filled in and rows come back nearest first.
+create or replace function crime_locations_search(
+  p_min_lng double precision default null,
+  p_min_lat double precision default null,
+  p_max_lng double precision default null,
+  p_max_lat double precision default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_radius_m double precision default null
+) returns table (
+  crime_id bigint,
+  crime_type text,
+  description text,
+  latitude double precision,
+  longitude double precision,
+  distance_m double precision
+)
+language sql
+stable
+as $$
+  select
+    c.crime_id,
+    c.crime_type,
+    c.description,
+    l.latitude,
+    l.longitude,
+    extensions.st_distance(geo_point(l.latitude, l.longitude), geo_point(p_lat, p_lng))
+  from crimes c
+  join crime_locations l on l.location_id = c.location_id
+  where (p_min_lng is null or geo_point(l.latitude, l.longitude)
+          operator(extensions.&&) extensions.st_makeenvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)::extensions.geography)
+    and (p_radius_m is null or extensions.st_dwithin(geo_point(l.latitude, l.longitude), geo_point(p_lat, p_lng), p_radius_m))
+  order by 6 nulls last, c.crime_id;
+$$;
+
+-- Non-deleted stations filtered the same way. Each row is the full station
+-- record (as stored) plus distance_m.
+create or replace function stations_search(
+  p_min_lng double precision default null,
+  p_min_lat double precision default null,
+  p_max_lng double precision default null,
+  p_max_lat double precision default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_radius_m double precision default null
+) returns table (station jsonb, distance_m double precision)
+language sql
+stable
+as $$
+  select
+    to_jsonb(s),
+    extensions.st_distance(geo_point(s.latitude, s.longitude), geo_point(p_lat, p_lng))
+  from stations s
+  where s.deleted_at is null
+    and (p_min_lng is null or geo_point(s.latitude, s.longitude)
+          operator(extensions.&&) extensions.st_makeenvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)::extensions.geography)
+    and (p_radius_m is null or extensions.st_dwithin(geo_point(s.latitude, s.longitude), geo_point(p_lat, p_lng), p_radius_m))
+  order by 2 nulls last, s.station_id;
+$$;
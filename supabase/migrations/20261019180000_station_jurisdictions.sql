@@ -0,0 +1,68 @@
+-- Station jurisdictions: each non-deleted station covers the area closer to it
+-- than to any other station (a Voronoi cell), and the crimes whose nearest
+-- station it is.
+
+-- One row per active station with its cell as GeoJSON and its crime count.
+-- Cells are computed in lon/lat and clipped to the stations' extent plus
+-- 0.1 degrees (~10 km); crimes are assigned by geodesic distance, so counts
+-- include crimes outside the clipped cell. Null dates leave the range open;
+-- p_station_id limits the result to one station.
+create or replace function station_jurisdictions(
+  p_start timestamptz default null,
+  p_end timestamptz default null,
+  p_station_id bigint default null
+) returns table (station_id bigint, station_name text, geometry jsonb, crimes integer)
+language sql
+stable
+as $$
+  with active as (
+    select
+      s.station_id,
+      s.station_name,
+      extensions.st_setsrid(extensions.st_makepoint(s.longitude, s.latitude), 4326) as geom
+    from stations s
+    where s.deleted_at is null and s.latitude is not null and s.longitude is not null
+  ),
+  bounds as (
+    select extensions.st_expand(extensions.st_envelope(extensions.st_collect(geom)), 0.1) as geom
+    from active
+  ),
+  cells as (
+    select (extensions.st_dump(extensions.st_voronoipolygons(
+      extensions.st_collect(a.geom), 0, (select geom from bounds)
+    ))).geom as cell
+    from active a
+  ),
+  counts as (
+    select nearest.station_id, count(*)::integer as crimes
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    cross join lateral (
+      select s.station_id
+      from stations s
+      where s.deleted_at is null and s.latitude is not null and s.longitude is not null
+      order by geo_point(s.latitude, s.longitude) operator(extensions.<->) geo_point(l.latitude, l.longitude)
+      limit 1
+    ) nearest
+    where l.latitude is not null and l.longitude is not null
+      and (p_start is null or c.date >= p_start)
+      and (p_end is null or c.date <= p_end)
+    group by 1
+  )
+  select
+    a.station_id,
+    a.station_name,
+    extensions.st_asgeojson(extensions.st_intersection(
+      -- A lone station has no Voronoi edges; it covers the whole extent
+      coalesce(cell.cell, (select geom from bounds)),
+      (select geom from bounds)
+    ), 6)::jsonb,
+    coalesce(counts.crimes, 0)
+  from active a
+  left join lateral (
+    select cells.cell from cells where extensions.st_intersects(cells.cell, a.geom) limit 1
+  ) cell on true
+  left join counts on counts.station_id = a.station_id
+  where p_station_id is null or a.station_id = p_station_id
+  order by a.station_id;
+$$;
@@ -0,0 +1,188 @@
+-- Per-station workload for /api/analytics/stations. A crime belongs to the
+-- jurisdiction of its nearest non-deleted station; arrests belong to the
+-- station that made them (arrests.station_id).
+
+-- Nearest non-deleted station to a point, using stations_geo_idx
+create or replace function nearest_station_id(p_latitude double precision, p_longitude double precision)
+returns bigint
+language sql
+stable
+as $$
+  select s.station_id
+  from stations s
+  where s.deleted_at is null and s.latitude is not null and s.longitude is not null
+  order by geo_point(s.latitude, s.longitude) operator(extensions.<->) geo_point(p_latitude, p_longitude)
+  limit 1;
+$$;
+
+-- Start of every day/week/month/quarter period overlapping [p_start, p_end]
+create or replace function analytics_periods(p_start timestamptz, p_end timestamptz, p_granularity text)
+returns setof timestamptz
+language sql
+stable
+as $$
+  select generate_series(
+    date_trunc(p_granularity, p_start),
+    date_trunc(p_granularity, p_end),
+    case p_granularity when 'quarter' then interval '3 months' else ('1 ' || p_granularity)::interval end
+  );
+$$;
+
+-- Display name of a period: 2024-03-05, 2024-W10, 2024-03 or 2024-Q1
+create or replace function analytics_period_label(p_period timestamptz, p_granularity text)
+returns text
+language sql
+stable
+as $$
+  select to_char(p_period, case p_granularity
+    when 'day' then 'YYYY-MM-DD'
+    when 'week' then 'IYYY-"W"IW'
+    when 'month' then 'YYYY-MM'
+    else 'YYYY-"Q"Q'
+  end);
+$$;
+
+-- Crime trend buckets, now built from the shared period helpers
+create or replace function analytics_crimes_trend_buckets(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_granularity text
+) returns table (name text, "periodStart" date, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  with counts as (
+    select
+      date_trunc(p_granularity, c.date::timestamptz) as period,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'violent') as violent,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'property') as property,
+      count(*) filter (where analytics_crime_category(c.crime_type) = 'cyber') as cyber
+    from crimes c
+    where c.date >= p_start and c.date <= p_end
+    group by 1
+  )
+  select
+    analytics_period_label(p.period, p_granularity),
+    p.period::date,
+    coalesce(c.violent, 0)::integer,
+    coalesce(c.property, 0)::integer,
+    coalesce(c.cyber, 0)::integer
+  from analytics_periods(p_start, p_end, p_granularity) as p(period)
+  left join counts c on c.period = p.period
+  order by p.period;
+$$;
+
+-- Workload per non-deleted station for crimes dated in [p_start, p_end]:
+--   crimes        crimes in the station's jurisdiction
+--   cleared       of those, crimes with an arrest (by any station) whose
+--                 disposition is not in p_non_clearing
+--   arrests       arrests made by the station on crimes in the range
+--   median_hours  median hours from crime to the station's first arrest on it
+-- Busiest first. p_station_id limits the result to one station.
+create or replace function analytics_station_workload(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_non_clearing text[],
+  p_station_id bigint default null
+) returns table (
+  station_id bigint,
+  station_name text,
+  latitude double precision,
+  longitude double precision,
+  crimes integer,
+  cleared integer,
+  arrests integer,
+  median_hours double precision
+)
+language sql
+stable
+as $$
+  with jurisdiction as (
+    select
+      nearest_station_id(l.latitude, l.longitude) as station_id,
+      exists (
+        select 1 from arrests a
+        where a.crime_id = c.crime_id
+          and (a.disposition is null or a.disposition <> all (p_non_clearing))
+      ) as cleared
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    where l.latitude is not null and l.longitude is not null
+      and c.date >= p_start and c.date <= p_end
+  ),
+  crime_counts as (
+    select station_id, count(*) as crimes, count(*) filter (where cleared) as cleared
+    from jurisdiction
+    group by 1
+  ),
+  first_arrests as (
+    select a.station_id, a.crime_id, count(*) as arrests, min(a.arrest_date) - min(c.date::timestamptz) as delay
+    from arrests a
+    join crimes c on c.crime_id = a.crime_id
+    where a.station_id is not null
+      and c.date >= p_start and c.date <= p_end
+    group by 1, 2
+  ),
+  arrest_counts as (
+    select
+      station_id,
+      sum(arrests) as arrests,
+      percentile_cont(0.5) within group (order by extract(epoch from delay) / 3600) as median_hours
+    from first_arrests
+    group by 1
+  )
+  select
+    s.station_id,
+    s.station_name,
+    s.latitude::double precision,
+    s.longitude::double precision,
+    coalesce(cc.crimes, 0)::integer,
+    coalesce(cc.cleared, 0)::integer,
+    coalesce(ac.arrests, 0)::integer,
+    ac.median_hours
+  from stations s
+  left join crime_counts cc on cc.station_id = s.station_id
+  left join arrest_counts ac on ac.station_id = s.station_id
+  where s.deleted_at is null
+    and (p_station_id is null or s.station_id = p_station_id)
+  order by 5 desc, s.station_id;
+$$;
+
+-- One station's jurisdiction crimes and arrests per period, oldest first,
+-- with zero counts for empty periods
+create or replace function analytics_station_trend(
+  p_station_id bigint,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_granularity text
+) returns table (name text, "periodStart" date, crimes integer, arrests integer)
+language sql
+stable
+as $$
+  with crime_counts as (
+    select date_trunc(p_granularity, c.date::timestamptz) as period, count(*) as crimes
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    where l.latitude is not null and l.longitude is not null
+      and c.date >= p_start and c.date <= p_end
+      and nearest_station_id(l.latitude, l.longitude) = p_station_id
+    group by 1
+  ),
+  arrest_counts as (
+    select date_trunc(p_granularity, c.date::timestamptz) as period, count(*) as arrests
+    from arrests a
+    join crimes c on c.crime_id = a.crime_id
+    where a.station_id = p_station_id
+      and c.date >= p_start and c.date <= p_end
+    group by 1
+  )
+  select
+    analytics_period_label(p.period, p_granularity),
+    p.period::date,
+    coalesce(cc.crimes, 0)::integer,
+    coalesce(ac.arrests, 0)::integer
+  from analytics_periods(p_start, p_end, p_granularity) as p(period)
+  left join crime_counts cc on cc.period = p.period
+  left join arrest_counts ac on ac.period = p.period
+  order by p.period;
+$$;
@@ -0,0 +1,361 @@
+-- Managed crime type catalogue: canonical names, trend categories, severity
+-- weights for hotspot and route scoring, and aliases that resolve to a type
+-- (e.g. 'armed robbery' -> Robbery). Analytics group crimes by the canonical
+-- name, so 'theft', 'Theft' and 'THEFT' count as one type.
+
+create table if not exists crime_types (
+  crime_type_id bigint generated always as identity primary key,
+  name text not null check (btrim(name) <> ''),
+  category text not null default 'other'
+    check (category in ('violent', 'property', 'cyber', 'other')),
+  severity_weight numeric not null default 5 check (severity_weight > 0 and severity_weight <= 100),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists crime_types_name_key on crime_types (lower(name));
+
+-- Aliases are stored lower-cased and may not repeat another type's name or alias
+create table if not exists crime_type_aliases (
+  alias text primary key check (alias = lower(btrim(alias)) and alias <> ''),
+  crime_type_id bigint not null references crime_types (crime_type_id) on delete cascade
+);
+
+create index if not exists crime_type_aliases_type_idx on crime_type_aliases (crime_type_id);
+
+-- Seed with the types and weights the API used before the catalogue existed
+insert into crime_types (name, category, severity_weight) values
+  ('Homicide', 'violent', 22),
+  ('Assault', 'violent', 22),
+  ('Robbery', 'violent', 22),
+  ('Rape', 'violent', 22),
+  ('Theft', 'property', 11),
+  ('Burglary', 'property', 11),
+  ('Vehicle Theft', 'property', 11),
+  ('Vandalism', 'property', 5),
+  ('Fraud', 'cyber', 5),
+  ('Identity Theft', 'cyber', 5),
+  ('Cybercrime', 'cyber', 5)
+on conflict do nothing;
+
+insert into crime_type_aliases (alias, crime_type_id)
+select v.alias, t.crime_type_id
+from (values
+  ('murder', 'Homicide'),
+  ('armed robbery', 'Robbery'),
+  ('auto theft', 'Vehicle Theft'),
+  ('car theft', 'Vehicle Theft')
+) as v (alias, type_name)
+join crime_types t on lower(t.name) = lower(v.type_name)
+on conflict do nothing;
+
+-- Catalogue entry a raw crime_type resolves to, by name or alias, ignoring
+-- case and surrounding spaces; null if it is not catalogued
+create or replace function resolve_crime_type(p_crime_type text)
+returns crime_types
+language sql
+stable
+as $$
+  select t.*
+  from crime_types t
+  where lower(t.name) = lower(btrim(p_crime_type))
+     or t.crime_type_id = (select a.crime_type_id from crime_type_aliases a where a.alias = lower(btrim(p_crime_type)))
+  limit 1;
+$$;
+
+-- Name analytics group a raw crime_type under: the catalogue name, or the
+-- raw value when it is not catalogued
+create or replace function crime_type_label(p_crime_type text)
+returns text
+language sql
+stable
+as $$
+  select coalesce((resolve_crime_type(p_crime_type)).name, p_crime_type);
+$$;
+
+-- Every lower-cased spelling (name and aliases) of the given crime types, for
+-- filters that should match a type however it was recorded
+create or replace function crime_type_spellings(p_crime_types text[])
+returns text[]
+language sql
+stable
+as $$
+  select array_agg(distinct spelling)
+  from (
+    select lower(btrim(input)) as spelling
+    from unnest(p_crime_types) as input
+    union
+    select lower(t.name)
+    from unnest(p_crime_types) as input
+    join crime_types t on t.crime_type_id = (resolve_crime_type(input)).crime_type_id
+    union
+    select a.alias
+    from unnest(p_crime_types) as input
+    join crime_type_aliases a on a.crime_type_id = (resolve_crime_type(input)).crime_type_id
+  ) spellings;
+$$;
+
+create index if not exists crimes_crime_type_lower_idx on crimes (lower(btrim(crime_type)));
+
+-- Create a crime type (p_crime_type_id null) or update one. On update, null
+-- arguments keep the current value and a non-null p_aliases replaces the
+-- aliases. Returns the type with its aliases, or null if p_crime_type_id does
+-- not exist. Names and aliases clashing with another type raise 23505.
+create or replace function save_crime_type(
+  p_crime_type_id bigint default null,
+  p_name text default null,
+  p_category text default null,
+  p_severity_weight numeric default null,
+  p_aliases text[] default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_type crime_types;
+  v_clash text;
+begin
+  if p_crime_type_id is null then
+    insert into crime_types (name, category, severity_weight)
+    values (btrim(p_name), coalesce(p_category, 'other'), coalesce(p_severity_weight, 5))
+    returning * into v_type;
+  else
+    update crime_types
+    set name = coalesce(btrim(p_name), name),
+        category = coalesce(p_category, category),
+        severity_weight = coalesce(p_severity_weight, severity_weight),
+        updated_at = now()
+    where crime_type_id = p_crime_type_id
+    returning * into v_type;
+
+    if not found then
+      return null;
+    end if;
+  end if;
+
+  -- A name may not double as another type's alias
+  if exists (
+    select 1 from crime_type_aliases
+    where alias = lower(v_type.name) and crime_type_id <> v_type.crime_type_id
+  ) then
+    raise exception 'Crime type name "%" is already an alias of another type', v_type.name
+      using errcode = '23505';
+  end if;
+
+  if p_aliases is not null then
+    delete from crime_type_aliases where crime_type_id = v_type.crime_type_id;
+
+    select alias into v_clash
+    from (select distinct lower(btrim(a)) as alias from unnest(p_aliases) a) new_aliases
+    where exists (select 1 from crime_types t where lower(t.name) = new_aliases.alias)
+    limit 1;
+    if v_clash is not null then
+      raise exception 'Alias "%" is already a crime type name', v_clash using errcode = '23505';
+    end if;
+
+    insert into crime_type_aliases (alias, crime_type_id)
+    select distinct lower(btrim(a)), v_type.crime_type_id
+    from unnest(p_aliases) a
+    where btrim(a) <> '';
+  end if;
+
+  return to_jsonb(v_type) || jsonb_build_object(
+    'aliases',
+    coalesce((select jsonb_agg(alias order by alias) from crime_type_aliases where crime_type_id = v_type.crime_type_id), '[]'::jsonb)
+  );
+end;
+$$;
+
+-- Analytics now resolve crime types through the catalogue. Crimes are first
+-- counted per raw crime_type so the lookup runs once per distinct value.
+
+create or replace function analytics_crime_category(p_crime_type text)
+returns text
+language sql
+stable
+as $$
+  select nullif((resolve_crime_type(p_crime_type)).category, 'other');
+$$;
+
+create or replace function analytics_crimes_by_type(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (crime_type text, value integer)
+language sql
+stable
+as $$
+  select crime_type_label(raw.crime_type), sum(raw.crimes)::integer
+  from (
+    select c.crime_type, count(*) as crimes
+    from crimes c
+    where c.date >= p_start and c.date <= p_end
+    group by 1
+  ) raw
+  group by 1
+  order by 2 desc, 1;
+$$;
+
+create or replace function analytics_crimes_trend(
+  p_start timestamptz,
+  p_end timestamptz
+) returns table (name text, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  with raw as (
+    select extract(month from c.date) as month, to_char(c.date, 'Mon') as name, c.crime_type, count(*) as crimes
+    from crimes c
+    where c.date >= p_start and c.date <= p_end
+    group by 1, 2, 3
+  )
+  select
+    name,
+    coalesce(sum(crimes) filter (where analytics_crime_category(crime_type) = 'violent'), 0)::integer,
+    coalesce(sum(crimes) filter (where analytics_crime_category(crime_type) = 'property'), 0)::integer,
+    coalesce(sum(crimes) filter (where analytics_crime_category(crime_type) = 'cyber'), 0)::integer
+  from raw
+  group by month, name
+  order by month;
+$$;
+
+create or replace function analytics_crimes_trend_buckets(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_granularity text
+) returns table (name text, "periodStart" date, violent integer, property integer, cyber integer)
+language sql
+stable
+as $$
+  with raw as (
+    select date_trunc(p_granularity, c.date::timestamptz) as period, c.crime_type, count(*) as crimes
+    from crimes c
+    where c.date >= p_start and c.date <= p_end
+    group by 1, 2
+  ),
+  counts as (
+    select
+      period,
+      sum(crimes) filter (where analytics_crime_category(crime_type) = 'violent') as violent,
+      sum(crimes) filter (where analytics_crime_category(crime_type) = 'property') as property,
+      sum(crimes) filter (where analytics_crime_category(crime_type) = 'cyber') as cyber
+    from raw
+    group by 1
+  )
+  select
+    analytics_period_label(p.period, p_granularity),
+    p.period::date,
+    coalesce(c.violent, 0)::integer,
+    coalesce(c.property, 0)::integer,
+    coalesce(c.cyber, 0)::integer
+  from analytics_periods(p_start, p_end, p_granularity) as p(period)
+  left join counts c on c.period = p.period
+  order by p.period;
+$$;
+
+create or replace function analytics_crime_time_distribution(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_timezone text,
+  p_crime_types text[] default null,
+  p_areas text[] default null
+) returns table (weekday integer, hour integer, crimes integer)
+language sql
+stable
+as $$
+  select
+    extract(isodow from c.date::timestamptz at time zone p_timezone)::integer,
+    extract(hour from c.date::timestamptz at time zone p_timezone)::integer,
+    count(*)::integer
+  from crimes c
+  where c.date >= p_start and c.date <= p_end
+    and (p_crime_types is null or lower(btrim(c.crime_type)) = any (crime_type_spellings(p_crime_types)))
+    and (p_areas is null or exists (
+      select 1
+      from crime_locations l
+      join areas a on a.area_id = l.area_id
+      where l.location_id = c.location_id and a.name = any (p_areas)
+    ))
+  group by 1, 2;
+$$;
+
+create or replace function analytics_crimes_vs_arrests(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_non_clearing text[],
+  p_crime_type text default null
+) returns table (name text, crimes integer, arrests integer, cleared integer)
+language sql
+stable
+as $$
+  select
+    crime_type_label(raw.crime_type),
+    sum(raw.crimes)::integer,
+    sum(raw.arrests)::integer,
+    sum(raw.cleared)::integer
+  from (
+    select
+      c.crime_type,
+      count(*) as crimes,
+      coalesce(sum(a.arrests), 0) as arrests,
+      count(*) filter (where a.clearing > 0) as cleared
+    from crimes c
+    left join lateral (
+      select
+        count(*) as arrests,
+        count(*) filter (where ar.disposition is null or ar.disposition <> all (p_non_clearing)) as clearing
+      from arrests ar
+      where ar.crime_id = c.crime_id
+    ) a on true
+    where c.date >= p_start and c.date <= p_end
+      and (p_crime_type is null or lower(btrim(c.crime_type)) = any (crime_type_spellings(array[p_crime_type])))
+    group by 1
+  ) raw
+  group by 1
+  order by 2 desc, 1;
+$$;
+
+-- Crime points are merged per canonical type and carry its severity weight
+-- (null for uncatalogued types). The return type changes, so drop it first.
+drop function if exists analytics_crime_points(timestamptz, timestamptz, text[]);
+
+create or replace function analytics_crime_points(
+  p_start timestamptz,
+  p_end timestamptz,
+  p_crime_types text[] default null
+) returns table (
+  crime_type text,
+  latitude double precision,
+  longitude double precision,
+  crimes integer,
+  severity_weight double precision
+)
+language sql
+stable
+as $$
+  with raw as (
+    select
+      c.crime_type,
+      round(l.latitude::numeric, 4)::double precision as latitude,
+      round(l.longitude::numeric, 4)::double precision as longitude,
+      count(*) as crimes
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    where (p_start is null or c.date >= p_start)
+      and (p_end is null or c.date <= p_end)
+      and l.latitude is not null and l.longitude is not null
+      and (p_crime_types is null or lower(btrim(c.crime_type)) = any (crime_type_spellings(p_crime_types)))
+    group by 1, 2, 3
+  ),
+  labelled as (
+    select (resolve_crime_type(crime_type)) as type, crime_type, latitude, longitude, crimes
+    from raw
+  )
+  select
+    coalesce((type).name, crime_type),
+    latitude,
+    longitude,
+    sum(crimes)::integer,
+    (type).severity_weight::double precision
+  from labelled
+  group by 1, 2, 3, 5
+  order by 2, 3, 1;
+$$;
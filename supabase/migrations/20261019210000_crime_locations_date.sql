@@ -0,0 +1,43 @@
+-- Spatial crime search now returns each crime's date, so route scoring can
+-- weight crimes by time of day and recency like the unfiltered
+-- /api/crime-locations query. The return type changes, so drop it first.
+drop function if exists crime_locations_search(
+  double precision, double precision, double precision, double precision,
+  double precision, double precision, double precision
+);
+
+create or replace function crime_locations_search(
+  p_min_lng double precision default null,
+  p_min_lat double precision default null,
+  p_max_lng double precision default null,
+  p_max_lat double precision default null,
+  p_lat double precision default null,
+  p_lng double precision default null,
+  p_radius_m double precision default null
+) returns table (
+  crime_id bigint,
+  crime_type text,
+  description text,
+  date timestamptz,
+  latitude double precision,
+  longitude double precision,
+  distance_m double precision
+)
+language sql
+stable
+as $$
+  select
+    c.crime_id,
+    c.crime_type,
+    c.description,
+    c.date::timestamptz,
+    l.latitude,
+    l.longitude,
+    extensions.st_distance(geo_point(l.latitude, l.longitude), geo_point(p_lat, p_lng))
+  from crimes c
+  join crime_locations l on l.location_id = c.location_id
+  where (p_min_lng is null or geo_point(l.latitude, l.longitude)
+          operator(extensions.&&) extensions.st_makeenvelope(p_min_lng, p_min_lat, p_max_lng, p_max_lat, 4326)::extensions.geography)
+    and (p_radius_m is null or extensions.st_dwithin(geo_point(l.latitude, l.longitude), geo_point(p_lat, p_lng), p_radius_m))
+  order by 7 nulls last, c.crime_id;
+$$;
@@ -0,0 +1,36 @@
+-- Crimes per area now count only crimes dated in p_year, the year whose
+-- population figure the rates divide by. Every area is listed, with 0 crimes
+-- when it had none. The signature changes, so drop the old function first.
+drop function if exists analytics_crimes_per_area();
+
+create or replace function analytics_crimes_per_area(p_year integer)
+returns table (
+  area_id bigint,
+  name text,
+  land_area_km2 numeric,
+  crimes integer,
+  area_populations jsonb
+)
+language sql
+stable
+as $$
+  select
+    a.area_id,
+    a.name,
+    a.land_area_km2,
+    coalesce(counts.crimes, 0),
+    coalesce((
+      select jsonb_agg(jsonb_build_object('effective_year', p.effective_year, 'population', p.population))
+      from area_populations p
+      where p.area_id = a.area_id
+    ), '[]'::jsonb)
+  from areas a
+  left join (
+    select l.area_id, count(*)::integer as crimes
+    from crimes c
+    join crime_locations l on l.location_id = c.location_id
+    where c.date >= make_date(p_year, 1, 1) and c.date < make_date(p_year + 1, 1, 1)
+    group by l.area_id
+  ) counts on counts.area_id = a.area_id
+  order by 4 desc, a.area_id;
+$$;
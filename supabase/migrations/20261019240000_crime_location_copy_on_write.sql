@@ -0,0 +1,78 @@
+-- Crime locations can be shared by several crimes (delete_crime_with_relations
+-- only removes a location nobody else uses), so editing one crime's
+-- coordinates or area must not move the others. When the location is shared,
+-- the edited crime now gets its own copy; otherwise it is updated in place.
+create or replace function update_crime_with_relations(
+  p_crime_id bigint,
+  p_crime_type text default null,
+  p_description text default null,
+  p_date timestamptz default null,
+  p_latitude double precision default null,
+  p_longitude double precision default null,
+  p_area_name text default null,
+  p_criminal_ids bigint[] default null,
+  p_victim_ids bigint[] default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_crime crimes;
+  v_area_id bigint;
+  v_location_id bigint;
+begin
+  update crimes
+  set crime_type = coalesce(p_crime_type, crime_type),
+      description = coalesce(p_description, description),
+      date = coalesce(p_date, date)
+  where crime_id = p_crime_id
+  returning * into v_crime;
+
+  if not found then
+    return null;
+  end if;
+
+  if p_area_name is not null then
+    select area_id into v_area_id from areas where name = p_area_name;
+    if not found then
+      insert into areas (name) values (p_area_name) returning area_id into v_area_id;
+    end if;
+  end if;
+
+  if p_latitude is not null or p_longitude is not null or v_area_id is not null then
+    if exists (select 1 from crimes where location_id = v_crime.location_id and crime_id <> p_crime_id) then
+      -- Other crimes share this location: give this crime its own edited copy
+      insert into crime_locations (latitude, longitude, area_id)
+      select coalesce(p_latitude, latitude), coalesce(p_longitude, longitude), coalesce(v_area_id, area_id)
+      from crime_locations
+      where location_id = v_crime.location_id
+      returning location_id into v_location_id;
+
+      update crimes set location_id = v_location_id where crime_id = p_crime_id
+      returning * into v_crime;
+    else
+      update crime_locations
+      set latitude = coalesce(p_latitude, latitude),
+          longitude = coalesce(p_longitude, longitude),
+          area_id = coalesce(v_area_id, area_id)
+      where location_id = v_crime.location_id;
+    end if;
+  end if;
+
+  if p_criminal_ids is not null then
+    delete from crime_criminal where crime_id = p_crime_id;
+    insert into crime_criminal (crime_id, criminal_id)
+    select p_crime_id, unnest(p_criminal_ids);
+  end if;
+
+  if p_victim_ids is not null then
+    delete from crime_victim where crime_id = p_crime_id;
+    insert into crime_victim (crime_id, victim_id)
+    select p_crime_id, unnest(p_victim_ids);
+  end if;
+
+  return to_jsonb(v_crime) || jsonb_build_object(
+    'criminals', (select coalesce(jsonb_agg(criminal_id), '[]'::jsonb) from crime_criminal where crime_id = p_crime_id),
+    'victims', (select coalesce(jsonb_agg(victim_id), '[]'::jsonb) from crime_victim where crime_id = p_crime_id)
+  );
+end;
+$$;
@@ -0,0 +1,39 @@
+-- Create an area and its population figures in one transaction, so a failed
+-- population insert cannot leave an area behind without them.
+-- p_populations is a JSON array of { effective_year, population, demographics? }.
+-- Returns the area with a `populations` array, newest first.
+create or replace function create_area_with_populations(
+  p_name text,
+  p_land_area_km2 numeric default null,
+  p_populations jsonb default '[]'::jsonb
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_area areas;
+begin
+  insert into areas (name, land_area_km2)
+  values (p_name, p_land_area_km2)
+  returning * into v_area;
+
+  insert into area_populations (area_id, effective_year, population, demographics)
+  select
+    v_area.area_id,
+    (figure ->> 'effective_year')::integer,
+    (figure ->> 'population')::integer,
+    coalesce(figure -> 'demographics', '{}'::jsonb)
+  from jsonb_array_elements(coalesce(p_populations, '[]'::jsonb)) as figure;
+
+  return to_jsonb(v_area) || jsonb_build_object(
+    'populations', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'effective_year', p.effective_year,
+        'population', p.population,
+        'demographics', p.demographics
+      ) order by p.effective_year desc), '[]'::jsonb)
+      from area_populations p
+      where p.area_id = v_area.area_id
+    )
+  );
+end;
+$$;
@@ -0,0 +1,93 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { fetchAllAnalyticsData, fetchPredictionAnalytics, fetchCrimeLocationsForPathfinding } from '../utils/analyticsDataFetcher.js';
+import { UpstreamError } from '../utils/errors.js';
+
+afterEach(() => mock.restoreAll());
+
+test('fetches crime locations for the timeframe', async () => {
+  const crimes = [{ crime_id: 1, crime_type: 'Theft', crime_locations: { latitude: 24.86, longitude: 67.0 } }];
+  const get = mock.method(axios, 'get', async () => ({ data: crimes }));
+
+  const result = await fetchCrimeLocationsForPathfinding('30');
+
+  assert.deepEqual(result, crimes);
+  assert.equal(get.mock.callCount(), 1);
+  const url = new URL(get.mock.calls[0].arguments[0]);
+  assert.equal(url.pathname, '/api/crime-locations');
+  const days = (new Date(url.searchParams.get('end')) - new Date(url.searchParams.get('start'))) / 86400000;
+  assert.ok(days >= 29 && days <= 31);
+});
+
+test('fails instead of routing without crime data', async () => {
+  mock.method(axios, 'get', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+
+  await assert.rejects(
+    fetchCrimeLocationsForPathfinding('30'),
+    error => error instanceof UpstreamError && error.code === 'CRIME_DATA_UNAVAILABLE'
+  );
+});
+
+test('forwards the caller\'s credentials to every analytics request', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: { data: [] } }));
+
+  await fetchAllAnalyticsData('30', 'Bearer analyst-token');
+
+  assert.ok(get.mock.callCount() > 0);
+  get.mock.calls.forEach(call => {
+    assert.deepEqual(call.arguments[1], { headers: { Authorization: 'Bearer analyst-token' } });
+  });
+});
+
+test('sends no Authorization header for anonymous callers', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: { data: [] } }));
+
+  await fetchAllAnalyticsData('30');
+
+  get.mock.calls.forEach(call => assert.deepEqual(call.arguments[1], { headers: {} }));
+});
+
+test('forwards the caller\'s credentials to the analytics behind AI predictions', async () => {
+  const get = mock.method(axios, 'get', async url => ({ data: [{ url }] }));
+
+  const result = await fetchPredictionAnalytics('7', 'Bearer analyst-token');
+
+  assert.equal(get.mock.callCount(), 5);
+  get.mock.calls.forEach(call => {
+    assert.match(call.arguments[0], /\/api\/analytics\//);
+    assert.deepEqual(call.arguments[1], { headers: { Authorization: 'Bearer analyst-token' } });
+  });
+  assert.match(result.crimesByType[0].url, /crimes-by-type\?start=\d{4}-\d{2}-\d{2}&end=/);
+  assert.equal(result.metadata.timeframeInDays, 7);
+});
+
+test('an analytics request the caller may not make yields no data for it', async () => {
+  mock.method(axios, 'get', async url => {
+    if (url.includes('crimes-by-area')) {
+      throw Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+    }
+    return { data: [{ name: 'Clifton', crimes: 4 }] };
+  });
+
+  const result = await fetchPredictionAnalytics('30');
+
+  assert.deepEqual(result.crimesByArea, []);
+  assert.deepEqual(result.crimesByType, [{ name: 'Clifton', crimes: 4 }]);
+});
+
+test('requests the time distribution for the timeframe, not all time', async () => {
+  const get = mock.method(axios, 'get', async () => ({ data: [] }));
+
+  await fetchAllAnalyticsData('30');
+  await fetchPredictionAnalytics('30');
+
+  const windows = get.mock.calls
+    .map(call => new URL(call.arguments[0]))
+    .filter(url => url.pathname === '/api/analytics/crime-time-distribution')
+    .map(url => (new Date(url.searchParams.get('end')) - new Date(url.searchParams.get('start'))) / 86400000);
+  assert.equal(windows.length, 2);
+  windows.forEach(days => assert.ok(days >= 29 && days <= 31));
+});
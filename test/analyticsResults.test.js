@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  toTimeMatrix, toHourlyDistribution, toAgeDistribution, compareCounts, formatWorkload, HOUR_LABELS, WEEKDAYS, AGE_GROUPS
+} from '../utils/analyticsResults.js';
+
+test('hour labels run from 00:00 to 23:00 and weekdays from Monday', () => {
+  assert.equal(HOUR_LABELS.length, 24);
+  assert.equal(HOUR_LABELS[0], '00:00');
+  assert.equal(HOUR_LABELS[23], '23:00');
+  assert.deepEqual([WEEKDAYS[0], WEEKDAYS[6]], ['Mon', 'Sun']);
+});
+
+test('toTimeMatrix places each cell by weekday and local hour', () => {
+  const { matrix, total } = toTimeMatrix([
+    { weekday: 1, hour: 0, crimes: 2 },
+    { weekday: 7, hour: 23, crimes: 5 },
+    { weekday: 3, hour: 14, crimes: 1 }
+  ]);
+
+  assert.equal(matrix.length, 7);
+  assert.ok(matrix.every(row => row.length === 24));
+  assert.equal(matrix[0][0], 2);
+  assert.equal(matrix[6][23], 5);
+  assert.equal(matrix[2][14], 1);
+  assert.equal(total, 8);
+});
+
+test('empty cells and days are zero', () => {
+  const { matrix, total } = toTimeMatrix([]);
+
+  assert.equal(total, 0);
+  assert.ok(matrix.flat().every(count => count === 0));
+  assert.deepEqual(toHourlyDistribution(matrix)[9], { hour: '09:00', crimes: 0 });
+});
+
+test('toHourlyDistribution sums each hour across weekdays', () => {
+  // Cells arrive already shifted to local time, so only the weekdays are summed
+  const { matrix } = toTimeMatrix([
+    { weekday: 1, hour: 3, crimes: 4 },
+    { weekday: 5, hour: 3, crimes: 1 },
+    { weekday: 5, hour: 22, crimes: 2 }
+  ]);
+
+  const hourly = toHourlyDistribution(matrix);
+
+  assert.equal(hourly.length, 24);
+  assert.deepEqual(hourly[3], { hour: '03:00', crimes: 5 });
+  assert.deepEqual(hourly[22], { hour: '22:00', crimes: 2 });
+  assert.equal(hourly.reduce((sum, { crimes }) => sum + crimes, 0), 7);
+});
+
+test('toAgeDistribution lists every age group in order, empty ones as 0', () => {
+  // The RPCs return only non-empty groups, largest first
+  const rows = [{ age: '25-34', count: 9 }, { age: 'Under 18', count: 2 }, { age: '55+', count: 1 }];
+
+  assert.deepEqual(toAgeDistribution(rows), [
+    { age: 'Under 18', count: 2 },
+    { age: '18-24', count: 0 },
+    { age: '25-34', count: 9 },
+    { age: '35-44', count: 0 },
+    { age: '45-54', count: 0 },
+    { age: '55+', count: 1 }
+  ]);
+  assert.deepEqual(toAgeDistribution([]).map(({ count }) => count), [0, 0, 0, 0, 0, 0]);
+});
+
+test('the age groups match the ones the database assigns', () => {
+  const sql = readFileSync(new URL('../supabase/migrations/20261019130000_analytics_aggregates.sql', import.meta.url), 'utf8');
+  const body = sql.slice(sql.indexOf('function analytics_age_group'), sql.indexOf('$$;', sql.indexOf('function analytics_age_group')));
+  const labels = [...body.matchAll(/'([^']+)'/g)].map(match => match[1]);
+
+  assert.deepEqual(labels, AGE_GROUPS);
+});
+
+test('compareCounts flags a tripling over equal periods as significant', () => {
+  assert.deepEqual(compareCounts(30, 10, 0.5), {
+    current: 30,
+    baseline: 10,
+    delta: 20,
+    percentChange: 200,
+    zScore: 3.16,
+    significant: true
+  });
+});
+
+test('compareCounts does not flag small changes', () => {
+  const result = compareCounts(12, 10, 0.5);
+
+  assert.equal(result.percentChange, 20);
+  assert.equal(result.zScore, 0.43);
+  assert.equal(result.significant, false);
+});
+
+test('compareCounts weighs counts by the length of each period', () => {
+  // A 7-day week against the 28 days before it: 10 vs 40 is the same daily rate
+  const sameRate = compareCounts(10, 40, 7 / 35);
+  assert.equal(sameRate.delta, -30);
+  assert.equal(sameRate.zScore, 0);
+  assert.equal(sameRate.significant, false);
+
+  // while 20 in the week is twice the rate
+  assert.equal(compareCounts(20, 40, 7 / 35).significant, true);
+});
+
+test('compareCounts has no percent change without a baseline and no z-score without crimes', () => {
+  assert.equal(compareCounts(5, 0, 0.5).percentChange, null);
+  assert.deepEqual(compareCounts(0, 0, 0.5), {
+    current: 0, baseline: 0, delta: 0, percentChange: null, zScore: 0, significant: false
+  });
+});
+
+test('formatWorkload derives open cases, clearance rate and median hours', () => {
+  const workload = formatWorkload({
+    station_id: 3, station_name: 'Saddar', latitude: 24.86, longitude: 67.01,
+    crimes: 12, arrests: 5, cleared: 4, median_hours: 30.456
+  });
+
+  assert.deepEqual(workload, {
+    station_id: 3,
+    station_name: 'Saddar',
+    crimes: 12,
+    arrests: 5,
+    cleared: 4,
+    openCases: 8,
+    clearanceRate: 33.33,
+    medianHoursToArrest: 30.5
+  });
+});
+
+test('formatWorkload reports a station without crimes or arrests as 0% cleared with no median', () => {
+  const workload = formatWorkload({
+    station_id: 4, station_name: 'Clifton', crimes: 0, arrests: 0, cleared: 0, median_hours: null
+  });
+
+  assert.equal(workload.openCases, 0);
+  assert.equal(workload.clearanceRate, 0);
+  assert.equal(workload.medianHoursToArrest, null);
+});
@@ -0,0 +1,99 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// The Mongo client must be constructible before it is imported; it never connects
+process.env.MONGODB_URL = 'mongodb://127.0.0.1:27017';
+
+const { default: client } = await import('../utils/mongodbClient.js');
+const { recordAudit } = await import('../utils/auditLog.js');
+const { UpstreamError, requestId, errorHandler } = await import('../utils/errors.js');
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Point the audit collection at a stub insertOne
+ * @param {Function} insertOne - Stub implementation
+ * @returns {Object} Mocked insertOne
+ */
+function stubAuditCollection(insertOne) {
+  const insert = mock.fn(insertOne);
+  mock.method(client, 'db', () => ({ collection: name => (name === 'audit_log' ? { insertOne: insert } : null) }));
+  return insert;
+}
+
+const req = {
+  user: { id: '42', email: 'officer@example.com', name: 'Officer', role: 'officer' },
+  method: 'PUT',
+  originalUrl: '/api/victims/7',
+  ip: '10.0.0.1'
+};
+
+test('writes who changed what, with before and after snapshots', async () => {
+  const insert = stubAuditCollection(async () => ({ acknowledged: true }));
+
+  await recordAudit(req, { entity: 'victims', entityId: 7, action: 'update', before: { age: 30 }, after: { age: 31 } });
+
+  assert.equal(insert.mock.callCount(), 1);
+  const { timestamp, ...entry } = insert.mock.calls[0].arguments[0];
+  assert.ok(timestamp instanceof Date);
+  assert.deepEqual(entry, {
+    entity: 'victims',
+    entity_id: '7',
+    action: 'update',
+    actor: { id: '42', email: 'officer@example.com', role: 'officer' },
+    before: { age: 30 },
+    after: { age: 31 },
+    request: { method: 'PUT', path: '/api/victims/7', ip: '10.0.0.1' }
+  });
+});
+
+test('records anonymous actors and missing snapshots as null', async () => {
+  const insert = stubAuditCollection(async () => ({ acknowledged: true }));
+
+  await recordAudit({ ...req, user: null }, { entity: 'crimes', entityId: 3, action: 'create' });
+
+  const [entry] = insert.mock.calls[0].arguments;
+  assert.equal(entry.actor, null);
+  assert.equal(entry.before, null);
+  assert.equal(entry.after, null);
+});
+
+test('a failed write rejects with AUDIT_WRITE_FAILED', async () => {
+  const cause = new Error('not primary');
+  stubAuditCollection(async () => { throw cause; });
+  const logged = mock.method(console, 'error', () => {});
+
+  await assert.rejects(
+    recordAudit(req, { entity: 'victims', entityId: 7, action: 'delete' }),
+    error => error instanceof UpstreamError && error.code === 'AUDIT_WRITE_FAILED' && error.cause === cause
+  );
+  // The entry is logged so it can be reconstructed
+  assert.match(logged.mock.calls[0].arguments[1], /"entity_id":"7"/);
+});
+
+test('the error middleware reports a failed write as 502', async () => {
+  stubAuditCollection(async () => { throw new Error('not primary'); });
+  mock.method(console, 'error', () => {});
+
+  const app = express();
+  app.use(requestId);
+  app.delete('/api/victims/:id', async (req, res) => {
+    await recordAudit(req, { entity: 'victims', entityId: req.params.id, action: 'delete' });
+    res.json({ message: 'Victim deleted successfully' });
+  });
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  try {
+    await new Promise(resolve => server.once('listening', resolve));
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/api/victims/7`, { method: 'DELETE' });
+    const body = await res.json();
+
+    assert.equal(res.status, 502);
+    assert.equal(body.code, 'AUDIT_WRITE_FAILED');
+    assert.equal(body.requestId, res.headers.get('x-request-id'));
+  } finally {
+    server.close();
+  }
+});
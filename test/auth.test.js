@@ -0,0 +1,192 @@
+import { test, mock, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ObjectId } from 'mongodb';
+
+// Configure the clients before they are imported: Redis must not connect on
+// its own, and every command it would run is stubbed below
+process.env.REDIS_URL = 'redis://127.0.0.1:6379?lazyConnect=true';
+process.env.MONGODB_URL = 'mongodb://127.0.0.1:27017';
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: redis } = await import('../utils/redisClient.js');
+const { default: client } = await import('../utils/mongodbClient.js');
+const { createAuthRouter } = await import('../routes/auth.js');
+const { authenticate } = await import('../utils/authMiddleware.js');
+const { requestId, notFoundHandler, errorHandler } = await import('../utils/errors.js');
+
+// In-memory stand-in for the Redis commands the auth flow uses
+const store = new Map();
+mock.method(redis, 'setex', async (key, ttl, value) => {
+  store.set(key, value);
+  return 'OK';
+});
+mock.method(redis, 'getdel', async key => {
+  const value = store.get(key) ?? null;
+  store.delete(key);
+  return value;
+});
+mock.method(redis, 'exists', async key => (store.has(key) ? 1 : 0));
+mock.method(redis, 'del', async key => (store.delete(key) ? 1 : 0));
+
+// In-memory users collection
+const users = [];
+mock.method(client, 'db', () => ({
+  collection: () => ({
+    async findOneAndUpdate({ provider, provider_id }, { $set, $setOnInsert }) {
+      let user = users.find(doc => doc.provider === provider && doc.provider_id === provider_id);
+      if (!user) {
+        user = { _id: new ObjectId(), provider, provider_id, ...$setOnInsert };
+        users.push(user);
+      }
+      return Object.assign(user, $set);
+    },
+    async findOne({ _id }) {
+      return users.find(doc => doc._id.equals(_id)) ?? null;
+    }
+  })
+}));
+
+// Stub provider: every code signs in the same Google account
+const provider = {
+  getAuthorizationUrl: state => `https://accounts.example.test/consent?state=${state}`,
+  fetchProfile: mock.fn(async () => ({
+    provider: 'google',
+    providerId: 'google-123',
+    email: 'ayesha@example.com',
+    name: 'Ayesha Khan',
+    picture: null
+  }))
+};
+
+let baseUrl;
+let server;
+
+before(async () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use(authenticate);
+  app.use('/auth', createAuthRouter(provider));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/auth`;
+});
+
+after(() => {
+  server.close();
+  redis.disconnect();
+});
+
+const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers, redirect: 'manual' });
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Start the OAuth flow and return the state the provider was sent
+ * @returns {Promise<string>} OAuth state
+ */
+async function startSignIn() {
+  const res = await get('/google');
+  assert.equal(res.status, 302);
+  return new URL(res.headers.get('location')).searchParams.get('state');
+}
+
+/**
+ * Complete a sign-in through the stub provider
+ * @returns {Promise<Object>} Callback response body
+ */
+async function signIn() {
+  const state = await startSignIn();
+  const res = await get(`/google/callback?code=auth-code&state=${state}`);
+  assert.equal(res.status, 200);
+  return res.json();
+}
+
+test('rejects a callback whose state was not issued', async () => {
+  await startSignIn();
+  const calls = provider.fetchProfile.mock.callCount();
+
+  const res = await get('/google/callback?code=auth-code&state=forged');
+
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).code, 'INVALID_OAUTH_STATE');
+  assert.equal(provider.fetchProfile.mock.callCount(), calls);
+});
+
+test('rejects a state that was already used', async () => {
+  const state = await startSignIn();
+
+  assert.equal((await get(`/google/callback?code=auth-code&state=${state}`)).status, 200);
+  const replay = await get(`/google/callback?code=auth-code&state=${state}`);
+
+  assert.equal(replay.status, 400);
+  assert.equal((await replay.json()).code, 'INVALID_OAUTH_STATE');
+});
+
+test('creates an unknown user as community on first sign-in', async () => {
+  users.length = 0;
+
+  const body = await signIn();
+
+  assert.equal(users.length, 1);
+  assert.equal(body.user.email, 'ayesha@example.com');
+  assert.equal(body.user.role, 'community');
+  assert.ok(body.accessToken && body.refreshToken);
+
+  const status = await (await get('/status', { Authorization: `Bearer ${body.accessToken}` })).json();
+  assert.equal(status.authenticated, true);
+  assert.equal(status.user.id, String(users[0]._id));
+});
+
+test('rotates refresh tokens and rejects reuse', async () => {
+  const { refreshToken } = await signIn();
+
+  const res = await post('/refresh', { refreshToken });
+  assert.equal(res.status, 200);
+  const rotated = await res.json();
+  assert.notEqual(rotated.refreshToken, refreshToken);
+
+  const reuse = await post('/refresh', { refreshToken });
+  assert.equal(reuse.status, 401);
+  assert.equal((await reuse.json()).code, 'INVALID_TOKEN');
+
+  assert.equal((await post('/refresh', { refreshToken: rotated.refreshToken })).status, 200);
+});
+
+test('refresh picks up role changes and rejects deleted users', async () => {
+  const first = await signIn();
+  users[0].role = 'analyst';
+
+  const refreshed = await (await post('/refresh', { refreshToken: first.refreshToken })).json();
+  const status = await (await get('/status', { Authorization: `Bearer ${refreshed.accessToken}` })).json();
+  assert.equal(status.user.role, 'analyst');
+
+  users.length = 0;
+  const res = await post('/refresh', { refreshToken: refreshed.refreshToken });
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).code, 'INVALID_TOKEN');
+});
+
+test('logout revokes the access and refresh tokens', async () => {
+  const { accessToken, refreshToken } = await signIn();
+  const auth = { Authorization: `Bearer ${accessToken}` };
+
+  const res = await post('/logout', { refreshToken }, auth);
+  assert.equal(res.status, 200);
+
+  const status = await get('/status', auth);
+  assert.equal(status.status, 401);
+  assert.equal((await status.json()).code, 'INVALID_TOKEN');
+  assert.equal((await post('/refresh', { refreshToken })).status, 401);
+});
+
+test('logout requires a signed-in user', async () => {
+  assert.equal((await post('/logout', {})).status, 401);
+});
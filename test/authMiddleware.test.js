@@ -0,0 +1,86 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+// Redis must not connect on its own; the revocation check is stubbed below
+process.env.REDIS_URL = 'redis://127.0.0.1:6379?lazyConnect=true';
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: redis } = await import('../utils/redisClient.js');
+const { authenticate, requireRole, requireAuth, isOwnerOrRole, STAFF_ROLES, ANALYST_ROLES } =
+  await import('../utils/authMiddleware.js');
+
+const revoked = new Set();
+mock.method(redis, 'exists', async key => (revoked.has(key) ? 1 : 0));
+
+/**
+ * Run a middleware and return what it passed to next()
+ * @param {Function} middleware - Express middleware
+ * @param {Object} req - Request stub
+ * @returns {Promise<*>} Argument given to next (undefined when the request may continue)
+ */
+function run(middleware, req) {
+  return new Promise(resolve => middleware(req, {}, resolve));
+}
+
+const user = role => ({ id: '42', email: 'user@example.com', name: 'User', role });
+const token = (claims, options = {}) => jwt.sign(claims, 'test-secret', { expiresIn: 60, jwtid: 'jti-1', ...options });
+
+test('authenticate resolves the caller from a bearer token', async () => {
+  const req = { headers: { authorization: `Bearer ${token({ sub: '42', email: 'user@example.com', name: 'User', role: 'officer' })}` } };
+
+  assert.equal(await run(authenticate, req), undefined);
+  assert.deepEqual(req.user, user('officer'));
+  assert.equal(req.auth.jti, 'jti-1');
+});
+
+test('authenticate treats requests without a token as anonymous', async () => {
+  const req = { headers: {} };
+
+  assert.equal(await run(authenticate, req), undefined);
+  assert.equal(req.user, null);
+});
+
+test('authenticate defaults a token without a role to community', async () => {
+  const req = { headers: { authorization: `Bearer ${token({ sub: '42' })}` } };
+
+  await run(authenticate, req);
+  assert.equal(req.user.role, 'community');
+});
+
+test('authenticate rejects malformed, forged, expired and revoked tokens with 401', async () => {
+  const rejected = async authorization => run(authenticate, { headers: { authorization } });
+
+  assert.equal((await rejected('Token abc')).code, 'MALFORMED_AUTH_HEADER');
+  assert.equal((await rejected(`Bearer ${jwt.sign({ sub: '42' }, 'other-secret')}`)).code, 'INVALID_TOKEN');
+  assert.equal((await rejected(`Bearer ${token({ sub: '42' }, { expiresIn: -10 })}`)).code, 'INVALID_TOKEN');
+
+  revoked.add('auth:revoked:jti-1');
+  const error = await rejected(`Bearer ${token({ sub: '42' })}`);
+  revoked.clear();
+  assert.equal(error.status, 401);
+  assert.equal(error.code, 'INVALID_TOKEN');
+});
+
+test('requireRole lets only the listed roles through', async () => {
+  const staffOnly = requireRole(...STAFF_ROLES);
+
+  assert.equal(await run(staffOnly, { user: user('officer') }), undefined);
+  assert.equal(await run(staffOnly, { user: user('admin') }), undefined);
+  assert.equal((await run(staffOnly, { user: user('analyst') })).status, 403);
+  assert.equal((await run(staffOnly, { user: null })).status, 401);
+  assert.equal(await run(requireRole(...ANALYST_ROLES), { user: user('analyst') }), undefined);
+  assert.equal((await run(requireRole(...ANALYST_ROLES), { user: user('community') })).status, 403);
+});
+
+test('requireAuth rejects anonymous callers', async () => {
+  assert.equal(await run(requireAuth, { user: user('community') }), undefined);
+  assert.equal((await run(requireAuth, { user: null })).status, 401);
+});
+
+test('isOwnerOrRole allows the owner or the given roles', () => {
+  assert.equal(isOwnerOrRole(user('community'), 42, ['admin']), true);
+  assert.equal(isOwnerOrRole(user('community'), '7', ['admin']), false);
+  assert.equal(isOwnerOrRole(user('admin'), '7', ['admin']), true);
+  assert.equal(isOwnerOrRole(null, '7', ['admin']), false);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCrimeFeatureCollection, buildTileIndex, encodeTile, CLUSTER_MAX_ZOOM } from '../utils/crimeTiles.js';
+
+// Three locations on one Karachi block and one across town
+const POINTS = [
+  { crime_type: 'Theft', latitude: 24.8607, longitude: 67.0011, crimes: 4 },
+  { crime_type: 'Robbery', latitude: 24.8609, longitude: 67.0013, crimes: 1 },
+  { crime_type: 'Theft', latitude: 24.8611, longitude: 67.0009, crimes: 2 },
+  { crime_type: 'Assault', latitude: 24.9200, longitude: 67.1000, crimes: 3 }
+];
+
+/**
+ * Tile coordinates containing a point at a zoom (Web Mercator)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} z - Zoom
+ * @returns {Array} [x, y]
+ */
+function tileFor(lat, lng, z) {
+  const n = 2 ** z;
+  const latRad = lat * Math.PI / 180;
+  return [
+    Math.floor((lng + 180) / 360 * n),
+    Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+  ];
+}
+
+test('toCrimeFeatureCollection makes [lng, lat] points and skips crimes without coordinates', () => {
+  const collection = toCrimeFeatureCollection([
+    { crime_id: 1, crime_type: 'Theft', crime_locations: { latitude: '24.8607', longitude: '67.0011' } },
+    { crime_id: 2, crime_type: 'Theft', crime_locations: null },
+    { crime_id: 3, crime_type: 'Theft', crime_locations: { latitude: null, longitude: 67 } }
+  ]);
+
+  assert.deepEqual(collection, {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      id: 1,
+      properties: { crime_id: 1, crime_type: 'Theft' },
+      geometry: { type: 'Point', coordinates: [67.0011, 24.8607] }
+    }]
+  });
+});
+
+test('clusters nearby locations at low zoom and sums their crimes', () => {
+  const index = buildTileIndex(POINTS);
+  const [x, y] = tileFor(24.8607, 67.0011, 10);
+  const features = index.getTile(10, x, y).features;
+
+  const clusters = features.filter(feature => feature.tags.cluster);
+  assert.equal(clusters.length, 1);
+  assert.equal(clusters[0].tags.point_count, 3);
+  assert.equal(clusters[0].tags.crimes, 7);
+});
+
+test('keeps every location separate above the cluster zoom', () => {
+  const index = buildTileIndex(POINTS);
+  const z = CLUSTER_MAX_ZOOM + 2;
+  const [x, y] = tileFor(24.8609, 67.0011, z);
+  const features = index.getTile(z, x, y).features;
+
+  assert.equal(features.length, 3);
+  assert.ok(features.every(feature => !feature.tags.cluster));
+  assert.deepEqual(features.map(feature => feature.tags.crimes).sort(), [1, 2, 4]);
+  assert.ok(features.some(feature => feature.tags.crime_type === 'Robbery'));
+});
+
+test('encodeTile returns a vector tile with the crimes layer', () => {
+  const index = buildTileIndex(POINTS);
+  const [x, y] = tileFor(24.8607, 67.0011, 12);
+  const tile = encodeTile(index, 12, x, y);
+
+  assert.ok(Buffer.isBuffer(tile));
+  // Layer message (field 3), then its name (field 1) and version (field 15)
+  assert.equal(tile[0], 0x1a);
+  assert.ok(tile.includes('crimes'));
+  assert.ok(tile.includes(Buffer.from([0x78, 0x02])));
+});
+
+test('encodeTile returns null for tiles without crimes', () => {
+  const index = buildTileIndex(POINTS);
+  const [x, y] = tileFor(-33.86, 151.21, 12);
+
+  assert.equal(encodeTile(index, 12, x, y), null);
+  assert.equal(encodeTile(buildTileIndex([]), 0, 0, 0), null);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDateParams, resolveBaseline, rangeDays, DATE_PRESETS } from '../utils/dateRange.js';
+
+// Late on a Wednesday, so UTC day boundaries matter
+const TODAY = new Date('2026-10-14T23:30:00Z');
+
+test('last_Nd presets cover N days ending today', () => {
+  const expected = { last_7d: '2026-10-08', last_30d: '2026-09-15', last_90d: '2026-07-17' };
+
+  Object.entries(expected).forEach(([range, start]) => {
+    const dates = validateDateParams({ range }, TODAY);
+    assert.deepEqual(dates, { formattedStart: start, formattedEnd: '2026-10-14' });
+    assert.equal(rangeDays(dates), Number(range.match(/\d+/)[0]));
+  });
+});
+
+test('calendar presets start on the first of the month or year', () => {
+  assert.deepEqual(validateDateParams({ range: 'this_month' }, TODAY), { formattedStart: '2026-10-01', formattedEnd: '2026-10-14' });
+  assert.deepEqual(validateDateParams({ range: 'ytd' }, TODAY), { formattedStart: '2026-01-01', formattedEnd: '2026-10-14' });
+  // On the first of the month the range is that single day
+  assert.equal(rangeDays(validateDateParams({ range: 'this_month' }, new Date('2026-03-01T00:00:00Z'))), 1);
+});
+
+test('presets cross month and year boundaries', () => {
+  const newYear = new Date('2026-01-03T12:00:00Z');
+
+  assert.equal(validateDateParams({ range: 'last_7d' }, newYear).formattedStart, '2025-12-28');
+  assert.equal(validateDateParams({ range: 'ytd' }, newYear).formattedStart, '2026-01-01');
+});
+
+test('every preset ends today', () => {
+  Object.keys(DATE_PRESETS).forEach(range => {
+    assert.equal(validateDateParams({ range }, TODAY).formattedEnd, '2026-10-14');
+  });
+});
+
+test('a range cannot be combined with start or end', () => {
+  assert.match(validateDateParams({ range: 'last_7d', start: '2026-10-01' }, TODAY).error, /either range or start\/end/);
+});
+
+test('start and end default relative to each other and today', () => {
+  assert.deepEqual(validateDateParams({}, TODAY), { formattedStart: '2026-07-16', formattedEnd: '2026-10-14' });
+  assert.deepEqual(validateDateParams({ end: '2026-03-31' }, TODAY), { formattedStart: '2025-12-31', formattedEnd: '2026-03-31' });
+  assert.deepEqual(validateDateParams({ start: '2026-10-01' }, TODAY), { formattedStart: '2026-10-01', formattedEnd: '2026-10-14' });
+});
+
+test('rejects invalid and reversed dates', () => {
+  assert.match(validateDateParams({ start: 'soon' }, TODAY).error, /Invalid date format/);
+  assert.match(validateDateParams({ start: '2026-10-02', end: '2026-10-01' }, TODAY).error, /on or before end/);
+  assert.equal(rangeDays(validateDateParams({ start: '2026-10-01', end: '2026-10-01' }, TODAY)), 1);
+});
+
+const range = (formattedStart, formattedEnd) => ({ formattedStart, formattedEnd });
+
+test('the previous period is as long as the current one and ends the day before it', () => {
+  const current = range('2026-10-08', '2026-10-14');
+  const baseline = resolveBaseline({}, current);
+
+  assert.deepEqual(baseline, range('2026-10-01', '2026-10-07'));
+  assert.equal(rangeDays(baseline), rangeDays(current));
+  assert.deepEqual(resolveBaseline({ baseline: 'previous_period' }, range('2026-03-01', '2026-03-31')), range('2026-01-29', '2026-02-28'));
+});
+
+test('the previous year is the same dates a year earlier', () => {
+  assert.deepEqual(resolveBaseline({ baseline: 'previous_year' }, range('2026-01-01', '2026-10-14')), range('2025-01-01', '2025-10-14'));
+});
+
+test('an explicit baseline is used as given', () => {
+  assert.deepEqual(
+    resolveBaseline({ baselineStart: '2025-06-01', baselineEnd: '2025-06-30' }, range('2026-10-01', '2026-10-14')),
+    range('2025-06-01', '2025-06-30')
+  );
+});
+
+test('rejects incomplete, reversed or conflicting baselines', () => {
+  const current = range('2026-10-01', '2026-10-14');
+
+  assert.match(resolveBaseline({ baselineStart: '2025-06-01' }, current).error, /given together/);
+  assert.match(resolveBaseline({ baselineStart: '2025-06-30', baselineEnd: '2025-06-01' }, current).error, /on or before/);
+  assert.match(resolveBaseline({ baseline: 'previous_year', baselineStart: '2025-06-01', baselineEnd: '2025-06-30' }, current).error, /either baseline/);
+});
@@ -0,0 +1,132 @@
+import { test, mock, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import {
+  ValidationError, NotFoundError, ConflictError, UpstreamError,
+  fromSupabaseError, requestId, notFoundHandler, errorHandler
+} from '../utils/errors.js';
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.get('/validation', () => {
+    throw new ValidationError('Validation failed', [{ location: 'query', field: 'limit', message: 'must be integer' }]);
+  });
+  app.get('/missing', () => {
+    throw new NotFoundError('Crime not found');
+  });
+  app.get('/upstream', async () => {
+    throw new UpstreamError('Failed to fetch crimes', { code: 'DATABASE_ERROR', cause: new Error('connection reset') });
+  });
+  app.get('/crash', () => {
+    throw new TypeError("Cannot read properties of undefined (reading 'crime_id')");
+  });
+  app.post('/echo', (req, res) => res.json(req.body));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+afterEach(() => mock.restoreAll());
+
+test('responds with the error\'s status, code, details and request ID', async () => {
+  const res = await fetch(`${baseUrl}/validation`);
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), {
+    error: 'Validation failed',
+    code: 'VALIDATION_FAILED',
+    requestId: res.headers.get('x-request-id'),
+    details: [{ location: 'query', field: 'limit', message: 'must be integer' }]
+  });
+});
+
+test('leaves details out when there are none', async () => {
+  const res = await fetch(`${baseUrl}/missing`);
+  const body = await res.json();
+
+  assert.equal(res.status, 404);
+  assert.equal(body.code, 'NOT_FOUND');
+  assert.ok(!('details' in body));
+});
+
+test('reuses a well-formed X-Request-Id and replaces anything else', async () => {
+  const reused = await fetch(`${baseUrl}/missing`, { headers: { 'X-Request-Id': 'client-req.42' } });
+  assert.equal(reused.headers.get('x-request-id'), 'client-req.42');
+  assert.equal((await reused.json()).requestId, 'client-req.42');
+
+  const replaced = await fetch(`${baseUrl}/missing`, { headers: { 'X-Request-Id': 'bad id; drop table' } });
+  assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('logs server errors with the request ID and hides unexpected messages', async () => {
+  const logged = mock.method(console, 'error', () => {});
+
+  const upstream = await fetch(`${baseUrl}/upstream`, { headers: { 'X-Request-Id': 'req-1' } });
+  assert.equal(upstream.status, 502);
+  assert.equal((await upstream.json()).code, 'DATABASE_ERROR');
+  assert.match(logged.mock.calls[0].arguments[0], /^\[req-1\] GET \/upstream failed/);
+  assert.equal(logged.mock.calls[0].arguments[1].message, 'connection reset');
+
+  const crash = await fetch(`${baseUrl}/crash`);
+  const body = await crash.json();
+  assert.equal(crash.status, 500);
+  assert.equal(body.code, 'INTERNAL_ERROR');
+  assert.equal(body.error, 'Internal server error');
+  assert.equal(logged.mock.callCount(), 2);
+});
+
+test('client errors are not logged', async () => {
+  const logged = mock.method(console, 'error', () => {});
+
+  await fetch(`${baseUrl}/validation`);
+
+  assert.equal(logged.mock.callCount(), 0);
+});
+
+test('reports malformed JSON bodies and unknown routes', async () => {
+  const malformed = await fetch(`${baseUrl}/echo`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"name": '
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).code, 'MALFORMED_JSON');
+
+  const unknown = await fetch(`${baseUrl}/nowhere`);
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(await unknown.json(), {
+    error: 'No route for GET /nowhere',
+    code: 'ROUTE_NOT_FOUND',
+    requestId: unknown.headers.get('x-request-id')
+  });
+});
+
+test('fromSupabaseError maps Postgres error codes to error classes', () => {
+  const cases = [
+    ['22P02', ValidationError, 'VALIDATION_FAILED', 400],
+    ['23505', ConflictError, 'DUPLICATE', 409],
+    ['23503', ConflictError, 'REFERENCE_CONFLICT', 409],
+    ['PGRST301', UpstreamError, 'DATABASE_ERROR', 502]
+  ];
+
+  cases.forEach(([code, ErrorClass, errorCode, status]) => {
+    const error = fromSupabaseError({ code, message: `postgres says ${code}` }, 'Failed to add crime');
+    assert.ok(error instanceof ErrorClass, code);
+    assert.equal(error.code, errorCode);
+    assert.equal(error.status, status);
+  });
+
+  // Database failures keep their own message out of the response but keep it as the cause
+  const failure = fromSupabaseError({ code: 'XX000', message: 'internal' }, 'Failed to add crime');
+  assert.equal(failure.message, 'Failed to add crime');
+  assert.equal(failure.cause.message, 'internal');
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectHotspots, assignHotspotsToNearestStation } from '../utils/hotspots.js';
+import { binGridCells } from '../utils/pathfindingAlgorithm.js';
+
+// About 10 m north / east at Karachi's latitude
+const STEP_LAT = 10 / 111320;
+const STEP_LNG = 10 / (111320 * Math.cos(24.86 * Math.PI / 180));
+
+const point = (north, east, crimes = 1, severity = 5) => ({
+  crime_type: 'Theft',
+  latitude: 24.86 + north * STEP_LAT,
+  longitude: 67.0 + east * STEP_LNG,
+  crimes,
+  severity_weight: severity
+});
+
+// 6 crimes of three types at one spot, so they share a cell, and one crime 1 km away
+const CLUSTERED = [
+  point(0, 0, 2, 22),
+  point(0, 0, 2, 11),
+  point(0, 0, 2, 5),
+  point(100, 100, 1, 5)
+];
+
+test('returns no hotspots without points', () => {
+  assert.deepEqual(detectHotspots([], { algorithm: 'grid', bandwidth: 200 }), []);
+});
+
+test('grid drops cells with fewer than minPoints crimes', () => {
+  const all = detectHotspots(CLUSTERED, { algorithm: 'grid', bandwidth: 200, minPoints: 1 });
+  const dense = detectHotspots(CLUSTERED, { algorithm: 'grid', bandwidth: 200, minPoints: 5 });
+
+  assert.equal(all.length, 2);
+  assert.equal(dense.length, 1);
+  assert.equal(dense[0].properties.crimes, 6);
+  assert.equal(dense[0].properties.intensity, 2 * 22 + 2 * 11 + 2 * 5);
+  assert.equal(dense[0].properties.score, 1);
+  assert.equal(dense[0].geometry.type, 'Polygon');
+});
+
+test('grid orders hotspots strongest first', () => {
+  const features = detectHotspots(CLUSTERED, { algorithm: 'grid', bandwidth: 200, minPoints: 1 });
+  const scores = features.map(feature => feature.properties.score);
+
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+});
+
+test('kde handles thousands of spread-out points at a small bandwidth', () => {
+  const points = [];
+  for (let i = 0; i < 3000; i++) {
+    points.push(point((i % 60) * 10, Math.floor(i / 60) * 10));
+  }
+
+  const features = detectHotspots(points, { algorithm: 'kde', bandwidth: 10 });
+
+  assert.ok(features.length > 0);
+  assert.equal(features[0].properties.score, 1);
+  assert.ok(features.every(feature => feature.properties.score >= 0.05));
+});
+
+test('dbscan leaves isolated crimes out of clusters', () => {
+  const features = detectHotspots(CLUSTERED, { algorithm: 'dbscan', bandwidth: 50, minPoints: 5 });
+
+  assert.equal(features.length, 1);
+  assert.equal(features[0].properties.crimes, 6);
+});
+
+test('binGridCells weights cell centres by intensity', () => {
+  const cells = binGridCells([
+    { x: 0, y: 0, crimes: 1, intensity: 3 },
+    { x: 4, y: 0, crimes: 1, intensity: 1 },
+    { x: 25, y: 25, crimes: 1, intensity: 0 }
+  ], 10);
+
+  assert.deepEqual(cells.get('0:0'), { ix: 0, iy: 0, crimes: 2, intensity: 4, centerX: 1, centerY: 0 });
+  // Without intensity the centre is the plain mean
+  assert.equal(cells.get('2:2').centerX, 25);
+});
+
+test('binGridCells applies minCrimes after summing the cell', () => {
+  const points = [
+    { x: 1, y: 1, crimes: 2, intensity: 2 },
+    { x: 2, y: 2, crimes: 1, intensity: 1 },
+    { x: 15, y: 1, crimes: 2, intensity: 2 }
+  ];
+
+  assert.deepEqual([...binGridCells(points, 10, { minCrimes: 3 }).keys()], ['0:0']);
+});
+
+test('each hotspot goes to the station nearest its centre', () => {
+  const hotspots = detectHotspots(CLUSTERED, { algorithm: 'grid', bandwidth: 50 });
+  const stations = [
+    { station_id: 1, ...point(0, 0) },
+    { station_id: 2, ...point(100, 100) },
+    { station_id: 3, ...point(-300, -300) },
+    { station_id: 4, latitude: null, longitude: null }
+  ];
+
+  const byStation = assignHotspotsToNearestStation(hotspots, stations);
+
+  assert.deepEqual([...byStation.keys()], [1, 2, 3]);
+  assert.equal(byStation.get(1).length, 1);
+  assert.equal(byStation.get(1)[0].properties.crimes, 6);
+  assert.equal(byStation.get(2)[0].properties.crimes, 1);
+  assert.deepEqual(byStation.get(3), []);
+  byStation.get(1).concat(byStation.get(2)).forEach(feature => {
+    assert.ok(feature.properties.distance_m < 50);
+  });
+  assert.equal(byStation.get(2)[0].properties.station_id, 2);
+});
+
+test('hotspots are not assigned without located stations', () => {
+  const hotspots = detectHotspots(CLUSTERED, { algorithm: 'grid', bandwidth: 50 });
+
+  assert.equal(assignHotspotsToNearestStation(hotspots, [{ station_id: 4, latitude: null, longitude: null }]).size, 0);
+});
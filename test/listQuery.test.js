@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { parseListParams, listQuerySchema, listFromMongo } from '../utils/listQuery.js';
+
+const CRIMES_LIST = {
+  idField: 'crime_id',
+  sortable: { date: 'date', crime_type: 'string', crime_id: 'number' },
+  defaultSort: '-date',
+  filters: {
+    crime_type: { column: 'crime_type', op: 'in' },
+    start: { column: 'date', op: 'gte', type: 'date' }
+  }
+};
+
+const REPORTS_LIST = {
+  idField: '_id',
+  sortable: { timestamp: 'date', _id: 'objectId' },
+  defaultSort: '-timestamp',
+  softDelete: 'deleted_at',
+  filters: {}
+};
+
+const cursorFor = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Minimal stand-in for a MongoDB collection that records the query it is given
+ * @param {Array} docs - Documents returned by every find
+ * @returns {Object} Collection with `calls` holding the find filter and sort
+ */
+function fakeCollection(docs) {
+  const calls = {};
+  const chain = {
+    sort(sort) { calls.sort = sort; return chain; },
+    project() { return chain; },
+    skip(skip) { calls.skip = skip; return chain; },
+    limit(limit) { calls.limit = limit; return chain; },
+    toArray: async () => docs.slice(0, calls.limit)
+  };
+  return {
+    calls,
+    countDocuments: async () => docs.length,
+    find(filter) { calls.filter = filter; return chain; }
+  };
+}
+
+test('parseListParams applies defaults', () => {
+  const params = parseListParams({}, CRIMES_LIST);
+  assert.equal(params.limit, 50);
+  assert.equal(params.offset, 0);
+  assert.equal(params.cursor, null);
+  assert.deepEqual(params.sort, { field: 'date', ascending: false, type: 'date' });
+  assert.deepEqual(params.filters, []);
+});
+
+test('parseListParams rejects out-of-range limits and unknown sorts', () => {
+  assert.match(parseListParams({ limit: '0' }, CRIMES_LIST).error, /Limit/);
+  assert.match(parseListParams({ limit: '501' }, CRIMES_LIST).error, /Limit/);
+  assert.match(parseListParams({ offset: '-1' }, CRIMES_LIST).error, /Offset/);
+  assert.match(parseListParams({ sort: 'description' }, CRIMES_LIST).error, /Sort must be one of/);
+});
+
+test('parseListParams converts filters and ignores empty ones', () => {
+  const params = parseListParams({ crime_type: 'Theft, Robbery', start: '' }, CRIMES_LIST);
+  assert.deepEqual(params.filters, [{ column: 'crime_type', op: 'in', value: ['Theft', 'Robbery'] }]);
+  assert.match(parseListParams({ start: 'yesterday' }, CRIMES_LIST).error, /start/);
+});
+
+test('parseListParams accepts a well-formed cursor instead of an offset', () => {
+  const params = parseListParams({ cursor: cursorFor({ v: '2024-03-01', id: '42' }) }, CRIMES_LIST);
+  assert.deepEqual(params.cursor, { v: '2024-03-01', id: '42' });
+  assert.equal(params.offset, null);
+});
+
+test('parseListParams rejects malformed cursors', () => {
+  const invalid = [
+    'not-a-cursor',
+    cursorFor({ v: '2024-03-01' }),
+    cursorFor({ v: 'not a date', id: '42' }),
+    cursorFor({ v: '2024-03-01', id: 'abc' })
+  ];
+  invalid.forEach(cursor => {
+    assert.deepEqual(parseListParams({ cursor }, CRIMES_LIST), { error: 'Invalid cursor' });
+  });
+});
+
+test('parseListParams rejects cursors whose ID is not an ObjectId for MongoDB lists', () => {
+  const valid = cursorFor({ v: '2024-03-01T00:00:00.000Z', id: new ObjectId().toHexString() });
+  assert.equal(parseListParams({ cursor: valid }, REPORTS_LIST).error, undefined);
+
+  const invalid = cursorFor({ v: '2024-03-01T00:00:00.000Z', id: 'zzz' });
+  assert.deepEqual(parseListParams({ cursor: invalid }, REPORTS_LIST), { error: 'Invalid cursor' });
+});
+
+test('parseListParams only honours include_deleted for soft-delete lists', () => {
+  assert.equal(parseListParams({ include_deleted: 'true' }, REPORTS_LIST).includeDeleted, true);
+  assert.equal(parseListParams({ include_deleted: 'true' }, CRIMES_LIST).includeDeleted, false);
+});
+
+test('listQuerySchema describes pagination, sorting and filters', () => {
+  const { properties } = listQuerySchema(REPORTS_LIST);
+  assert.deepEqual(properties.sort.enum, ['timestamp', '-timestamp', '_id', '-_id']);
+  assert.deepEqual(properties.include_deleted, { type: 'boolean' });
+  assert.deepEqual(listQuerySchema(CRIMES_LIST).properties.start, { type: 'string', format: 'iso-date' });
+});
+
+test('listFromMongo pages with a cursor that resumes after the last row', async () => {
+  const docs = [1, 2, 3].map(day => ({ _id: new ObjectId(), timestamp: new Date(Date.UTC(2024, 0, day)) }));
+  const collection = fakeCollection(docs);
+  const params = parseListParams({ limit: '2' }, REPORTS_LIST);
+
+  const page = await listFromMongo(collection, params, REPORTS_LIST);
+  assert.equal(page.data.length, 2);
+  assert.equal(page.total, 3);
+  assert.deepEqual(collection.calls.filter, { deleted_at: null });
+  assert.deepEqual(collection.calls.sort, { timestamp: -1, _id: -1 });
+
+  const next = parseListParams({ limit: '2', cursor: page.page.nextCursor }, REPORTS_LIST);
+  await listFromMongo(collection, next, REPORTS_LIST);
+  const [, resume] = collection.calls.filter.$and;
+  assert.deepEqual(resume.$or[0], { timestamp: { $lt: docs[1].timestamp } });
+  assert.ok(resume.$or[1]._id.$lt.equals(docs[1]._id));
+});
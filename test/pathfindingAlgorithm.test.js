@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getCrimeTimeWeight, applyDepartureTime, identifyHighCrimeAreas, optimizeStopOrder, TIME_WEIGHTING, MAX_WAYPOINTS
+} from '../utils/pathfindingAlgorithm.js';
+
+const WEIGHTING = {
+  recencyHalfLifeDays: 30,
+  hourSpread: 2,
+  weekdayFalloff: 0.15,
+  minTimeOfDayWeight: 0.25,
+  timeZone: 'UTC'
+};
+
+const DEPARTURE = new Date('2026-10-14T22:00:00Z'); // a Wednesday
+
+const theft = (date, latitude = 24.86, longitude = 67.0) => ({
+  crime_type: 'Theft',
+  severity_weight: 11,
+  date,
+  crime_locations: { latitude, longitude }
+});
+
+test('a crime at the moment of departure weighs 1', () => {
+  assert.equal(getCrimeTimeWeight(DEPARTURE, DEPARTURE, WEIGHTING), 1);
+});
+
+test('older crimes halve in weight every half-life', () => {
+  const weekEarlier = new Date('2026-10-07T22:00:00Z');
+  const weight = getCrimeTimeWeight(weekEarlier, DEPARTURE, WEIGHTING);
+
+  assert.ok(Math.abs(weight - Math.pow(0.5, 7 / 30)) < 1e-9);
+});
+
+test('crimes after the departure weigh 0', () => {
+  const later = new Date('2026-10-15T22:00:00Z');
+
+  assert.equal(getCrimeTimeWeight(later, DEPARTURE, WEIGHTING), 0);
+});
+
+test('crimes at the opposite time of day keep the minimum time-of-day weight', () => {
+  const noon = new Date('2026-10-14T10:00:00Z');
+  const weight = getCrimeTimeWeight(noon, DEPARTURE, { ...WEIGHTING, recencyHalfLifeDays: 0 });
+
+  assert.ok(Math.abs(weight - 0.25) < 1e-6);
+});
+
+test('the time of day wraps at midnight', () => {
+  const justAfterMidnight = new Date('2026-10-14T23:30:00Z');
+  const departure = new Date('2026-10-15T00:30:00Z');
+  const weight = getCrimeTimeWeight(justAfterMidnight, departure, { ...WEIGHTING, recencyHalfLifeDays: 0, weekdayFalloff: 0 });
+
+  assert.ok(Math.abs(weight - (0.25 + 0.75 * Math.exp(-1 / 8))) < 1e-9);
+});
+
+test('weekdays are compared in the given timezone', () => {
+  // Tuesday 20:00 UTC is already Wednesday 01:00 in Karachi
+  const crime = new Date('2026-10-13T20:00:00Z');
+  const departure = new Date('2026-10-14T04:00:00Z');
+  const weighting = { ...WEIGHTING, hourSpread: 0, recencyHalfLifeDays: 0 };
+
+  assert.ok(Math.abs(getCrimeTimeWeight(crime, departure, weighting) - 0.85) < 1e-9);
+  assert.equal(getCrimeTimeWeight(crime, departure, { ...weighting, timeZone: 'Asia/Karachi' }), 1);
+});
+
+test('applyDepartureTime scales dated crimes and drops those after the departure', () => {
+  const undated = { ...theft(null), date: undefined };
+  const weighted = applyDepartureTime([
+    theft('2026-10-07T22:00:00Z'),
+    theft('2026-10-20T22:00:00Z'),
+    undated
+  ], DEPARTURE, 'UTC');
+
+  const expected = getCrimeTimeWeight(new Date('2026-10-07T22:00:00Z'), DEPARTURE, { ...TIME_WEIGHTING, timeZone: 'UTC' });
+  assert.equal(weighted.length, 2);
+  assert.ok(Math.abs(weighted[0].severity_weight - 11 * expected) < 1e-9);
+  assert.equal(weighted[1], undated);
+});
+
+test('the departure time decides which areas are avoided', () => {
+  // Two night-time thefts on the same block two days before
+  const crimes = [theft('2026-10-12T22:00:00Z'), theft('2026-10-12T22:10:00Z', 24.8601, 67.0001)];
+  const atNight = identifyHighCrimeAreas(applyDepartureTime(crimes, DEPARTURE, 'UTC'));
+  const atNoon = identifyHighCrimeAreas(applyDepartureTime(crimes, new Date('2026-10-14T10:00:00Z'), 'UTC'));
+  const beforeTheCrimes = identifyHighCrimeAreas(applyDepartureTime(crimes, new Date('2026-10-11T22:00:00Z'), 'UTC'));
+
+  assert.equal(atNight.length, 1);
+  assert.equal(atNight[0].geometry.type, 'Polygon');
+  assert.deepEqual(atNoon, []);
+  assert.deepEqual(beforeTheCrimes, []);
+});
+
+test('a single low-severity crime is not an area to avoid', () => {
+  const crimes = [{ ...theft(DEPARTURE.toISOString()), crime_type: 'Vandalism', severity_weight: 5 }];
+
+  assert.deepEqual(identifyHighCrimeAreas(applyDepartureTime(crimes, DEPARTURE, 'UTC')), []);
+});
+
+// Stops along one street, about 1 km apart
+const stop = km => ({ lat: 24.86, lng: 67.0 + km * 0.00991 });
+
+test('optimizeStopOrder visits the stops along the way, keeping the ends in place', () => {
+  const stops = [stop(0), stop(3), stop(1), stop(4), stop(2), stop(5)];
+
+  assert.deepEqual(optimizeStopOrder(stops, []), [0, 2, 4, 1, 3, 5]);
+});
+
+test('optimizeStopOrder keeps an order that is already best', () => {
+  const stops = [stop(0), stop(1), stop(2), stop(3)];
+
+  assert.deepEqual(optimizeStopOrder(stops, []), [0, 1, 2, 3]);
+});
+
+test('optimizeStopOrder trades distance for less crime exposure', () => {
+  // Two stops off the street, north and south of it; crime around the southern
+  // one makes reaching it straight from the start costly
+  const start = stop(0);
+  const north = { lat: 24.87, lng: 67.0099 };
+  const south = { lat: 24.85, lng: 67.0099 };
+  const end = stop(2);
+  const riskPoints = Array.from({ length: 5 }, () => ({ lat: 24.855, lng: 67.0049, severity: 22 }));
+
+  assert.deepEqual(optimizeStopOrder([start, south, north, end], []), [0, 1, 2, 3]);
+  assert.deepEqual(optimizeStopOrder([start, south, north, end], riskPoints), [0, 2, 1, 3]);
+});
+
+test('optimizeStopOrder orders the most waypoints allowed', () => {
+  const middle = Array.from({ length: MAX_WAYPOINTS }, (_, i) => stop(MAX_WAYPOINTS - i));
+  const order = optimizeStopOrder([stop(0), ...middle, stop(MAX_WAYPOINTS + 1)], []);
+
+  assert.deepEqual(order, [0, ...middle.map((_, i) => MAX_WAYPOINTS - i), MAX_WAYPOINTS + 1]);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateRequest, idParams, objectIdParams, isoDate, latitude, positiveCount, timezone
+} from '../utils/requestValidation.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Run validation middleware on a request stub
+ * @param {Object} schemas - validateRequest schemas
+ * @param {Object} req - {params, query, body}
+ * @returns {*} Argument passed to next (undefined when valid)
+ */
+function validate(schemas, req) {
+  let result;
+  validateRequest(schemas)(req, {}, err => { result = err; });
+  return result;
+}
+
+const LIST_QUERY = {
+  type: 'object',
+  properties: {
+    limit: { type: 'integer', minimum: 1, maximum: 500 },
+    lat: latitude,
+    types: { type: 'array', items: { type: 'string' } },
+    deleted: { type: 'boolean' }
+  }
+};
+
+test('coerces params and query strings to the schema types', () => {
+  const req = {
+    params: { id: '12' },
+    query: { limit: '20', lat: '0', types: 'theft', deleted: 'true' }
+  };
+
+  assert.equal(validate({ params: idParams, query: LIST_QUERY }, req), undefined);
+  assert.deepEqual(req.params, { id: 12 });
+  // A single value is wrapped when the schema expects a list
+  assert.deepEqual(req.query, { limit: 20, lat: 0, types: ['theft'], deleted: true });
+});
+
+test('does not coerce JSON bodies', () => {
+  const body = { type: 'object', properties: { age: { type: 'integer' } } };
+
+  assert.equal(validate({ body }, { body: { age: 30 } }), undefined);
+  const error = validate({ body }, { body: { age: '30' } });
+  assert.deepEqual(error.details, [{ location: 'body', field: 'age', message: 'must be integer' }]);
+});
+
+test('reports every failing field with its location', () => {
+  const body = {
+    type: 'object',
+    required: ['name', 'date'],
+    properties: { name: { type: 'string' }, date: isoDate }
+  };
+
+  const error = validate({ params: idParams, body }, { params: { id: '0' }, body: { date: '14/10/2026' } });
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'VALIDATION_FAILED');
+  assert.equal(error.message, 'Validation failed');
+  assert.deepEqual(error.details, [
+    { location: 'params', field: 'id', message: 'must be >= 1' },
+    { location: 'body', field: 'name', message: "must have required property 'name'" },
+    { location: 'body', field: 'date', message: 'must be a valid ISO 8601 date' }
+  ]);
+});
+
+test('names nested fields by their path', () => {
+  const body = {
+    type: 'object',
+    properties: { stops: { type: 'array', items: { type: 'object', properties: { lat: latitude } } } }
+  };
+
+  const error = validate({ body }, { body: { stops: [{ lat: 10 }, { lat: 95 }] } });
+
+  assert.deepEqual(error.details, [{ location: 'body', field: 'stops.1.lat', message: 'must be <= 90' }]);
+});
+
+test('treats a missing body as empty', () => {
+  const body = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+
+  assert.equal(validate({ body }, { body: undefined }).details[0].field, 'name');
+});
+
+test('leaves the request untouched when validation fails', () => {
+  const req = { params: { id: '7' }, query: { limit: 'many' } };
+
+  validate({ params: idParams, query: LIST_QUERY }, req);
+
+  assert.deepEqual(req.query, { limit: 'many' });
+});
+
+test('custom formats accept valid values only', () => {
+  const query = { type: 'object', properties: { start: isoDate, tz: timezone, days: positiveCount } };
+  const fields = q => (validate({ query }, { query: q })?.details || []).map(d => d.field);
+
+  assert.deepEqual(fields({ start: '2026-10-14', tz: 'Asia/Karachi', days: '30' }), []);
+  assert.deepEqual(fields({ start: '2026-10-14T22:00:00+05:00' }), []);
+  assert.deepEqual(fields({ start: '2026-13-45', tz: 'Mars/Olympus', days: '0' }), ['start', 'tz', 'days']);
+  assert.deepEqual(validate({ params: objectIdParams }, { params: { id: 'abc' } }).details, [
+    { location: 'params', field: 'id', message: 'must be a valid ObjectId' }
+  ]);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRoadGraph, findRoute } from '../utils/roadGraph.js';
+
+const ORIGIN_LAT = 24.86;
+const ORIGIN_LNG = 67.0;
+const STEP = 0.005; // about 557 m north-south, 505 m east-west
+
+const at = (row, col) => ({ lat: ORIGIN_LAT + row * STEP, lng: ORIGIN_LNG + col * STEP });
+const position = (row, col) => [ORIGIN_LNG + col * STEP, ORIGIN_LAT + row * STEP];
+
+const way = (from, to, properties = {}) => ({
+  type: 'Feature',
+  properties: { highway: 'residential', ...properties },
+  geometry: { type: 'LineString', coordinates: [position(...from), position(...to)] }
+});
+
+/**
+ * Road grid of `size` x `size` junctions, one residential way per block side
+ * @param {number} size - Junctions per side
+ * @param {Function} [tag] - (from, to) => extra properties for that way
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function gridRoads(size, tag = () => ({})) {
+  const features = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (col + 1 < size) features.push(way([row, col], [row, col + 1], tag([row, col], [row, col + 1])));
+      if (row + 1 < size) features.push(way([row, col], [row + 1, col], tag([row, col], [row + 1, col])));
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+const visits = (route, row, col) => route.coordinates.some(([lng, lat]) =>
+  Math.abs(lng - position(row, col)[0]) < 1e-9 && Math.abs(lat - position(row, col)[1]) < 1e-9);
+
+test('finds the direct route along a street', () => {
+  const graph = buildRoadGraph(gridRoads(3));
+  const route = findRoute(graph, at(0, 0), at(0, 2));
+
+  assert.deepEqual(route.coordinates, [position(0, 0), position(0, 1), position(0, 2)]);
+  assert.ok(Math.abs(route.distance - 1010) < 5);
+  // 30 km/h on residential streets
+  assert.ok(Math.abs(route.duration - route.distance / (30 / 3.6)) < 1e-6);
+});
+
+test('starts and ends at the exact points, not the snapped junctions', () => {
+  const graph = buildRoadGraph(gridRoads(3));
+  const start = { lat: ORIGIN_LAT + 0.0001, lng: ORIGIN_LNG };
+  const route = findRoute(graph, start, at(0, 2));
+
+  assert.deepEqual(route.coordinates[0], [start.lng, start.lat]);
+  assert.deepEqual(route.coordinates[1], position(0, 0));
+});
+
+test('cars obey one-way streets, pedestrians do not', () => {
+  // The middle of the bottom street is one-way westwards
+  const graph = buildRoadGraph(gridRoads(3, (from, to) =>
+    from[0] === 0 && to[0] === 0 && from[1] === 0 ? { oneway: '-1' } : {}));
+
+  const driving = findRoute(graph, at(0, 0), at(0, 2), { profile: 'driving-car' });
+  const walking = findRoute(graph, at(0, 0), at(0, 2), { profile: 'foot-walking' });
+
+  assert.ok(visits(driving, 1, 0));
+  assert.ok(!visits(walking, 1, 0));
+  assert.ok(driving.distance > walking.distance);
+});
+
+test('detours around crime risk', () => {
+  const graph = buildRoadGraph(gridRoads(3));
+  const riskPoints = Array.from({ length: 5 }, () => ({ ...at(0, 1), severity: 22 }));
+
+  const direct = findRoute(graph, at(0, 0), at(0, 2));
+  const safer = findRoute(graph, at(0, 0), at(0, 2), { riskPoints });
+  const ignored = findRoute(graph, at(0, 0), at(0, 2), { riskPoints, riskWeight: 0 });
+
+  assert.ok(visits(direct, 0, 1));
+  assert.ok(!visits(safer, 0, 1));
+  assert.ok(safer.distance > direct.distance);
+  assert.deepEqual(ignored.coordinates, direct.coordinates);
+});
+
+test('skips roads the profile may not use', () => {
+  // The bottom street is a footway, so cars join the next one
+  const graph = buildRoadGraph(gridRoads(3, (from, to) => from[0] === 0 && to[0] === 0 ? { highway: 'footway' } : {}));
+  const walking = findRoute(graph, at(0, 0), at(0, 2), { profile: 'foot-walking' });
+  const driving = findRoute(graph, at(0, 0), at(0, 2), { profile: 'driving-car' });
+
+  assert.deepEqual(walking.coordinates, [position(0, 0), position(0, 1), position(0, 2)]);
+  assert.ok(visits(driving, 1, 1));
+  assert.ok(!visits(driving, 0, 1));
+});
+
+test('returns null between unconnected roads', () => {
+  const graph = buildRoadGraph({
+    type: 'FeatureCollection',
+    features: [way([0, 0], [0, 1]), way([2, 0], [2, 1])]
+  });
+
+  assert.equal(findRoute(graph, at(0, 0), at(2, 1)), null);
+});
+
+test('rejects points far from any road and unknown profiles', () => {
+  const graph = buildRoadGraph(gridRoads(2));
+
+  assert.throws(() => findRoute(graph, at(0, 0), at(50, 50)), /outside the road graph/);
+  assert.throws(() => findRoute(graph, at(0, 0), at(1, 1), { profile: 'hovercraft' }), /Unknown routing profile/);
+});
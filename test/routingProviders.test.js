@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeGeometry } from '../utils/routingProviders.js';
+
+test('decodes an encoded polyline into [lng, lat] pairs', () => {
+  // The reference example from the polyline format description
+  assert.deepEqual(decodeGeometry('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [
+    [-120.2, 38.5],
+    [-120.95, 40.7],
+    [-126.453, 43.252]
+  ]);
+});
+
+test('decodes an empty polyline to no coordinates', () => {
+  assert.deepEqual(decodeGeometry(''), []);
+});
+
+test('rejects geometry that is not an encoded polyline', () => {
+  assert.throws(() => decodeGeometry(undefined), /neither coordinates nor an encoded polyline/);
+  assert.throws(() => decodeGeometry('_p~iF~ps|'), /ends mid-value/);
+  assert.throws(() => decodeGeometry('_p~iF ps|U'), /invalid character/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { purgeSoftDeleted, PURGEABLE_TABLES } from '../utils/softDelete.js';
+import { ConflictError, UpstreamError } from '../utils/errors.js';
+
+const CUTOFF = new Date('2026-09-19T00:00:00Z');
+
+/**
+ * Minimal stand-in for the Supabase client over in-memory tables
+ * @param {Object} tables - Rows per table name
+ * @param {Object} [errors] - Error to return per `<table>.<select|delete>`
+ * @returns {Object} Client with `deleted` holding the IDs each delete was given
+ */
+function fakeSupabase(tables, errors = {}) {
+  const deleted = [];
+  return {
+    deleted,
+    from(table) {
+      const filters = [];
+      let action = 'select';
+      let inFilter = null;
+      const query = {
+        select() { return query; },
+        delete() { action = 'delete'; return query; },
+        lt(column, value) { filters.push(row => row[column] !== null && row[column] < value); return query; },
+        in(column, values) { inFilter = values; filters.push(row => values.includes(row[column])); return query; },
+        then(resolve, reject) {
+          const error = errors[`${table}.${action}`];
+          if (error) {
+            return Promise.resolve({ data: null, error }).then(resolve, reject);
+          }
+          const rows = tables[table].filter(row => filters.every(filter => filter(row)));
+          if (action === 'delete') {
+            deleted.push(inFilter);
+            tables[table] = tables[table].filter(row => !rows.includes(row));
+          }
+          return Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+}
+
+const criminals = () => [
+  { criminal_id: 1, deleted_at: '2026-08-01T00:00:00Z' },
+  { criminal_id: 2, deleted_at: '2026-08-01T00:00:00Z' },
+  { criminal_id: 3, deleted_at: '2026-10-18T00:00:00Z' },
+  { criminal_id: 4, deleted_at: null }
+];
+
+test('purges expired rows that no crime links to', async () => {
+  const supabase = fakeSupabase({ criminals: criminals(), crime_criminal: [{ crime_id: 9, criminal_id: 3 }] });
+  const { purged, kept } = await purgeSoftDeleted(supabase, PURGEABLE_TABLES.criminals, CUTOFF);
+
+  assert.deepEqual(purged.map(row => row.criminal_id), [1, 2]);
+  assert.deepEqual(kept, []);
+});
+
+test('keeps expired rows still linked to a crime', async () => {
+  const supabase = fakeSupabase({ criminals: criminals(), crime_criminal: [{ crime_id: 9, criminal_id: 2 }] });
+  const { purged, kept } = await purgeSoftDeleted(supabase, PURGEABLE_TABLES.criminals, CUTOFF);
+
+  assert.deepEqual(purged.map(row => row.criminal_id), [1]);
+  assert.deepEqual(kept, [2]);
+  assert.deepEqual(supabase.deleted, [[1]]);
+});
+
+test('skips the delete when every expired row is linked', async () => {
+  const supabase = fakeSupabase({
+    victims: [{ victim_id: 5, deleted_at: '2026-08-01T00:00:00Z' }],
+    crime_victim: [{ crime_id: 9, victim_id: 5 }]
+  });
+  const { purged, kept } = await purgeSoftDeleted(supabase, PURGEABLE_TABLES.victims, CUTOFF);
+
+  assert.deepEqual(purged, []);
+  assert.deepEqual(kept, [5]);
+  assert.deepEqual(supabase.deleted, []);
+});
+
+test('purges tables without links directly', async () => {
+  const supabase = fakeSupabase({ stations: [{ station_id: 7, deleted_at: '2026-08-01T00:00:00Z' }] });
+  const { purged, kept } = await purgeSoftDeleted(supabase, PURGEABLE_TABLES.stations, CUTOFF);
+
+  assert.deepEqual(purged.map(row => row.station_id), [7]);
+  assert.deepEqual(kept, []);
+});
+
+test('reports a link added during the purge as a conflict', async () => {
+  const supabase = fakeSupabase(
+    { criminals: criminals(), crime_criminal: [] },
+    { 'criminals.delete': { code: '23503', message: 'violates foreign key constraint' } }
+  );
+
+  await assert.rejects(
+    purgeSoftDeleted(supabase, PURGEABLE_TABLES.criminals, CUTOFF),
+    error => error instanceof ConflictError && error.code === 'REFERENCE_CONFLICT'
+  );
+});
+
+test('surfaces database failures as upstream errors', async () => {
+  const supabase = fakeSupabase(
+    { criminals: criminals(), crime_criminal: [] },
+    { 'crime_criminal.select': { code: '08006', message: 'connection failure' } }
+  );
+
+  await assert.rejects(purgeSoftDeleted(supabase, PURGEABLE_TABLES.criminals, CUTOFF), UpstreamError);
+});
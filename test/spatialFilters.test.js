@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpatialFilters, roundDistance, SPATIAL_QUERY_PROPERTIES } from '../utils/spatialFilters.js';
+import { validateRequest } from '../utils/requestValidation.js';
+import { ValidationError } from '../utils/errors.js';
+
+const validate = validateRequest({ query: { type: 'object', properties: SPATIAL_QUERY_PROPERTIES } });
+
+/**
+ * Validate a query string against the spatial schema and parse it
+ * @param {Object} query - Raw req.query
+ * @returns {Object|null} RPC arguments
+ * @throws {ValidationError} If the schema or the parser rejects it
+ */
+function parse(query) {
+  const req = { query };
+  let error;
+  validate(req, {}, err => { error = err; });
+  if (error) {
+    throw error;
+  }
+  return parseSpatialFilters(req.query);
+}
+
+const rejects = (query, field) => assert.throws(() => parse(query),
+  error => error instanceof ValidationError && error.details.some(detail => detail.field === field));
+
+test('no spatial parameters means no spatial filter', () => {
+  assert.equal(parse({}), null);
+});
+
+test('parses a bounding box as minLng,minLat,maxLng,maxLat', () => {
+  assert.deepEqual(parse({ bbox: '66.95,24.80,67.10,24.95' }), {
+    p_min_lng: 66.95, p_min_lat: 24.8, p_max_lng: 67.1, p_max_lat: 24.95
+  });
+});
+
+test('parses near as lat,lng with an optional radius', () => {
+  assert.deepEqual(parse({ near: '24.8607,67.0011' }), { p_lat: 24.8607, p_lng: 67.0011 });
+  assert.deepEqual(parse({ near: '-33.5,151', radius: '1500' }), { p_lat: -33.5, p_lng: 151, p_radius_m: 1500 });
+});
+
+test('combines a bounding box with near', () => {
+  assert.deepEqual(Object.keys(parse({ bbox: '66.95,24.80,67.10,24.95', near: '24.86,67.0', radius: '500' })).sort(), [
+    'p_lat', 'p_lng', 'p_max_lat', 'p_max_lng', 'p_min_lat', 'p_min_lng', 'p_radius_m'
+  ]);
+});
+
+test('rejects malformed, out-of-range and inverted bounding boxes', () => {
+  rejects({ bbox: '66.95,24.80,67.10' }, 'bbox');
+  rejects({ bbox: '66.95,24.80,67.10,abc' }, 'bbox');
+  rejects({ bbox: '66.95,-95,67.10,24.95' }, 'bbox');
+  rejects({ bbox: '67.10,24.80,66.95,24.95' }, 'bbox');
+  rejects({ bbox: '66.95,24.80,66.95,24.95' }, 'bbox');
+});
+
+test('rejects bad points and radii', () => {
+  rejects({ near: '24.86' }, 'near');
+  rejects({ near: '91,67' }, 'near');
+  rejects({ near: '24.86,181' }, 'near');
+  rejects({ radius: '500' }, 'radius');
+  rejects({ near: '24.86,67', radius: '0' }, 'radius');
+  rejects({ near: '24.86,67', radius: '50001' }, 'radius');
+});
+
+test('reports every bad spatial parameter at once', () => {
+  assert.throws(() => parse({ bbox: '67.10,24.80,66.95,24.95', radius: '500' }), error => {
+    assert.deepEqual(error.details.map(detail => detail.field), ['bbox', 'radius']);
+    return true;
+  });
+});
+
+test('roundDistance keeps decimetres and passes null through', () => {
+  assert.equal(roundDistance(1234.5678), 1234.6);
+  assert.equal(roundDistance(0), 0);
+  assert.equal(roundDistance(null), null);
+});
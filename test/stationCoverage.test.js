@@ -0,0 +1,83 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { toJurisdictionFeatures, toNearestStations, withRoadDistances } from '../utils/stationCoverage.js';
+import { getRoadDistances } from '../utils/pathfindingAlgorithm.js';
+
+const cell = {
+  type: 'Polygon',
+  coordinates: [[[73.0, 33.6], [73.1, 33.6], [73.1, 33.7], [73.0, 33.6]]]
+};
+
+/**
+ * Answer axios requests with a stub adapter for the duration of a test
+ * @param {Object} t - Test context
+ * @param {Function} respond - config => response data
+ * @returns {Object} Mock function recording the requests
+ */
+function stubAxios(t, respond) {
+  const adapter = mock.fn(async config => ({ data: respond(config), status: 200, statusText: 'OK', headers: {}, config }));
+  const original = axios.defaults.adapter;
+  axios.defaults.adapter = adapter;
+  t.after(() => { axios.defaults.adapter = original; });
+  return adapter;
+}
+
+test('jurisdiction rows become features keyed by station', () => {
+  const [feature] = toJurisdictionFeatures([
+    { station_id: 4, station_name: 'Kohsar', geometry: cell, crimes: 12 }
+  ]);
+
+  assert.deepEqual(feature, {
+    type: 'Feature',
+    id: 4,
+    properties: { station_id: 4, station_name: 'Kohsar', crimes: 12 },
+    geometry: cell
+  });
+});
+
+test('nearest stations are flattened in order with distances rounded to decimetres', () => {
+  const stations = toNearestStations([
+    { station: { station_id: 2, station_name: 'Aabpara', latitude: 33.70, longitude: 73.08 }, distance_m: 412.349 },
+    { station: { station_id: 5, station_name: 'Secretariat', latitude: 33.73, longitude: 73.10 }, distance_m: 1830.06 }
+  ]);
+
+  assert.deepEqual(stations.map(({ station_id, distance_m }) => [station_id, distance_m]), [[2, 412.3], [5, 1830.1]]);
+  assert.equal(stations[0].station_name, 'Aabpara');
+});
+
+test('road distances are matched to stations by position', () => {
+  const stations = [{ station_id: 2, distance_m: 412.3 }, { station_id: 5, distance_m: 1830.1 }];
+
+  const withRoads = withRoadDistances(stations, [{ distance: 650.2, duration: 95.4 }, { distance: null, duration: null }]);
+
+  assert.deepEqual(withRoads, [
+    { station_id: 2, distance_m: 412.3, road_distance_m: 650.2, eta_seconds: 95.4 },
+    { station_id: 5, distance_m: 1830.1, road_distance_m: null, eta_seconds: null }
+  ]);
+});
+
+test('getRoadDistances asks for one row from the origin to every destination', async t => {
+  const adapter = stubAxios(t, () => ({
+    distances: [[650.2, null]],
+    durations: [[95.4, null]]
+  }));
+
+  const result = await getRoadDistances(
+    { lat: 33.69, lng: 73.05 },
+    [{ lat: 33.70, lng: 73.08 }, { lat: 33.73, lng: 73.10 }]
+  );
+
+  const request = JSON.parse(adapter.mock.calls[0].arguments[0].data);
+  assert.deepEqual(request.locations, [[73.05, 33.69], [73.08, 33.70], [73.10, 33.73]]);
+  assert.deepEqual(request.sources, [0]);
+  assert.deepEqual(request.destinations, [1, 2]);
+  assert.deepEqual(result, [{ distance: 650.2, duration: 95.4 }, { distance: null, duration: null }]);
+});
+
+test('getRoadDistances makes no request without destinations', async t => {
+  const adapter = stubAxios(t, () => ({}));
+
+  assert.deepEqual(await getRoadDistances({ lat: 33.69, lng: 73.05 }, []), []);
+  assert.equal(adapter.mock.callCount(), 0);
+});
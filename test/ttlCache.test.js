@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTtlCache } from '../utils/ttlCache.js';
+
+/**
+ * Loader whose loads resolve only when the test says so
+ * @returns {Object} {load, loads, resolve(i, value)}
+ */
+function controlledLoader() {
+  const loads = [];
+  return {
+    loads,
+    load: () => new Promise(resolve => loads.push(resolve)),
+    resolve: (i, value) => loads[i](value)
+  };
+}
+
+test('concurrent callers share one load and later calls reuse it', async () => {
+  const loader = controlledLoader();
+  const cache = createTtlCache(loader.load, 60000);
+
+  const first = cache.get();
+  const second = cache.get();
+  loader.resolve(0, 'v1');
+
+  assert.equal(await first, 'v1');
+  assert.equal(await second, 'v1');
+  assert.equal(await cache.get(), 'v1');
+  assert.equal(loader.loads.length, 1);
+});
+
+test('reloads once the value is older than the TTL', async () => {
+  let loads = 0;
+  const cache = createTtlCache(async () => ++loads, 0);
+
+  assert.equal(await cache.get(), 1);
+  assert.equal(await cache.get(), 2);
+});
+
+test('a load that started before invalidate() is not cached', async () => {
+  const loader = controlledLoader();
+  const cache = createTtlCache(loader.load, 60000);
+
+  const stale = cache.get();
+  cache.invalidate();
+  const fresh = cache.get();
+  assert.equal(loader.loads.length, 2);
+
+  // The old load finishes last and must not overwrite the new value
+  loader.resolve(1, 'new');
+  loader.resolve(0, 'old');
+
+  assert.equal(await stale, 'old');
+  assert.equal(await fresh, 'new');
+  assert.equal(await cache.get(), 'new');
+  assert.equal(loader.loads.length, 2);
+});
+
+test('a stale load finishing first does not fill the cache', async () => {
+  const loader = controlledLoader();
+  const cache = createTtlCache(loader.load, 60000);
+
+  const stale = cache.get();
+  cache.invalidate();
+  loader.resolve(0, 'old');
+  await stale;
+
+  const fresh = cache.get();
+  assert.equal(loader.loads.length, 2);
+  loader.resolve(1, 'new');
+  assert.equal(await fresh, 'new');
+});
+
+test('a failed load is not cached', async () => {
+  let calls = 0;
+  const cache = createTtlCache(async () => {
+    if (++calls === 1) throw new Error('database unavailable');
+    return 'v1';
+  }, 60000);
+
+  await assert.rejects(cache.get(), /database unavailable/);
+  assert.equal(await cache.get(), 'v1');
+});
@@ -1,16 +1,28 @@
 import axios from 'axios';
+import { UpstreamError } from './errors.js';
 
 // Base URL for internal API requests
 const BASE_URL = 'http://localhost:3000';
 
+// Page size for the paginated raw data endpoints (the list endpoints' maximum)
+const RAW_DATA_LIMIT = 500;
+
 // Helper to handle API errors consistently
 const handleApiError = (error, endpoint) => {
   console.error(`Error fetching data from ${endpoint}:`, error);
   return null;
 };
 
-export async function fetchAllAnalyticsData(timeframe = '90') {
+/**
+ * Fetch analytics, raw records and crime locations for a timeframe from this API
+ * @param {string} timeframe - Number of days to cover
+ * @param {string} [authorization] - Caller's Authorization header; the analytics
+ *   routes require an analyst role, so it is forwarded to every request
+ * @returns {Promise<Object>} {analytics, rawData, metadata}
+ */
+export async function fetchAllAnalyticsData(timeframe = '90', authorization) {
   try {
+    const options = { headers: authorization ? { Authorization: authorization } : {} };
     const start = new Date();
     start.setDate(start.getDate() - parseInt(timeframe));
     const startDate = start.toISOString().split('T')[0];
@@ -33,20 +45,20 @@ export async function fetchAllAnalyticsData(timeframe = '90') {
       crimeLocations
     ] = await Promise.all([
       // Analytics endpoints
-      axios.get(`${BASE_URL}/api/analytics/crimes-by-type${dateParams}`).then(res => res.data).catch(err => handleApiError(err, 'crimes-by-type')),
-      axios.get(`${BASE_URL}/api/analytics/crimes-by-area${dateParams}`).then(res => res.data).catch(err => handleApiError(err, 'crimes-by-area')),
-      axios.get(`${BASE_URL}/api/analytics/crimes-trend${dateParams}`).then(res => res.data).catch(err => handleApiError(err, 'crimes-trend')),
-      axios.get(`${BASE_URL}/api/analytics/crime-time-distribution`).then(res => res.data).catch(err => handleApiError(err, 'crime-time-distribution')),
-      axios.get(`${BASE_URL}/api/analytics/crimes-vs-arrests${dateParams}`).then(res => res.data).catch(err => handleApiError(err, 'crimes-vs-arrests')),
-      axios.get(`${BASE_URL}/api/analytics/victim-age-distribution`).then(res => res.data).catch(err => handleApiError(err, 'victim-age-distribution')),
-      axios.get(`${BASE_URL}/api/analytics/criminal-age-distribution`).then(res => res.data).catch(err => handleApiError(err, 'criminal-age-distribution')),
-      axios.get(`${BASE_URL}/api/analytics/crime-area-correlation`).then(res => res.data).catch(err => handleApiError(err, 'crime-area-correlation')),
+      axios.get(`${BASE_URL}/api/analytics/crimes-by-type${dateParams}`, options).then(res => res.data).catch(err => handleApiError(err, 'crimes-by-type')),
+      axios.get(`${BASE_URL}/api/analytics/crimes-by-area${dateParams}`, options).then(res => res.data).catch(err => handleApiError(err, 'crimes-by-area')),
+      axios.get(`${BASE_URL}/api/analytics/crimes-trend${dateParams}`, options).then(res => res.data).catch(err => handleApiError(err, 'crimes-trend')),
+      axios.get(`${BASE_URL}/api/analytics/crime-time-distribution${dateParams}`, options).then(res => res.data).catch(err => handleApiError(err, 'crime-time-distribution')),
+      axios.get(`${BASE_URL}/api/analytics/crimes-vs-arrests${dateParams}`, options).then(res => res.data).catch(err => handleApiError(err, 'crimes-vs-arrests')),
+      axios.get(`${BASE_URL}/api/analytics/victim-age-distribution`, options).then(res => res.data).catch(err => handleApiError(err, 'victim-age-distribution')),
+      axios.get(`${BASE_URL}/api/analytics/criminal-age-distribution`, options).then(res => res.data).catch(err => handleApiError(err, 'criminal-age-distribution')),
+      axios.get(`${BASE_URL}/api/analytics/crime-area-correlation`, options).then(res => res.data).catch(err => handleApiError(err, 'crime-area-correlation')),
       
-      // Basic data endpoints
-      axios.get(`${BASE_URL}/api/crimes`).then(res => res.data).catch(err => handleApiError(err, 'crimes')),
-      axios.get(`${BASE_URL}/api/criminals`).then(res => res.data).catch(err => handleApiError(err, 'criminals')),
-      axios.get(`${BASE_URL}/api/victims`).then(res => res.data).catch(err => handleApiError(err, 'victims')),
-      axios.get(`${BASE_URL}/api/crime-locations`).then(res => res.data).catch(err => handleApiError(err, 'crime-locations'))
+      // Basic data endpoints (paginated; take the first, largest page)
+      axios.get(`${BASE_URL}/api/crimes${dateParams}&limit=${RAW_DATA_LIMIT}`, options).then(res => res.data.data).catch(err => handleApiError(err, 'crimes')),
+      axios.get(`${BASE_URL}/api/criminals?limit=${RAW_DATA_LIMIT}`, options).then(res => res.data.data).catch(err => handleApiError(err, 'criminals')),
+      axios.get(`${BASE_URL}/api/victims?limit=${RAW_DATA_LIMIT}`, options).then(res => res.data.data).catch(err => handleApiError(err, 'victims')),
+      axios.get(`${BASE_URL}/api/crime-locations`, options).then(res => res.data).catch(err => handleApiError(err, 'crime-locations'))
     ]);
 
     // Combine all data into a comprehensive object
@@ -89,33 +101,74 @@ export async function fetchAllAnalyticsData(timeframe = '90') {
 }
 
 /**
- * Fetch crime location data specifically for pathfinding algorithm
+ * Fetch the analytics the AI crime predictions are based on
+ * @param {string} timeframe - Number of days to cover
+ * @param {string} [authorization] - Caller's Authorization header; the analytics
+ *   routes require an analyst role, so it is forwarded to every request
+ * @returns {Promise<Object>} Counts by type, area and hour, victim and criminal
+ *   age distributions (each [] if its request fails) and metadata
+ */
+export async function fetchPredictionAnalytics(timeframe = '90', authorization) {
+  const endDate = new Date().toISOString().split('T')[0];
+  const start = new Date();
+  start.setDate(start.getDate() - parseInt(timeframe));
+  const startDate = start.toISOString().split('T')[0];
+  const dateParams = `?start=${startDate}&end=${endDate}`;
+  const options = { headers: authorization ? { Authorization: authorization } : {} };
+
+  const fetchOrEmpty = path => axios.get(`${BASE_URL}/api/analytics/${path}`, options)
+    .then(res => res.data)
+    .catch(() => []);
+
+  const [crimesByType, crimesByArea, crimeTimeDistribution, victimAgeDistribution, criminalAgeDistribution] =
+    await Promise.all([
+      fetchOrEmpty(`crimes-by-type${dateParams}`),
+      fetchOrEmpty(`crimes-by-area${dateParams}`),
+      fetchOrEmpty(`crime-time-distribution${dateParams}`),
+      fetchOrEmpty('victim-age-distribution'),
+      fetchOrEmpty('criminal-age-distribution')
+    ]);
+
+  return {
+    crimesByType,
+    crimesByArea,
+    crimeTimeDistribution,
+    victimAgeDistribution,
+    criminalAgeDistribution,
+    metadata: {
+      timeframeInDays: parseInt(timeframe),
+      startDate,
+      endDate
+    }
+  };
+}
+
+/**
+ * Fetch crime location data specifically for pathfinding algorithm.
+ * /api/crime-locations is public, so no credentials are sent.
  * @param {string} timeframe - Number of days to look back for crime data
  * @returns {Promise<Array>} Array of crime locations with coordinates and metadata
+ * @throws {UpstreamError} If the crime locations cannot be fetched; scoring
+ *   routes without crime data would report every route as safe
  */
 export async function fetchCrimeLocationsForPathfinding(timeframe = '90') {
-  try {
-    const start = new Date();
-    start.setDate(start.getDate() - parseInt(timeframe));
-    const startDate = start.toISOString().split('T')[0];
-    const endDate = new Date().toISOString().split('T')[0];
-    const dateParams = `?start=${startDate}&end=${endDate}`;
+  const start = new Date();
+  start.setDate(start.getDate() - parseInt(timeframe));
+  const startDate = start.toISOString().split('T')[0];
+  const endDate = new Date().toISOString().split('T')[0];
+  const dateParams = `?start=${startDate}&end=${endDate}`;
 
-    // Fetch crime locations with coordinates and crime type information
-    const response = await axios.get(`${BASE_URL}/api/crime-locations${dateParams}`)
-      .catch(err => {
-        console.error('Error fetching crime locations:', err);
-        return { data: [] };
-      });
-    
+  // Fetch crime locations with coordinates and crime type information
+  try {
+    const response = await axios.get(`${BASE_URL}/api/crime-locations${dateParams}`);
     return response.data || [];
   } catch (error) {
-    console.error('Error fetching crime locations for pathfinding:', error);
-    return [];
+    throw new UpstreamError('Failed to fetch crime data for pathfinding', { code: 'CRIME_DATA_UNAVAILABLE', cause: error });
   }
 }
 
 export default { 
   fetchAllAnalyticsData,
+  fetchPredictionAnalytics,
   fetchCrimeLocationsForPathfinding
 };
@@ -0,0 +1,108 @@
+/**
+ * Shaping of analytics_* RPC rows into analytics API responses. The counting
+ * happens in Postgres; these helpers only arrange and derive from the counts.
+ */
+
+// Heatmap rows, Monday first
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Hour buckets, 00:00 to 23:00
+export const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => `${hour.toString().padStart(2, '0')}:00`);
+
+// |z| at or above this marks a change as significant (two-sided, p < 0.05)
+export const SIGNIFICANCE_Z = 1.96;
+
+// Age buckets in response order; must match analytics_age_group() in the database
+export const AGE_GROUPS = ['Under 18', '18-24', '25-34', '35-44', '45-54', '55+'];
+
+/**
+ * Spread analytics_crime_time_distribution cells over a weekday × hour matrix
+ * @param {Array} cells - Non-empty [{weekday, hour, crimes}], weekday 1 is Monday
+ *   and hour is local to the timezone the counts were made in
+ * @returns {Object} {matrix, total}; matrix[weekday - 1][hour] is a crime count
+ */
+export function toTimeMatrix(cells) {
+  const matrix = WEEKDAYS.map(() => Array(24).fill(0));
+  let total = 0;
+  cells.forEach(({ weekday, hour, crimes }) => {
+    matrix[weekday - 1][hour] = crimes;
+    total += crimes;
+  });
+  return { matrix, total };
+}
+
+/**
+ * Sum a weekday × hour matrix into crimes per hour of day
+ * @param {Array} matrix - From toTimeMatrix
+ * @returns {Array} [{hour: '00:00', crimes}] for every hour
+ */
+export function toHourlyDistribution(matrix) {
+  return HOUR_LABELS.map((hour, index) => ({
+    hour,
+    crimes: matrix.reduce((sum, row) => sum + row[index], 0)
+  }));
+}
+
+/**
+ * Expand grouped age counts to every bucket in order, filling empty ones with 0
+ * @param {Array} rows - [{age, count}] from an age distribution RPC
+ * @returns {Array} [{age, count}] for each of AGE_GROUPS
+ */
+export function toAgeDistribution(rows) {
+  const counts = Object.fromEntries(rows.map(({ age, count }) => [age, count]));
+  return AGE_GROUPS.map(age => ({ age, count: counts[age] || 0 }));
+}
+
+/**
+ * Compare a bucket's counts across two periods.
+ * Significance uses the conditional binomial test for two Poisson counts:
+ * with no real change, current ~ Binomial(current + baseline, p) where p is
+ * the current period's share of the combined days.
+ * @param {number} current - Crimes in the current period
+ * @param {number} baseline - Crimes in the baseline period
+ * @param {number} currentShare - Current days / (current + baseline days)
+ * @returns {Object} {current, baseline, delta, percentChange, zScore, significant}
+ */
+export function compareCounts(current, baseline, currentShare) {
+  const n = current + baseline;
+  const variance = n * currentShare * (1 - currentShare);
+  const zScore = variance > 0 ? (current - n * currentShare) / Math.sqrt(variance) : 0;
+
+  return {
+    current,
+    baseline,
+    delta: current - baseline,
+    percentChange: baseline > 0 ? Number(((current - baseline) * 100.0 / baseline).toFixed(2)) : null,
+    zScore: Number(zScore.toFixed(2)),
+    significant: Math.abs(zScore) >= SIGNIFICANCE_Z
+  };
+}
+
+/**
+ * Shape an analytics_station_workload row for the response
+ * @param {Object} row - RPC row
+ * @returns {Object} Station workload metrics; clearanceRate is 0 for a station without crimes
+ */
+export function formatWorkload(row) {
+  return {
+    station_id: row.station_id,
+    station_name: row.station_name,
+    crimes: row.crimes,
+    arrests: row.arrests,
+    cleared: row.cleared,
+    openCases: row.crimes - row.cleared,
+    clearanceRate: row.crimes > 0 ? Number((row.cleared * 100.0 / row.crimes).toFixed(2)) : 0,
+    medianHoursToArrest: row.median_hours === null ? null : Number(row.median_hours.toFixed(1))
+  };
+}
+
+export default {
+  WEEKDAYS,
+  HOUR_LABELS,
+  AGE_GROUPS,
+  toTimeMatrix,
+  toHourlyDistribution,
+  toAgeDistribution,
+  compareCounts,
+  formatWorkload
+};
@@ -0,0 +1,51 @@
+/**
+ * Append-only audit trail for mutations on police records.
+ *
+ * Entries live in the MongoDB `audit_log` collection and are only ever
+ * inserted; nothing in the API updates or deletes them.
+ */
+import client from './mongodbClient.js';
+import { UpstreamError } from './errors.js';
+
+export const AUDITED_ENTITIES = ['crimes', 'criminals', 'victims', 'stations'];
+
+export const auditCollection = () => client.db('database1').collection('audit_log');
+
+/**
+ * Record a mutation in the audit log
+ * @param {Object} req - Express request (provides the actor)
+ * @param {Object} entry - {entity, entityId, action, before, after}
+ * @returns {Promise<void>}
+ * @throws {UpstreamError} AUDIT_WRITE_FAILED if the entry could not be stored
+ */
+export async function recordAudit(req, { entity, entityId, action, before = null, after = null }) {
+  const entry = {
+    entity,
+    entity_id: String(entityId),
+    action,
+    actor: req.user
+      ? { id: req.user.id, email: req.user.email, role: req.user.role }
+      : null,
+    timestamp: new Date(),
+    before,
+    after,
+    request: { method: req.method, path: req.originalUrl, ip: req.ip }
+  };
+
+  try {
+    await auditCollection().insertOne(entry);
+  } catch (err) {
+    // The mutation has already been committed and can't be rolled back, so log
+    // the entry for reconstruction and fail the request rather than hide the gap
+    console.error('AUDIT LOG WRITE FAILED:', JSON.stringify(entry), err);
+    throw new UpstreamError('The change was saved but could not be recorded in the audit log', {
+      code: 'AUDIT_WRITE_FAILED',
+      cause: err
+    });
+  }
+}
+
+export default {
+  AUDITED_ENTITIES,
+  recordAudit
+};
@@ -0,0 +1,91 @@
+import { verifyAccessToken } from './authTokens.js';
+import { UnauthorizedError, ForbiddenError, UpstreamError } from './errors.js';
+
+// User roles, least to most privileged
+export const ROLES = ['community', 'analyst', 'officer', 'admin'];
+
+// Roles allowed to change police records (crimes, criminals, victims, stations)
+export const STAFF_ROLES = ['officer', 'admin'];
+
+// Roles allowed to use analytics-derived AI features
+export const ANALYST_ROLES = ['analyst', 'officer', 'admin'];
+
+/**
+ * Resolve the caller from a `Authorization: Bearer <token>` header.
+ * Sets req.user to {id, email, name, role} (or null for anonymous requests) and
+ * req.auth to the raw token claims. Rejects malformed or invalid tokens with 401.
+ */
+export async function authenticate(req, res, next) {
+  req.user = null;
+  req.auth = null;
+
+  const header = req.headers.authorization;
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Malformed Authorization header. Use "Bearer <token>".', { code: 'MALFORMED_AUTH_HEADER' }));
+  }
+
+  try {
+    const claims = await verifyAccessToken(token);
+    req.user = { id: claims.sub, email: claims.email, name: claims.name, role: claims.role || 'community' };
+    req.auth = claims;
+    next();
+  } catch (err) {
+    // Signature, expiry and revocation failures are the caller's problem;
+    // anything else (e.g. Redis unreachable) is ours
+    if (['JsonWebTokenError', 'TokenExpiredError', 'NotBeforeError'].includes(err.name) ||
+        err.message === 'Token has been revoked') {
+      return next(new UnauthorizedError('Invalid or expired access token', { code: 'INVALID_TOKEN' }));
+    }
+    next(new UpstreamError('Could not verify access token', { cause: err }));
+  }
+}
+
+/**
+ * Reject anonymous requests with 401. Use after `authenticate`.
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+  next();
+}
+
+/**
+ * Allow only authenticated users with one of the given roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError(`Requires one of the roles: ${roles.join(', ')}`));
+    }
+    next();
+  };
+}
+
+/**
+ * Check whether a user owns a resource or holds one of the given roles
+ * @param {Object} user - req.user
+ * @param {string} ownerId - user_id stored on the resource
+ * @param {Array<string>} roles - Roles that may act on anyone's resource
+ * @returns {boolean} Whether the user may modify the resource
+ */
+export function isOwnerOrRole(user, ownerId, roles) {
+  return Boolean(user) && (String(ownerId) === String(user.id) || roles.includes(user.role));
+}
+
+export default {
+  authenticate,
+  requireAuth,
+  requireRole,
+  isOwnerOrRole
+};
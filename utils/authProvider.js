@@ -0,0 +1,63 @@
+/**
+ * OAuth identity providers used by routes/auth.js.
+ *
+ * A provider is any object with:
+ *   getAuthorizationUrl(state) -> string  URL to send the user to for consent
+ *   fetchProfile(code) -> Promise<Object> {provider, providerId, email, name, picture}
+ *
+ * Pass a stub with the same shape to createAuthRouter() to run the auth flow offline.
+ */
+import { OAuth2Client } from 'google-auth-library';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const GOOGLE_USERINFO_URL = 'https://www.googleapis.com/oauth2/v2/userinfo';
+
+/**
+ * Create the Google OAuth provider
+ * @param {Object} options - Client ID, secret and redirect URI (default from env)
+ * @returns {Object} Provider
+ */
+export function createGoogleProvider({
+  clientId = process.env.GOOGLE_CLIENT_ID,
+  clientSecret = process.env.GOOGLE_CLIENT_SECRET,
+  redirectUri = process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/google/callback'
+} = {}) {
+  if (!clientId || !clientSecret) {
+    console.error('ERROR: Google OAuth client ID/secret not found in environment variables');
+  }
+
+  const oauth2Client = new OAuth2Client(clientId, clientSecret, redirectUri);
+
+  return {
+    getAuthorizationUrl(state) {
+      return oauth2Client.generateAuthUrl({
+        access_type: 'online',
+        scope: [
+          'https://www.googleapis.com/auth/userinfo.profile',
+          'https://www.googleapis.com/auth/userinfo.email'
+        ],
+        state
+      });
+    },
+
+    async fetchProfile(code) {
+      // Exchange the code for tokens; Google's tokens never leave the backend
+      const { tokens } = await oauth2Client.getToken(code);
+
+      const response = await axios.get(GOOGLE_USERINFO_URL, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: 10000
+      });
+
+      const { id, email, name, picture } = response.data;
+      return { provider: 'google', providerId: id, email, name, picture };
+    }
+  };
+}
+
+export default {
+  createGoogleProvider
+};
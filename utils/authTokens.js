@@ -0,0 +1,107 @@
+/**
+ * Backend-issued session tokens.
+ *
+ * Access tokens are short-lived HS256 JWTs signed with JWT_SECRET. Refresh
+ * tokens are opaque random strings stored in Redis and consumed on every use.
+ * Logging out deletes the refresh token and blacklists the access token's
+ * `jti` in Redis until it would have expired anyway.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import redis from './redisClient.js';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+if (!JWT_SECRET) {
+  console.error('ERROR: JWT_SECRET not found in environment variables');
+}
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60; // 30 days
+
+const refreshKey = (token) => `auth:refresh:${token}`;
+const revokedKey = (jti) => `auth:revoked:${jti}`;
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param {Object} user - {id, email, name, role}
+ * @returns {Promise<Object>} {accessToken, refreshToken, expiresIn}
+ */
+export async function issueTokens(user) {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const claims = { sub: String(user.id), email: user.email, name: user.name, role: user.role };
+  const accessToken = jwt.sign(claims, JWT_SECRET, {
+    algorithm: 'HS256',
+    expiresIn: ACCESS_TOKEN_TTL,
+    jwtid: crypto.randomUUID()
+  });
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await redis.setex(refreshKey(refreshToken), REFRESH_TOKEN_TTL, JSON.stringify(claims));
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Verify an access token's signature, expiry and revocation status
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {Error} If the token is invalid, expired or revoked
+ */
+export async function verifyAccessToken(token) {
+  if (!JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  const claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+
+  if (await redis.exists(revokedKey(claims.jti))) {
+    throw new Error('Token has been revoked');
+  }
+
+  return claims;
+}
+
+/**
+ * Consume a refresh token. The caller issues the new pair so it can reload the
+ * user's current role rather than trusting the one stored with the token.
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} Claims stored with the token, or null if unknown or expired
+ */
+export async function consumeRefreshToken(refreshToken) {
+  // GETDEL makes the token single-use even under concurrent requests
+  const stored = await redis.getdel(refreshKey(refreshToken));
+  return stored ? JSON.parse(stored) : null;
+}
+
+/**
+ * Revoke an access token and, optionally, a refresh token
+ * @param {Object} claims - Decoded access token claims ({jti, exp})
+ * @param {string} [refreshToken] - Refresh token to delete
+ * @returns {Promise<void>}
+ */
+export async function revokeTokens(claims, refreshToken) {
+  if (claims?.jti) {
+    const remaining = claims.exp - Math.floor(Date.now() / 1000);
+    if (remaining > 0) {
+      await redis.setex(revokedKey(claims.jti), remaining, '1');
+    }
+  }
+
+  if (refreshToken) {
+    await redis.del(refreshKey(refreshToken));
+  }
+}
+
+export default {
+  issueTokens,
+  verifyAccessToken,
+  consumeRefreshToken,
+  revokeTokens
+};
@@ -0,0 +1,40 @@
+/**
+ * Located crimes for map products (hotspots, vector tiles), merged in the
+ * database by canonical crime type and ~10 m position so dense areas arrive
+ * as one weighted point, with the type's catalogue severity weight (null if
+ * the type is not catalogued):
+ *   { crime_type: 'Theft', latitude: 24.8607, longitude: 67.0011, crimes: 4, severity_weight: 11 }
+ */
+import supabase from './supabaseClient.js';
+import { fromSupabaseError } from './errors.js';
+
+// Rows per request when paging through RPC results (PostgREST's default max-rows)
+const RPC_PAGE_SIZE = 1000;
+
+/**
+ * Fetch merged crime points, paging through analytics_crime_points
+ * @param {Object} [filters] - {start, end (YYYY-MM-DD, omit for open-ended), crimeTypes (array, omit for all)}
+ * @returns {Promise<Array>} [{crime_type, latitude, longitude, crimes, severity_weight}]
+ */
+export async function fetchCrimePoints({ start = null, end = null, crimeTypes = null } = {}) {
+  const points = [];
+
+  for (let from = 0; ; from += RPC_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('analytics_crime_points', { p_start: start, p_end: end, p_crime_types: crimeTypes })
+      .range(from, from + RPC_PAGE_SIZE - 1);
+
+    if (error) {
+      throw fromSupabaseError(error, 'Failed to fetch crime locations');
+    }
+
+    points.push(...data);
+    if (data.length < RPC_PAGE_SIZE) {
+      return points;
+    }
+  }
+}
+
+export default {
+  fetchCrimePoints
+};
@@ -0,0 +1,81 @@
+/**
+ * Map output for crime locations: GeoJSON features and clustered Mapbox
+ * Vector Tiles (one `crimes` layer).
+ */
+import Supercluster from 'supercluster';
+import { fromGeojsonVt } from 'vt-pbf';
+
+// Points are clustered up to this zoom; above it every location is its own feature
+export const CLUSTER_MAX_ZOOM = 15;
+
+// Vector tile layer holding crime points and clusters
+export const TILE_LAYER = 'crimes';
+
+/**
+ * Convert crimes with embedded crime_locations to a GeoJSON FeatureCollection.
+ * Crimes without coordinates are left out.
+ * @param {Array} crimes - Rows from GET /api/crime-locations
+ * @returns {Object} FeatureCollection of Point features
+ */
+export function toCrimeFeatureCollection(crimes) {
+  const features = crimes
+    .filter(({ crime_locations: location }) => location && location.latitude != null && location.longitude != null)
+    .map(({ crime_locations: location, ...properties }) => ({
+      type: 'Feature',
+      id: properties.crime_id,
+      properties,
+      geometry: {
+        type: 'Point',
+        coordinates: [Number(location.longitude), Number(location.latitude)]
+      }
+    }));
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Build the cluster index for crime tiles
+ * @param {Array} points - Merged crime points from fetchCrimePoints
+ * @returns {Supercluster} Index ready for encodeTile
+ */
+export function buildTileIndex(points) {
+  const index = new Supercluster({
+    maxZoom: CLUSTER_MAX_ZOOM,
+    radius: 60,
+    // Clusters carry the number of crimes (points are already merged per location)
+    map: props => ({ crimes: props.crimes }),
+    reduce: (acc, props) => { acc.crimes += props.crimes; }
+  });
+
+  index.load(points.map(point => ({
+    type: 'Feature',
+    properties: { crime_type: point.crime_type, crimes: point.crimes },
+    geometry: { type: 'Point', coordinates: [point.longitude, point.latitude] }
+  })));
+
+  return index;
+}
+
+/**
+ * Encode one tile of the cluster index as a Mapbox Vector Tile
+ * @param {Supercluster} index - From buildTileIndex
+ * @param {number} z - Zoom
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @returns {Buffer|null} Tile, or null if it holds no crimes
+ */
+export function encodeTile(index, z, x, y) {
+  const tile = index.getTile(z, x, y);
+  if (!tile) {
+    return null;
+  }
+  return Buffer.from(fromGeojsonVt({ [TILE_LAYER]: tile }, { version: 2 }));
+}
+
+export default {
+  CLUSTER_MAX_ZOOM,
+  TILE_LAYER,
+  toCrimeFeatureCollection,
+  buildTileIndex,
+  encodeTile
+};
@@ -0,0 +1,139 @@
+/**
+ * Crime type catalogue: the canonical crime types with their category (used
+ * for trend grouping), severity weight (used by hotspot and route scoring)
+ * and aliases, e.g.
+ *   { crime_type_id: 6, name: 'Vehicle Theft', category: 'property',
+ *     severity_weight: 11, aliases: ['auto theft', 'car theft'] }
+ *
+ * The catalogue is small and read on every crime write and route request, so
+ * it is cached in memory and reloaded after CRIME_TYPE_CACHE_TTL_SECONDS or
+ * whenever the catalogue endpoints change it.
+ */
+import supabase from './supabaseClient.js';
+import { fromSupabaseError } from './errors.js';
+import { createTtlCache } from './ttlCache.js';
+
+export const CRIME_CATEGORIES = ['violent', 'property', 'cyber', 'other'];
+
+export const CRIME_TYPE_SELECT = `
+  crime_type_id,
+  name,
+  category,
+  severity_weight,
+  created_at,
+  updated_at,
+  crime_type_aliases (alias)
+`;
+
+// How long the cached catalogue is reused before it is reloaded
+const CATALOGUE_TTL_MS = (parseInt(process.env.CRIME_TYPE_CACHE_TTL_SECONDS) || 60) * 1000;
+
+/**
+ * Flatten a crime_types row with embedded crime_type_aliases
+ * @param {Object} row - Row selected with CRIME_TYPE_SELECT
+ * @returns {Object} Crime type with a sorted `aliases` string array
+ */
+export function formatCrimeType(row) {
+  const { crime_type_aliases: aliases = [], ...crimeType } = row;
+  return {
+    ...crimeType,
+    severity_weight: Number(crimeType.severity_weight),
+    aliases: aliases.map(a => a.alias).sort()
+  };
+}
+
+/**
+ * Key a crime type name or alias is looked up by
+ * @param {string} name - Crime type as entered
+ * @returns {string} Trimmed, lower-cased name
+ */
+function lookupKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Load the catalogue from the database
+ * @returns {Promise<Object>} {types, byName} where byName maps lower-cased names and aliases to types
+ */
+async function loadCatalogue() {
+  const { data, error } = await supabase
+    .from('crime_types')
+    .select(CRIME_TYPE_SELECT)
+    .order('name');
+
+  if (error) {
+    throw fromSupabaseError(error, 'Failed to fetch crime types');
+  }
+
+  const types = data.map(formatCrimeType);
+  const byName = new Map();
+  types.forEach(type => {
+    byName.set(lookupKey(type.name), type);
+    type.aliases.forEach(alias => byName.set(alias, type));
+  });
+
+  return { types, byName };
+}
+
+const catalogueCache = createTtlCache(loadCatalogue, CATALOGUE_TTL_MS);
+
+/**
+ * Return the cached catalogue, reloading it once it is older than the TTL.
+ * Concurrent callers share a single reload.
+ * @returns {Promise<Object>} {types, byName}
+ */
+export async function getCrimeTypeCatalogue() {
+  return catalogueCache.get();
+}
+
+/**
+ * Drop the cached catalogue so the next lookup reloads it. A reload already
+ * in flight may predate the change, so its result is not cached.
+ */
+export function invalidateCrimeTypeCatalogue() {
+  catalogueCache.invalidate();
+}
+
+/**
+ * Find the catalogue entry for a crime type name or alias (case-insensitive)
+ * @param {Object} crimeTypes - Catalogue from getCrimeTypeCatalogue
+ * @param {string} name - Crime type as entered or stored
+ * @returns {Object|null} Crime type, or null if it is not catalogued
+ */
+export function resolveCrimeType(crimeTypes, name) {
+  if (name === undefined || name === null) {
+    return null;
+  }
+  return crimeTypes.byName.get(lookupKey(name)) || null;
+}
+
+/**
+ * Attach the catalogue severity weight and category (as `crime_category`) to
+ * each crime so scoring uses them.
+ * Crimes whose type is not catalogued are left as they are, as are all crimes
+ * if the catalogue cannot be loaded (scoring then uses the built-in weights).
+ * @param {Array} crimes - Records with a crime_type
+ * @returns {Promise<Array>} Crimes with severity_weight and crime_category where known
+ */
+export async function withSeverityWeights(crimes) {
+  let crimeTypes;
+  try {
+    crimeTypes = await getCrimeTypeCatalogue();
+  } catch (error) {
+    console.error('Crime type catalogue unavailable, using default severity weights:', error.message);
+    return crimes;
+  }
+
+  return crimes.map(crime => {
+    const type = resolveCrimeType(crimeTypes, crime.crime_type);
+    return type ? { ...crime, severity_weight: type.severity_weight, crime_category: type.category } : crime;
+  });
+}
+
+export default {
+  CRIME_CATEGORIES,
+  getCrimeTypeCatalogue,
+  invalidateCrimeTypeCatalogue,
+  resolveCrimeType,
+  withSeverityWeights
+};
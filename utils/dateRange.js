@@ -0,0 +1,133 @@
+/**
+ * Date ranges for analytics queries. Ranges are whole UTC days given as
+ * YYYY-MM-DD strings and include both ends.
+ */
+
+// Days covered when only `end` (or nothing) is given
+export const DEFAULT_RANGE_DAYS = 90;
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} Date string for PostgreSQL
+ */
+export function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Return a copy of a date shifted by a number of days
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {Date} Shifted date
+ */
+export function addDays(date, days) {
+  const shifted = new Date(date);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted;
+}
+
+// Relative ranges for `range`, each ending today (UTC): today => startDate.
+// last_Nd covers N days including today.
+export const DATE_PRESETS = {
+  last_7d: today => addDays(today, -6),
+  last_30d: today => addDays(today, -29),
+  last_90d: today => addDays(today, -89),
+  this_month: today => new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)),
+  ytd: today => new Date(Date.UTC(today.getUTCFullYear(), 0, 1))
+};
+
+/**
+ * Resolve a request's date range from `range` or `start`/`end`.
+ * A missing `end` means today; a missing `start` means DEFAULT_RANGE_DAYS before `end`.
+ * @param {Object} query - req.query with optional start, end and range
+ * @param {Date} [today] - Current time
+ * @returns {Object} {formattedStart, formattedEnd} or {error}
+ */
+export function validateDateParams(query, today = new Date()) {
+  const { start, end, range } = query;
+
+  if (range) {
+    if (start || end) {
+      return { error: 'Use either range or start/end, not both' };
+    }
+    return { formattedStart: formatDate(DATE_PRESETS[range](today)), formattedEnd: formatDate(today) };
+  }
+
+  const endDate = end ? new Date(end) : today;
+  const startDate = start ? new Date(start) : addDays(endDate, -DEFAULT_RANGE_DAYS);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Invalid date format. Use YYYY-MM-DD.' };
+  }
+
+  const formattedStart = formatDate(startDate);
+  const formattedEnd = formatDate(endDate);
+
+  if (formattedStart > formattedEnd) {
+    return { error: 'start must be on or before end' };
+  }
+
+  return { formattedStart, formattedEnd };
+}
+
+/**
+ * Number of days in a resolved date range, counting both ends
+ * @param {Object} dates - {formattedStart, formattedEnd}
+ * @returns {number} Days covered
+ */
+export function rangeDays({ formattedStart, formattedEnd }) {
+  return Math.round((new Date(formattedEnd) - new Date(formattedStart)) / 86400000) + 1;
+}
+
+/**
+ * Resolve the baseline range for /compare: explicit baselineStart/baselineEnd,
+ * or `baseline` relative to the current range (default previous_period, the
+ * same number of days immediately before it)
+ * @param {Object} query - req.query
+ * @param {Object} current - Current range from validateDateParams
+ * @returns {Object} {formattedStart, formattedEnd} or {error}
+ */
+export function resolveBaseline(query, current) {
+  const { baseline, baselineStart, baselineEnd } = query;
+
+  if (baselineStart || baselineEnd) {
+    if (baseline) {
+      return { error: 'Use either baseline or baselineStart/baselineEnd, not both' };
+    }
+    if (!baselineStart || !baselineEnd) {
+      return { error: 'baselineStart and baselineEnd must be given together' };
+    }
+    const formattedStart = formatDate(new Date(baselineStart));
+    const formattedEnd = formatDate(new Date(baselineEnd));
+    if (formattedStart > formattedEnd) {
+      return { error: 'baselineStart must be on or before baselineEnd' };
+    }
+    return { formattedStart, formattedEnd };
+  }
+
+  const start = new Date(current.formattedStart);
+  const end = new Date(current.formattedEnd);
+
+  if (baseline === 'previous_year') {
+    start.setUTCFullYear(start.getUTCFullYear() - 1);
+    end.setUTCFullYear(end.getUTCFullYear() - 1);
+    return { formattedStart: formatDate(start), formattedEnd: formatDate(end) };
+  }
+
+  const baselineEndDate = addDays(start, -1);
+  return {
+    formattedStart: formatDate(addDays(baselineEndDate, 1 - rangeDays(current))),
+    formattedEnd: formatDate(baselineEndDate)
+  };
+}
+
+export default {
+  DEFAULT_RANGE_DAYS,
+  DATE_PRESETS,
+  formatDate,
+  addDays,
+  validateDateParams,
+  rangeDays,
+  resolveBaseline
+};
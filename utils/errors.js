@@ -0,0 +1,153 @@
+/**
+ * Error classes and the Express middleware that turns them into responses.
+ *
+ * Route handlers throw (or pass to next) one of the classes below; Express 5
+ * forwards rejected async handlers to `errorHandler`, which sends:
+ *   { error: 'Crime not found', code: 'NOT_FOUND', requestId: '...', details? }
+ *
+ * `code` is stable and meant for clients to branch on. Anything that isn't an
+ * AppError is logged and reported as a generic INTERNAL_ERROR so driver and
+ * database messages never reach the client.
+ */
+import crypto from 'crypto';
+
+/**
+ * Base class for errors with an HTTP status and machine-readable code
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Client-facing message
+   * @param {Object} [options] - {status, code, details, cause}
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/** Request input failed validation (400) */
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', details, { code = 'VALIDATION_FAILED', status = 400 } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+/** Caller is not signed in or their token is invalid (401) */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', { code = 'UNAUTHENTICATED' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+/** Caller is signed in but may not perform the action (403) */
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, { status: 403, code: 'FORBIDDEN' });
+  }
+}
+
+/** The requested record does not exist (404) */
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+/** The request clashes with the current state of a record (409) */
+export class ConflictError extends AppError {
+  constructor(message = 'Request conflicts with the current state of the resource', { code = 'CONFLICT', details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+/** A dependency (database, cache, AI or routing service) failed (502) */
+export class UpstreamError extends AppError {
+  constructor(message = 'Upstream service failed', { code = 'UPSTREAM_ERROR', cause } = {}) {
+    super(message, { status: 502, code, cause });
+  }
+}
+
+/**
+ * Map a Supabase/PostgREST error to the matching AppError
+ * @param {Object} error - Error returned by a Supabase query
+ * @param {string} message - Client-facing message for database failures
+ * @returns {AppError} Error to throw
+ */
+export function fromSupabaseError(error, message = 'Database request failed') {
+  switch (error.code) {
+    case '22P02': // invalid text representation, e.g. a non-numeric ID
+    case '22007': // invalid datetime format
+    case '42703': // undefined column, e.g. a bad `fields` entry
+    case '22023': // invalid parameter value, e.g. a timezone Postgres doesn't know
+      return new ValidationError(error.message);
+    case '23505': // unique violation
+      return new ConflictError('A record with these values already exists', { code: 'DUPLICATE' });
+    case '23503': // foreign key violation
+      return new ConflictError('Referenced record does not exist or is still in use', { code: 'REFERENCE_CONFLICT' });
+    default:
+      return new UpstreamError(message, { code: 'DATABASE_ERROR', cause: error });
+  }
+}
+
+/**
+ * Tag every request with an ID (reusing the caller's X-Request-Id if sent)
+ * and echo it in the response headers
+ */
+export function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * Respond 404 for requests that matched no route. Mount after all routes.
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+/**
+ * Express error middleware; mount last
+ */
+export function errorHandler(err, req, res, next) {
+  let error = err;
+
+  // Malformed JSON bodies come from express.json() as SyntaxErrors
+  if (err.type === 'entity.parse.failed') {
+    error = new ValidationError('Request body is not valid JSON', undefined, { code: 'MALFORMED_JSON' });
+  } else if (!(err instanceof AppError)) {
+    error = new AppError('Internal server error');
+  }
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err.cause || err);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const body = { error: error.message, code: error.code, requestId: req.id };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  res.status(error.status).json(body);
+}
+
+export default {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UpstreamError,
+  fromSupabaseError,
+  requestId,
+  notFoundHandler,
+  errorHandler
+};
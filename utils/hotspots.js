@@ -0,0 +1,316 @@
+/**
+ * Spatial hotspot detection over crime locations.
+ *
+ * Input points are crimes merged by type and position:
+ *   { crime_type: 'Robbery', latitude: 24.8607, longitude: 67.0011, crimes: 3, severity_weight: 22 }
+ *
+ * Every algorithm returns GeoJSON Polygon features, strongest first, with
+ *   properties: { crimes, intensity, score }
+ * where `intensity` weights each crime by getCrimeSeverityWeight and `score`
+ * is the intensity relative to the strongest feature (0-1).
+ *
+ *   grid   - square cells `bandwidth` metres wide holding at least
+ *            `minPoints` crimes
+ *   kde    - Gaussian kernel density (`bandwidth` is the kernel's standard
+ *            deviation), sampled on cells half the bandwidth wide
+ *   dbscan - density-based clusters of at least `minPoints` crimes within
+ *            `bandwidth` metres of each other, outlined by their convex hull
+ */
+import { getCrimeSeverityWeight, createCircularPolygon, binGridCells, calculateDistance } from './pathfindingAlgorithm.js';
+
+export const HOTSPOT_ALGORITHMS = ['grid', 'kde', 'dbscan'];
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// KDE ignores kernel contributions past this many bandwidths...
+const KDE_CUTOFF_BANDWIDTHS = 3;
+// ...and drops cells scoring below this share of the densest cell
+const KDE_MIN_SCORE = 0.05;
+
+/**
+ * Build an equirectangular projection to metres around the points' mean latitude.
+ * Accurate enough at city scale, and keeps cells square on the ground.
+ * @param {Array} points - Crime points
+ * @returns {Object} {toXY(lat, lng) => [x, y], toLngLat(x, y) => [lng, lat]}
+ */
+function createProjection(points) {
+  const meanLat = points.reduce((sum, p) => sum + p.latitude, 0) / points.length;
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos(meanLat * Math.PI / 180);
+
+  return {
+    toXY: (lat, lng) => [lng * metersPerDegreeLng, lat * METERS_PER_DEGREE_LAT],
+    toLngLat: (x, y) => [x / metersPerDegreeLng, y / METERS_PER_DEGREE_LAT]
+  };
+}
+
+/**
+ * Project points and attach their severity-weighted intensity
+ * @param {Array} points - Crime points
+ * @param {Object} projection - From createProjection
+ * @returns {Array} [{x, y, crimes, intensity}]
+ */
+function weightPoints(points, projection) {
+  return points.map(point => {
+    const [x, y] = projection.toXY(point.latitude, point.longitude);
+    return { x, y, crimes: point.crimes, intensity: point.crimes * getCrimeSeverityWeight(point) };
+  });
+}
+
+/**
+ * GeoJSON polygon for grid cell (ix, iy)
+ * @param {number} ix - Column index
+ * @param {number} iy - Row index
+ * @param {number} size - Cell width in metres
+ * @param {Object} projection - From createProjection
+ * @returns {Object} GeoJSON Polygon geometry
+ */
+function cellPolygon(ix, iy, size, projection) {
+  const x0 = ix * size;
+  const y0 = iy * size;
+  const ring = [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]]
+    .map(([x, y]) => projection.toLngLat(x, y));
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Convex hull of 2D points (monotone chain)
+ * @param {Array} points - [{x, y}]
+ * @returns {Array} Hull vertices counter-clockwise, without repeating the first
+ */
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = list => {
+    const hull = [];
+    list.forEach(p => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) {
+        hull.pop();
+      }
+      hull.push(p);
+    });
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+}
+
+/**
+ * Square-cell hotspots
+ * @param {Array} weighted - From weightPoints
+ * @param {Object} projection - From createProjection
+ * @param {number} bandwidth - Cell width in metres
+ * @param {number} minPoints - Crimes a cell needs to count as a hotspot
+ * @returns {Array} [{geometry, crimes, intensity}]
+ */
+function gridHotspots(weighted, projection, bandwidth, minPoints) {
+  return [...binGridCells(weighted, bandwidth, { minCrimes: minPoints }).values()].map(cell => ({
+    geometry: cellPolygon(cell.ix, cell.iy, bandwidth, projection),
+    crimes: cell.crimes,
+    intensity: cell.intensity
+  }));
+}
+
+/**
+ * Kernel density hotspots
+ * @param {Array} weighted - From weightPoints
+ * @param {Object} projection - From createProjection
+ * @param {number} bandwidth - Kernel standard deviation in metres
+ * @returns {Array} [{geometry, crimes, intensity}]
+ */
+function kdeHotspots(weighted, projection, bandwidth) {
+  const size = bandwidth / 2;
+  const cutoff = KDE_CUTOFF_BANDWIDTHS * bandwidth;
+  const reach = Math.ceil(cutoff / size);
+  const crimesPerCell = binGridCells(weighted, size);
+  const density = new Map();
+
+  weighted.forEach(({ x, y, intensity }) => {
+    const px = Math.floor(x / size);
+    const py = Math.floor(y / size);
+    for (let ix = px - reach; ix <= px + reach; ix++) {
+      for (let iy = py - reach; iy <= py + reach; iy++) {
+        const dx = (ix + 0.5) * size - x;
+        const dy = (iy + 0.5) * size - y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 > cutoff * cutoff) continue;
+        const key = `${ix}:${iy}`;
+        const cell = density.get(key) || { ix, iy, intensity: 0 };
+        cell.intensity += intensity * Math.exp(-d2 / (2 * bandwidth * bandwidth));
+        density.set(key, cell);
+      }
+    }
+  });
+
+  // Reduce rather than spread: a small bandwidth gives more cells than fit in a call's arguments
+  const peak = [...density.values()].reduce((max, cell) => Math.max(max, cell.intensity), 0);
+  return [...density.entries()]
+    .filter(([, cell]) => cell.intensity >= peak * KDE_MIN_SCORE)
+    .map(([key, cell]) => ({
+      geometry: cellPolygon(cell.ix, cell.iy, size, projection),
+      crimes: crimesPerCell.get(key)?.crimes || 0,
+      intensity: cell.intensity
+    }));
+}
+
+/**
+ * DBSCAN cluster hotspots. Each merged point counts `crimes` times towards minPoints.
+ * @param {Array} weighted - From weightPoints
+ * @param {Object} projection - From createProjection
+ * @param {number} bandwidth - Neighbourhood radius (eps) in metres
+ * @param {number} minPoints - Crimes needed within eps for a core point
+ * @returns {Array} [{geometry, crimes, intensity}]
+ */
+function dbscanHotspots(weighted, projection, bandwidth, minPoints) {
+  // Index points by eps-sized cell so neighbours are in the surrounding 3x3 cells
+  const index = new Map();
+  weighted.forEach((point, i) => {
+    const key = `${Math.floor(point.x / bandwidth)}:${Math.floor(point.y / bandwidth)}`;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(i);
+  });
+
+  const neighbours = i => {
+    const { x, y } = weighted[i];
+    const cx = Math.floor(x / bandwidth);
+    const cy = Math.floor(y / bandwidth);
+    const found = [];
+    for (let ix = cx - 1; ix <= cx + 1; ix++) {
+      for (let iy = cy - 1; iy <= cy + 1; iy++) {
+        (index.get(`${ix}:${iy}`) || []).forEach(j => {
+          const dx = weighted[j].x - x;
+          const dy = weighted[j].y - y;
+          if (dx * dx + dy * dy <= bandwidth * bandwidth) found.push(j);
+        });
+      }
+    }
+    return found;
+  };
+  const isCore = list => list.reduce((sum, j) => sum + weighted[j].crimes, 0) >= minPoints;
+
+  const labels = new Array(weighted.length).fill(null);
+  const clusters = [];
+
+  weighted.forEach((_, i) => {
+    if (labels[i] !== null) return;
+    const seeds = neighbours(i);
+    if (!isCore(seeds)) {
+      labels[i] = -1; // noise unless a later cluster reaches it
+      return;
+    }
+
+    const cluster = [];
+    labels[i] = clusters.length;
+    const queue = [...seeds];
+    cluster.push(i);
+
+    while (queue.length > 0) {
+      const j = queue.pop();
+      if (labels[j] === -1) {
+        labels[j] = clusters.length;
+        cluster.push(j);
+      }
+      if (labels[j] !== null) continue;
+      labels[j] = clusters.length;
+      cluster.push(j);
+      const next = neighbours(j);
+      if (isCore(next)) queue.push(...next);
+    }
+    clusters.push(cluster);
+  });
+
+  return clusters.map(members => {
+    const points = members.map(j => weighted[j]);
+    const crimes = points.reduce((sum, p) => sum + p.crimes, 0);
+    const intensity = points.reduce((sum, p) => sum + p.intensity, 0);
+    const hull = convexHull(points);
+
+    if (hull.length < 3) {
+      // Too few distinct positions for an area; draw an eps circle around the centre
+      const x = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+      const y = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+      const [lng, lat] = projection.toLngLat(x, y);
+      return { geometry: createCircularPolygon(lat, lng, bandwidth / 1000).geometry, crimes, intensity };
+    }
+
+    const ring = [...hull, hull[0]].map(p => projection.toLngLat(p.x, p.y));
+    return { geometry: { type: 'Polygon', coordinates: [ring] }, crimes, intensity };
+  });
+}
+
+/**
+ * Detect hotspots among crime points
+ * @param {Array} points - [{crime_type, latitude, longitude, crimes, severity_weight}]
+ * @param {Object} options - {algorithm: 'grid'|'kde'|'dbscan', bandwidth (metres), minPoints (grid and dbscan)}
+ * @returns {Array} GeoJSON Features, strongest first
+ */
+export function detectHotspots(points, { algorithm = 'grid', bandwidth, minPoints = 1 }) {
+  if (points.length === 0) {
+    return [];
+  }
+
+  const projection = createProjection(points);
+  const weighted = weightPoints(points, projection);
+  let hotspots;
+  if (algorithm === 'kde') {
+    hotspots = kdeHotspots(weighted, projection, bandwidth);
+  } else if (algorithm === 'dbscan') {
+    hotspots = dbscanHotspots(weighted, projection, bandwidth, minPoints);
+  } else {
+    hotspots = gridHotspots(weighted, projection, bandwidth, minPoints);
+  }
+
+  hotspots.sort((a, b) => b.intensity - a.intensity);
+  const peak = hotspots[0]?.intensity || 0;
+
+  return hotspots.map(({ geometry, crimes, intensity }) => ({
+    type: 'Feature',
+    properties: {
+      crimes,
+      intensity: Number(intensity.toFixed(2)),
+      score: peak > 0 ? Number((intensity / peak).toFixed(3)) : 0
+    },
+    geometry
+  }));
+}
+
+/**
+ * Give each hotspot to the station nearest its centre
+ * @param {Array} hotspots - Features from detectHotspots
+ * @param {Array} stations - Rows with station_id, latitude, longitude; stations without a location are skipped
+ * @returns {Map} station_id => hotspot Features (with `station_id` and `distance_m` added), for every located station
+ */
+export function assignHotspotsToNearestStation(hotspots, stations) {
+  const located = stations.filter(station => station.latitude !== null && station.longitude !== null);
+  const byStation = new Map(located.map(station => [station.station_id, []]));
+  if (located.length === 0) {
+    return byStation;
+  }
+
+  hotspots.forEach(feature => {
+    // Centre of the outline (the last ring position repeats the first)
+    const ring = feature.geometry.coordinates[0].slice(0, -1);
+    const lng = ring.reduce((sum, [x]) => sum + x, 0) / ring.length;
+    const lat = ring.reduce((sum, [, y]) => sum + y, 0) / ring.length;
+
+    const [nearest] = located
+      .map(station => ({ station, distance: calculateDistance(lat, lng, station.latitude, station.longitude) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    byStation.get(nearest.station.station_id).push({
+      ...feature,
+      properties: {
+        ...feature.properties,
+        station_id: nearest.station.station_id,
+        distance_m: Number(nearest.distance.toFixed(1))
+      }
+    });
+  });
+
+  return byStation;
+}
+
+export default {
+  HOTSPOT_ALGORITHMS,
+  detectHotspots,
+  assignHotspotsToNearestStation
+};
@@ -0,0 +1,372 @@
+/**
+ * Shared pagination, filtering, sorting and sparse field selection for list
+ * endpoints backed by Supabase or MongoDB.
+ *
+ * Each endpoint describes itself with a list spec:
+ *   {
+ *     idField: 'crime_id',                    // unique tie-breaker for sorting/cursors
+ *     sortable: { date: 'date', crime_type: 'string', crime_id: 'number' },
+ *     defaultSort: '-date',                   // leading '-' means descending
+ *     softDelete: 'deleted_at',               // optional; hides rows with this marker set
+ *     filters: {
+ *       crime_type: { column: 'crime_type', op: 'in' },
+ *       start: { column: 'date', op: 'gte', type: 'date' },
+ *       area: { column: 'crime_locations.areas.name', op: 'eq', join: 'crime_locations!inner(areas!inner(name))' }
+ *     }
+ *   }
+ *
+ * Soft-deleted rows are excluded unless the request passes include_deleted=true.
+ * Responses use the envelope { data, page: { limit, offset, nextCursor }, total }.
+ */
+import { ObjectId } from 'mongodb';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Encode the last row's sort value and ID into an opaque cursor
+ * @param {*} value - Sort field value of the last row
+ * @param {*} id - ID of the last row
+ * @returns {string} Base64url cursor
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object|null} {v, id} or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && 'v' in decoded && 'id' in decoded ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that a decoded cursor value can be compared with a sort field of the given type
+ * @param {*} value - Value from the decoded cursor
+ * @param {string} type - Sort field type from the list spec ('objectId' values may not be null)
+ * @returns {boolean} Whether the value is usable
+ */
+function isValidCursorValue(value, type) {
+  if (type === 'objectId') {
+    return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+  }
+  if (value === null) {
+    return true;
+  }
+  if (type === 'date') {
+    return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime());
+  }
+  if (type === 'number') {
+    return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+  }
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * Convert a raw filter value from the query string to the type the spec expects
+ * @param {string} raw - Query string value
+ * @param {Object} filter - Filter definition from the list spec
+ * @returns {*} Converted value, or undefined if it is invalid
+ */
+function convertFilterValue(raw, filter) {
+  if (filter.op === 'in') {
+    const values = String(raw).split(',').map(v => v.trim()).filter(Boolean);
+    return values.length > 0 ? values : undefined;
+  }
+  if (filter.type === 'date') {
+    return isNaN(new Date(raw).getTime()) ? undefined : String(raw);
+  }
+  if (filter.type === 'number') {
+    const num = Number(raw);
+    return isNaN(num) ? undefined : num;
+  }
+  return String(raw);
+}
+
+/**
+ * Parse and validate list parameters from a request query
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec for the endpoint
+ * @returns {Object} Parsed params, or {error} if any parameter is invalid
+ */
+export function parseListParams(query, spec) {
+  const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const offset = query.offset !== undefined ? parseInt(query.offset) : 0;
+  if (isNaN(offset) || offset < 0) {
+    return { error: 'Offset must be a non-negative integer' };
+  }
+
+  const sortParam = query.sort || spec.defaultSort || spec.idField;
+  const ascending = !sortParam.startsWith('-');
+  const sortField = ascending ? sortParam : sortParam.slice(1);
+  if (!(sortField in spec.sortable)) {
+    return { error: `Sort must be one of: ${Object.keys(spec.sortable).join(', ')} (prefix with - for descending)` };
+  }
+
+  // The cursor's values are compared with the sort and ID fields, so they must
+  // have those fields' types (a cursor from another sort order does not)
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor ||
+        !isValidCursorValue(cursor.v, spec.sortable[sortField]) ||
+        !isValidCursorValue(cursor.id, spec.sortable[spec.idField] || 'string')) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const invalid = fields.filter(f => !FIELD_PATTERN.test(f));
+    if (fields.length === 0 || invalid.length > 0) {
+      return { error: `Invalid fields: ${invalid.join(', ') || query.fields}` };
+    }
+  }
+
+  const filters = [];
+  for (const [param, filter] of Object.entries(spec.filters || {})) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = convertFilterValue(query[param], filter);
+    if (value === undefined) {
+      return { error: `Invalid value for ${param}` };
+    }
+    filters.push({ ...filter, value });
+  }
+
+  return {
+    limit,
+    includeDeleted: Boolean(spec.softDelete) && String(query.include_deleted) === 'true',
+    offset: cursor ? null : offset,
+    cursor,
+    sort: { field: sortField, ascending, type: spec.sortable[sortField] },
+    fields,
+    filters
+  };
+}
+
+/**
+ * Build the JSON schema for a list endpoint's query string (see utils/requestValidation.js)
+ * @param {Object} spec - List spec for the endpoint
+ * @returns {Object} Query schema covering pagination, sorting, fields and filters
+ */
+export function listQuerySchema(spec) {
+  const properties = {
+    limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+    offset: { type: 'integer', minimum: 0 },
+    cursor: { type: 'string', minLength: 1 },
+    sort: {
+      type: 'string',
+      enum: Object.keys(spec.sortable).flatMap(field => [field, `-${field}`])
+    },
+    fields: { type: 'string', minLength: 1 }
+  };
+
+  if (spec.softDelete) {
+    properties.include_deleted = { type: 'boolean' };
+  }
+
+  for (const [param, filter] of Object.entries(spec.filters || {})) {
+    if (filter.type === 'date') {
+      properties[param] = { type: 'string', format: 'iso-date' };
+    } else if (filter.type === 'number') {
+      properties[param] = { type: 'number' };
+    } else {
+      properties[param] = { type: 'string' };
+    }
+  }
+
+  return { type: 'object', properties };
+}
+
+/**
+ * Build the list envelope from a page of rows fetched with limit + 1
+ * @param {Array} rows - Rows fetched (may include one extra row)
+ * @param {Object} params - Parsed list params
+ * @param {Object} spec - List spec
+ * @param {number} total - Total matching rows, ignoring pagination
+ * @returns {Object} {data, page, total}
+ */
+function buildEnvelope(rows, params, spec, total) {
+  const hasMore = rows.length > params.limit;
+  const pageRows = hasMore ? rows.slice(0, params.limit) : rows;
+  const last = pageRows[pageRows.length - 1];
+
+  // Sort and ID fields are always fetched for the cursor; drop them if not requested
+  const data = params.fields
+    ? pageRows.map(row => Object.fromEntries(
+        Object.entries(row).filter(([key]) => params.fields.includes(key))
+      ))
+    : pageRows;
+
+  return {
+    data,
+    page: {
+      limit: params.limit,
+      offset: params.offset,
+      nextCursor: hasMore && last ? encodeCursor(last[params.sort.field], String(last[spec.idField])) : null
+    },
+    total
+  };
+}
+
+/**
+ * Quote a value for use inside a PostgREST or() filter string
+ * @param {*} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function quotePostgrestValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Run a paginated list query against a Supabase table
+ * @param {Object} supabase - Supabase client
+ * @param {string} table - Table name
+ * @param {Object} params - Parsed list params
+ * @param {Object} spec - List spec
+ * @returns {Promise<Object>} {data, page, total} or {error} with the Supabase error
+ */
+export async function listFromSupabase(supabase, table, params, spec) {
+  const columns = params.fields
+    ? [...new Set([...params.fields, params.sort.field, spec.idField])]
+    : ['*'];
+  const joins = [...new Set(params.filters.filter(f => f.join).map(f => f.join))];
+
+  let query = supabase
+    .from(table)
+    .select([...columns, ...joins].join(', '), { count: 'exact' });
+
+  params.filters.forEach(({ column, op, value }) => {
+    query = op === 'ilike' ? query.ilike(column, `%${value}%`) : query[op](column, value);
+  });
+
+  if (spec.softDelete && !params.includeDeleted) {
+    query = query.is(spec.softDelete, null);
+  }
+
+  if (params.cursor) {
+    const { field, ascending } = params.sort;
+    const cmp = ascending ? 'gt' : 'lt';
+    const value = quotePostgrestValue(params.cursor.v);
+    const id = quotePostgrestValue(params.cursor.id);
+    query = query.or(`${field}.${cmp}.${value},and(${field}.eq.${value},${spec.idField}.${cmp}.${id})`);
+  }
+
+  query = query
+    .order(params.sort.field, { ascending: params.sort.ascending })
+    .order(spec.idField, { ascending: params.sort.ascending });
+
+  query = params.cursor
+    ? query.limit(params.limit + 1)
+    : query.range(params.offset, params.offset + params.limit);
+
+  const { data, error, count } = await query;
+  if (error) {
+    return { error };
+  }
+
+  // Embedded join rows only exist to filter on; don't leak them into the response
+  const rows = joins.length > 0
+    ? data.map(row => {
+        const copy = { ...row };
+        joins.forEach(join => delete copy[join.split('!')[0]]);
+        return copy;
+      })
+    : data;
+
+  return buildEnvelope(rows, params, spec, count);
+}
+
+/**
+ * Convert a cursor value back into the type stored in MongoDB
+ * @param {*} value - Value from the decoded cursor
+ * @param {string} type - Sort field type from the list spec
+ * @returns {*} Value ready for a MongoDB query
+ */
+function reviveMongoValue(value, type) {
+  if (type === 'date') return new Date(value);
+  if (type === 'objectId') return new ObjectId(String(value));
+  return value;
+}
+
+/**
+ * Run a paginated list query against a MongoDB collection
+ * @param {Object} collection - MongoDB collection
+ * @param {Object} params - Parsed list params
+ * @param {Object} spec - List spec
+ * @returns {Promise<Object>} {data, page, total}
+ */
+export async function listFromMongo(collection, params, spec) {
+  const filter = {};
+  params.filters.forEach(({ column, op, value, type }) => {
+    const typed = type === 'date' ? new Date(value) : value;
+    if (op === 'eq') {
+      filter[column] = typed;
+    } else if (op === 'in') {
+      filter[column] = { ...filter[column], $in: typed };
+    } else {
+      filter[column] = { ...filter[column], [`$${op}`]: typed };
+    }
+  });
+
+  if (spec.softDelete && !params.includeDeleted) {
+    // Matches documents where the marker is missing as well as null
+    filter[spec.softDelete] = null;
+  }
+
+  const total = await collection.countDocuments(filter);
+
+  const { field, ascending, type } = params.sort;
+  const direction = ascending ? 1 : -1;
+  let pageFilter = filter;
+
+  if (params.cursor) {
+    const cmp = ascending ? '$gt' : '$lt';
+    const value = reviveMongoValue(params.cursor.v, type);
+    const id = new ObjectId(params.cursor.id);
+    pageFilter = {
+      $and: [
+        filter,
+        { $or: [{ [field]: { [cmp]: value } }, { [field]: value, [spec.idField]: { [cmp]: id } }] }
+      ]
+    };
+  }
+
+  let cursor = collection
+    .find(pageFilter)
+    .sort({ [field]: direction, [spec.idField]: direction });
+
+  if (params.fields) {
+    const projection = Object.fromEntries(
+      [...new Set([...params.fields, field, spec.idField])].map(f => [f, 1])
+    );
+    cursor = cursor.project(projection);
+  }
+
+  if (!params.cursor) {
+    cursor = cursor.skip(params.offset);
+  }
+
+  const rows = await cursor.limit(params.limit + 1).toArray();
+  return buildEnvelope(rows, params, spec, total);
+}
+
+export default {
+  parseListParams,
+  listQuerySchema,
+  listFromSupabase,
+  listFromMongo
+};
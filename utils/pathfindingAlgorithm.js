@@ -1,15 +1,15 @@
 /**
  * Pathfinding algorithm implementation for finding the safest path
- * based on crime data and geographic locations using OpenRouteService API
+ * based on crime data and geographic locations. Routes come from the
+ * providers in routingProviders.js (OpenRouteService and the local road graph).
  */
 import axios from 'axios';
 import dotenv from 'dotenv';
+import {
+  getRoutingProviders, routeWithProviders, routeAlternativesWithProviders, isSameRoute
+} from './routingProviders.js';
 
 dotenv.config();
-/**
- * Utility functions and constants for pathfinding algorithm
- * (No additional code needed here at this time)
- */
 // Get API key from environment variables
 const ORS_API_KEY = process.env.ORS_API_KEY;
 
@@ -18,73 +18,152 @@ if (!ORS_API_KEY) {
 }
 
 // Define constants for the OpenRouteService API
-const ORS_API_URL = 'https://api.openrouteservice.org/v2/directions';
+const ORS_MATRIX_URL = 'https://api.openrouteservice.org/v2/matrix';
+
+/**
+ * Supported travel modes (OpenRouteService profile names) and how much more
+ * each weighs violent crime near the route: pedestrians are the most exposed
+ * to assault and robbery, drivers the least.
+ */
+export const TRAVEL_MODES = {
+  'foot-walking': { violentCrimeMultiplier: 2 },
+  'cycling-regular': { violentCrimeMultiplier: 1.5 },
+  'driving-car': { violentCrimeMultiplier: 1 }
+};
+
+export const DEFAULT_TRAVEL_MODE = 'driving-car';
+
+// Most stops a multi-stop route may have between its start and end
+export const MAX_WAYPOINTS = 8;
+
+// Crime types treated as violent when the crime type catalogue gives no category
+const DEFAULT_VIOLENT_CRIME_TYPES = ['homicide', 'murder', 'assault', 'robbery', 'rape'];
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Configured value
+ */
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * How crimes are weighted against the trip's departure time (see
+ * applyDepartureTime). Deployments tune these with environment variables.
+ */
+export const TIME_WEIGHTING = {
+  // Days after which a crime counts half as much
+  recencyHalfLifeDays: numberFromEnv('ROUTE_RISK_HALF_LIFE_DAYS', 30),
+  // Spread (standard deviation, in hours) of the time-of-day weighting
+  hourSpread: numberFromEnv('ROUTE_RISK_HOUR_SPREAD', 2),
+  // Weight lost per day between the crime's weekday and the trip's (0-3 days apart)
+  weekdayFalloff: numberFromEnv('ROUTE_RISK_WEEKDAY_FALLOFF', 0.15),
+  // Least a crime at the opposite time of day still counts
+  minTimeOfDayWeight: numberFromEnv('ROUTE_RISK_MIN_TIME_WEIGHT', 0.25),
+  // Timezone the hours and weekdays are compared in
+  timeZone: process.env.ANALYTICS_TIMEZONE || 'UTC'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 /**
  * Main function to calculate the safest path between two points
  * @param {Object} startPoint - Starting coordinates {lat, lng}
  * @param {Object} endPoint - Ending coordinates {lat, lng}
  * @param {Array} crimeData - Crime incident data
- * @returns {Promise<Array>} Path as array of coordinate points
+ * @param {Object} [options] - {mode: key of TRAVEL_MODES (default 'driving-car'),
+ *   maxRoutes: most routes to return (default 1), departureTime: Date the
+ *   trip starts (default now), timeZone: IANA timezone crime and trip times
+ *   are compared in (default ANALYTICS_TIMEZONE or UTC)}
+ * @returns {Promise<Object>} {routes}: candidate routes, safest first, each
+ *   {path, distance, duration, safetyScore, crimeScore, highRiskSegments,
+ *   highRiskRatio, provider, explanation}. `provider` is the routing provider
+ *   name, or 'straight-line' if no provider could route.
  */
-export async function calculateSafestPath(startPoint, endPoint, crimeData) {
+export async function calculateSafestPath(startPoint, endPoint, crimeData, {
+  mode = DEFAULT_TRAVEL_MODE,
+  maxRoutes = 1,
+  departureTime = new Date(),
+  timeZone = TIME_WEIGHTING.timeZone
+} = {}) {
   try {
-    console.log(`Calculating road-based safest path from [${startPoint.lat}, ${startPoint.lng}] to [${endPoint.lat}, ${endPoint.lng}]`);
+    console.log(`Calculating road-based ${mode} safest path from [${startPoint.lat}, ${startPoint.lng}] to [${endPoint.lat}, ${endPoint.lng}] departing ${departureTime.toISOString()}`);
     
-    // First try: Get a direct route without avoidance to use as fallback
-    const directRoute = await getRouteWithoutAvoidance(startPoint, endPoint);
+    // Weigh the crimes for how exposed this travel mode is to them, and for
+    // how close they are in time to the trip
+    const weightedCrimes = applyDepartureTime(applyTravelMode(crimeData, mode), departureTime, timeZone);
+    const riskPoints = toRiskPoints(weightedCrimes);
     
-    if (!directRoute || !directRoute.coordinates || directRoute.coordinates.length === 0) {
-      console.error('Could not find a direct route between the given points');
-      return [];
+    // First try: Get the direct route (and alternatives when more than one route is wanted)
+    let candidates;
+    try {
+      candidates = await routeAlternativesWithProviders(startPoint, endPoint, { mode, riskPoints, count: maxRoutes });
+    } catch (routingError) {
+      console.error('No routing provider could find a route:', routingError.message);
+      const straightLine = await getSimpleFallbackRoute(startPoint, endPoint);
+      candidates = [{ ...straightLine, provider: 'straight-line' }];
     }
     
-    // Score the direct route
-    const scoredDirectRoute = scoreRouteByCrimeSafety(directRoute, crimeData);
-    console.log(`Direct route scored with crime impact: ${scoredDirectRoute.crimeScore.toFixed(2)}`);
-    
-    // If crime score is acceptable, just use this route
-    const LOW_CRIME_THRESHOLD = 0.8;
-    if (scoredDirectRoute.crimeScore <= LOW_CRIME_THRESHOLD) {
-      console.log(`Direct route has acceptable crime score (${scoredDirectRoute.crimeScore.toFixed(2)}), using it`);
-      return formatRouteForFrontend(scoredDirectRoute.coordinates);
+    candidates = candidates.filter(route => route && route.coordinates && route.coordinates.length > 0);
+    if (candidates.length === 0) {
+      console.error('Could not find a direct route between the given points');
+      return { routes: [] };
     }
     
-    // Second try: Identify high crime areas to avoid
-    const avoidAreas = identifyHighCrimeAreas(crimeData);
-    console.log(`Identified ${avoidAreas.length} high-crime areas to avoid`);
+    // Score the candidate routes
+    const scoredRoutes = candidates.map(route => scoreRouteByCrimeSafety(route, weightedCrimes));
+    const bestScore = Math.min(...scoredRoutes.map(route => route.crimeScore));
+    console.log(`${scoredRoutes.length} candidate route(s) from ${candidates[0].provider}, best crime impact: ${bestScore.toFixed(2)}`);
     
-    let safeRoute;
-    
-    // Try route with avoid areas if there are any to avoid
-    if (avoidAreas.length > 0) {
-      try {
-        // Get route with avoid_areas parameter
-        safeRoute = await getRouteAvoidingAreas(startPoint, endPoint, avoidAreas);
-        
-        if (safeRoute && safeRoute.coordinates && safeRoute.coordinates.length > 0) {
-          // Score the safe route
-          const scoredSafeRoute = scoreRouteByCrimeSafety(safeRoute, crimeData);
-          console.log(`Safe route scored with crime impact: ${scoredSafeRoute.crimeScore.toFixed(2)}`);
+    // Second try: if even the best route is risky, ask the same provider to avoid high-crime areas
+    const LOW_CRIME_THRESHOLD = 0.8;
+    if (bestScore > LOW_CRIME_THRESHOLD && candidates[0].provider !== 'straight-line') {
+      const avoidAreas = identifyHighCrimeAreas(weightedCrimes);
+      console.log(`Identified ${avoidAreas.length} high-crime areas to avoid`);
+      
+      if (avoidAreas.length > 0) {
+        try {
+          // Ask the provider that found the direct route, so the routes are comparable
+          const provider = getRoutingProviders().filter(p => p.name === candidates[0].provider);
+          const safeRoute = await routeWithProviders(startPoint, endPoint, { avoidAreas, riskPoints, mode }, provider);
           
-          // If safe route is better than direct route, use it
-          if (scoredSafeRoute.crimeScore < scoredDirectRoute.crimeScore) {
-            console.log(`Using safer route with crime score: ${scoredSafeRoute.crimeScore.toFixed(2)}`);
-            return formatRouteForFrontend(scoredSafeRoute.coordinates);
-          } else {
-            console.log(`Safe route (${scoredSafeRoute.crimeScore.toFixed(2)}) not better than direct route (${scoredDirectRoute.crimeScore.toFixed(2)}), using direct route`);
-            return formatRouteForFrontend(scoredDirectRoute.coordinates);
+          if (safeRoute && safeRoute.coordinates && safeRoute.coordinates.length > 0 &&
+              !candidates.some(route => isSameRoute(route, safeRoute))) {
+            const scoredSafeRoute = scoreRouteByCrimeSafety(safeRoute, weightedCrimes);
+            console.log(`Safe route scored with crime impact: ${scoredSafeRoute.crimeScore.toFixed(2)}`);
+            scoredRoutes.push(scoredSafeRoute);
           }
+        } catch (avoidError) {
+          console.error('Error getting route with avoid areas:', avoidError.message);
+          // Continue with the direct routes
         }
-      } catch (avoidError) {
-        console.error('Error getting route with avoid areas:', avoidError.message);
-        // Continue to fallback
       }
     }
     
-    // Third try: If all else fails or no improvement, use direct route as fallback
-    console.log(`Using direct route as fallback with crime score: ${scoredDirectRoute.crimeScore.toFixed(2)}`);
-    return formatRouteForFrontend(directRoute.coordinates);
+    // Safest first; equally safe routes shortest first
+    const shortest = scoredRoutes.reduce((best, route) => route.distance < best.distance ? route : best);
+    const ranked = [...scoredRoutes]
+      .sort((a, b) => a.crimeScore - b.crimeScore || a.distance - b.distance)
+      .slice(0, maxRoutes);
+    
+    console.log(`Returning ${ranked.length} route(s), safest crime score: ${ranked[0].crimeScore.toFixed(2)}`);
+    return {
+      routes: ranked.map((route, rank) => ({
+        path: formatRouteForFrontend(route.coordinates),
+        distance: Math.round(route.distance),
+        duration: Math.round(route.duration),
+        safetyScore: toSafetyScore(route.crimeScore),
+        crimeScore: Number(route.crimeScore.toFixed(3)),
+        highRiskSegments: route.highRiskSegments,
+        highRiskRatio: Number(route.highRiskRatio.toFixed(3)),
+        provider: route.provider,
+        explanation: explainRoute(route, rank, shortest)
+      }))
+    };
   } catch (error) {
     console.error('Error in calculateSafestPath:', error);
     throw error;
@@ -92,97 +171,290 @@ export async function calculateSafestPath(startPoint, endPoint, crimeData) {
 }
 
 /**
- * Identify high crime areas that should be avoided
+ * Calculate the safest route through several stops: the safest route of
+ * each leg between consecutive stops, joined into one path. Each leg's crimes
+ * are weighted for the time it is expected to start.
+ * @param {Array} stops - Coordinates [{lat, lng}]; the first is the start and the last the end
  * @param {Array} crimeData - Crime incident data
+ * @param {Object} [options] - {mode, departureTime, timeZone} as for
+ *   calculateSafestPath, and optimizeOrder: reorder the stops between the
+ *   start and end to minimise the estimated distance and crime risk (default false)
+ * @returns {Promise<Object|null>} {order, legs, total}: `order` lists indices
+ *   into `stops` in visiting order; each leg is its safest route (as returned
+ *   by calculateSafestPath) with `fromStop`/`toStop` indices; `total` is
+ *   {path, distance, duration, safetyScore, crimeScore, highRiskRatio}.
+ *   Null if a leg has no route.
+ */
+export async function calculateMultiStopPath(stops, crimeData, {
+  mode = DEFAULT_TRAVEL_MODE,
+  departureTime = new Date(),
+  timeZone = TIME_WEIGHTING.timeZone,
+  optimizeOrder = false
+} = {}) {
+  const order = optimizeOrder && stops.length > 3
+    ? optimizeStopOrder(stops, toRiskPoints(applyDepartureTime(applyTravelMode(crimeData, mode), departureTime, timeZone)))
+    : stops.map((stop, index) => index);
+  console.log(`Calculating ${mode} safest path through ${stops.length} stops in order ${order.join(' -> ')}`);
+  
+  const legs = [];
+  let legDeparture = departureTime;
+  for (let i = 1; i < order.length; i++) {
+    const { routes } = await calculateSafestPath(stops[order[i - 1]], stops[order[i]], crimeData, {
+      mode, departureTime: legDeparture, timeZone
+    });
+    if (routes.length === 0 || routes[0].path.length === 0) {
+      console.error(`No route for leg ${i} (stop ${order[i - 1]} to stop ${order[i]})`);
+      return null;
+    }
+    
+    legs.push({ fromStop: order[i - 1], toStop: order[i], ...routes[0] });
+    legDeparture = new Date(legDeparture.getTime() + routes[0].duration * 1000);
+  }
+  
+  return { order, legs, total: summariseLegs(legs) };
+}
+
+// Most points sampled along the straight line between two stops when estimating its crime exposure
+const MAX_ORDER_SAMPLES = 50;
+const ORDER_SAMPLE_SPACING_M = 200;
+
+/**
+ * Estimated cost of travelling between two stops, used to order them: the
+ * straight-line distance, scaled up by the mean crime exposure along the
+ * line (measured like scoreRouteByCrimeSafety's point scores)
+ * @param {Object} from - Coordinates {lat, lng}
+ * @param {Object} to - Coordinates {lat, lng}
+ * @param {Array} riskPoints - From toRiskPoints
+ * @returns {number} Cost in risk-weighted metres
+ */
+function estimateLegCost(from, to, riskPoints) {
+  const distance = calculateDistance(from.lat, from.lng, to.lat, to.lng);
+  const samples = Math.max(1, Math.min(MAX_ORDER_SAMPLES, Math.ceil(distance / ORDER_SAMPLE_SPACING_M)));
+  
+  let exposure = 0;
+  for (let s = 0; s <= samples; s++) {
+    const lat = from.lat + (to.lat - from.lat) * s / samples;
+    const lng = from.lng + (to.lng - from.lng) * s / samples;
+    for (const crime of riskPoints) {
+      const crimeDistance = calculateDistance(lat, lng, crime.lat, crime.lng);
+      if (crimeDistance <= 1200) {
+        exposure += crime.severity * Math.exp(-crimeDistance / 200);
+      }
+    }
+  }
+  
+  return distance * (1 + exposure / (samples + 1));
+}
+
+/**
+ * Order of visiting the stops that minimises the summed estimated leg costs,
+ * keeping the first and last stop in place. Searches every order (pruning
+ * any that already cost more than the best found), which stays fast for up
+ * to MAX_WAYPOINTS stops in between.
+ * @param {Array} stops - Coordinates [{lat, lng}]
+ * @param {Array} riskPoints - From toRiskPoints
+ * @returns {Array} Indices into `stops` in visiting order
+ */
+export function optimizeStopOrder(stops, riskPoints) {
+  const last = stops.length - 1;
+  const cost = stops.map(() => []);
+  for (let i = 0; i < stops.length; i++) {
+    for (let j = i + 1; j < stops.length; j++) {
+      cost[i][j] = cost[j][i] = estimateLegCost(stops[i], stops[j], riskPoints);
+    }
+  }
+  
+  let best = { cost: Infinity, order: stops.map((stop, index) => index) };
+  const visit = (order, remaining, costSoFar) => {
+    if (costSoFar >= best.cost) {
+      return;
+    }
+    const current = order[order.length - 1];
+    if (remaining.length === 0) {
+      const total = costSoFar + cost[current][last];
+      if (total < best.cost) {
+        best = { cost: total, order: [...order, last] };
+      }
+      return;
+    }
+    remaining.forEach(stop => {
+      visit([...order, stop], remaining.filter(other => other !== stop), costSoFar + cost[current][stop]);
+    });
+  };
+  visit([0], stops.slice(1, last).map((stop, index) => index + 1), 0);
+  
+  return best.order;
+}
+
+/**
+ * Combine the legs of a multi-stop route. The crime score is the legs'
+ * scores weighted by distance, and the high-risk ratio by path points.
+ * @param {Array} legs - Leg routes from calculateMultiStopPath
+ * @returns {Object} {path, distance, duration, safetyScore, crimeScore, highRiskRatio}
+ */
+function summariseLegs(legs) {
+  const path = [];
+  legs.forEach(leg => {
+    const [first] = leg.path;
+    const previous = path[path.length - 1];
+    // Consecutive legs share the stop between them
+    const joined = previous && previous.latitude === first.latitude && previous.longitude === first.longitude;
+    path.push(...(joined ? leg.path.slice(1) : leg.path));
+  });
+  
+  const distance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+  const duration = legs.reduce((sum, leg) => sum + leg.duration, 0);
+  const crimeScore = distance > 0
+    ? legs.reduce((sum, leg) => sum + leg.crimeScore * leg.distance, 0) / distance
+    : legs.reduce((sum, leg) => sum + leg.crimeScore, 0) / legs.length;
+  const points = legs.reduce((sum, leg) => sum + leg.path.length, 0);
+  const highRiskRatio = legs.reduce((sum, leg) => sum + leg.highRiskRatio * leg.path.length, 0) / points;
+  
+  return {
+    path,
+    distance,
+    duration,
+    safetyScore: toSafetyScore(crimeScore),
+    crimeScore: Number(crimeScore.toFixed(3)),
+    highRiskRatio: Number(highRiskRatio.toFixed(3))
+  };
+}
+
+/**
+ * Map a crime score (0 = no crime nearby, unbounded above) to a 0-100
+ * safety score where higher is safer
+ * @param {number} crimeScore - From scoreRouteByCrimeSafety
+ * @returns {number} Safety score
+ */
+function toSafetyScore(crimeScore) {
+  return Math.round(100 / (1 + crimeScore));
+}
+
+/**
+ * Number of separate high-risk stretches (runs of consecutive high-risk points)
+ * @param {Array} indices - Sorted high-risk point indices
+ * @returns {number} Stretch count
+ */
+function countHighRiskStretches(indices) {
+  return indices.filter((index, i) => i === 0 || indices[i - 1] !== index - 1).length;
+}
+
+/**
+ * Describe a route's trade-off against the shortest candidate in plain language
+ * @param {Object} route - Scored route
+ * @param {number} rank - Position in the ranking (0 = safest)
+ * @param {Object} shortest - Shortest scored candidate
+ * @returns {string} Explanation
+ */
+function explainRoute(route, rank, shortest) {
+  const stretches = countHighRiskStretches(route.highRiskSegments);
+  const label = rank === 0 ? 'Safest route' : `Alternative ${rank}`;
+  
+  const risk = stretches === 0
+    ? 'avoids all high-risk stretches'
+    : `passes ${stretches} high-risk stretch${stretches === 1 ? '' : 'es'} (${Math.round(route.highRiskRatio * 100)}% of the route)`;
+  
+  if (route === shortest || route.distance <= shortest.distance) {
+    return `${label}${rank === 0 ? ' and also the shortest' : ', the shortest option'}; it ${risk}.`;
+  }
+  
+  const extraMeters = route.distance - shortest.distance;
+  const extraPercent = Math.round(extraMeters / shortest.distance * 100);
+  const extraMinutes = route.duration > 0 && shortest.duration > 0
+    ? Math.round((route.duration - shortest.duration) / 60)
+    : null;
+  const longer = extraMinutes !== null && extraMinutes > 0
+    ? `${Math.round(extraMeters)} m (${extraPercent}%) and about ${extraMinutes} min longer than the shortest route`
+    : `${Math.round(extraMeters)} m (${extraPercent}%) longer than the shortest route`;
+  const comparison = route.highRiskRatio < shortest.highRiskRatio
+    ? `, compared with ${Math.round(shortest.highRiskRatio * 100)}% on the shortest route`
+    : '';
+  
+  return `${label}: ${longer}; it ${risk}${comparison}.`;
+}
+
+/**
+ * Road distance and driving time from one point to several destinations,
+ * using the OpenRouteService matrix API
+ * @param {Object} origin - Starting coordinates {lat, lng}
+ * @param {Array} destinations - Destination coordinates [{lat, lng}]
+ * @returns {Promise<Array>} [{distance (m), duration (s)}] per destination; null values if unreachable
+ */
+export async function getRoadDistances(origin, destinations) {
+  if (destinations.length === 0) {
+    return [];
+  }
+
+  const response = await axios({
+    method: 'POST',
+    url: `${ORS_MATRIX_URL}/driving-car`,
+    headers: {
+      'Accept': 'application/json',
+      'Authorization': ORS_API_KEY,
+      'Content-Type': 'application/json; charset=utf-8'
+    },
+    data: {
+      locations: [[origin.lng, origin.lat], ...destinations.map(point => [point.lng, point.lat])],
+      sources: [0],
+      destinations: destinations.map((_, i) => i + 1),
+      metrics: ['distance', 'duration']
+    },
+    timeout: 15000
+  });
+
+  const { distances, durations } = response.data;
+  return destinations.map((_, i) => ({
+    distance: distances[0][i],
+    duration: durations[0][i]
+  }));
+}
+
+/**
+ * Identify high crime areas that should be avoided: grid cells whose crimes'
+ * summed severity weight reaches HIGH_RISK_THRESHOLD. The weights already
+ * include the travel mode and departure time, so the same crimes can make an
+ * area worth avoiding at night but not at noon.
+ * @param {Array} crimeData - Crime incident data, weighted by applyTravelMode and applyDepartureTime
  * @returns {Array} Areas to avoid, formatted for OpenRouteService API
  */
-function identifyHighCrimeAreas(crimeData) {
+export function identifyHighCrimeAreas(crimeData) {
   if (!crimeData || crimeData.length === 0) {
     return [];
   }
   
   console.log(`Processing ${crimeData.length} crime data points to identify high-risk areas`);
   
-  // Create a grid to identify crime clusters
-  const grid = {};
   const GRID_SIZE = 0.002; // Approximately 200m grid squares (increased for better clustering)
   
-  // Count crimes in each grid cell
+  // Extract coordinates from various crime data formats, skipping invalid ones
+  const points = [];
   crimeData.forEach(crime => {
-    let lat, lng, severity;
-    
-    // Extract coordinates from various crime data formats
-    if (crime.crime_locations) {
-      lat = parseFloat(crime.crime_locations.latitude);
-      lng = parseFloat(crime.crime_locations.longitude);
-    } else if (crime.latitude !== undefined) {
-      lat = parseFloat(crime.latitude);
-      lng = parseFloat(crime.longitude);
-    } else {
-      return;
-    }
-    
-    // Skip if coordinates are invalid
+    const location = crime.crime_locations || crime;
+    const lat = parseFloat(location.latitude);
+    const lng = parseFloat(location.longitude);
     if (isNaN(lat) || isNaN(lng)) {
       return;
     }
-    
-    severity = getCrimeSeverityWeight(crime);
-    
-    // Calculate grid cell
-    const gridX = Math.floor(lng / GRID_SIZE);
-    const gridY = Math.floor(lat / GRID_SIZE);
-    const gridKey = `${gridX}:${gridY}`;
-    
-    if (!grid[gridKey]) {
-      grid[gridKey] = {
-        count: 0,
-        totalSeverity: 0,
-        centerLat: lat,
-        centerLng: lng,
-        crimes: []
-      };
-    } else {
-      // Update cell center based on weighted average
-      const cellWeight = grid[gridKey].totalSeverity;
-      const newWeight = cellWeight + severity;
-      grid[gridKey].centerLat = (grid[gridKey].centerLat * cellWeight + lat * severity) / newWeight;
-      grid[gridKey].centerLng = (grid[gridKey].centerLng * cellWeight + lng * severity) / newWeight;
-    }
-    
-    grid[gridKey].count++;
-    grid[gridKey].totalSeverity += severity;
-    grid[gridKey].crimes.push({
-      lat, 
-      lng, 
-      type: crime.crime_type || 'unknown',
-      severity
-    });
+    points.push({ x: lng, y: lat, crimes: 1, intensity: getCrimeSeverityWeight(crime) });
   });
   
-  // Identify high crime clusters - Adjust thresholds based on your specific crime data
-  const HIGH_CRIME_THRESHOLD = 1; // Minimum crimes to consider a high-crime area
-  const HIGH_SEVERITY_THRESHOLD = 4; // Or based on severity
+  // Weighted severity a cell needs to be avoided: about one recent property
+  // crime near the trip's time of day, or several weaker matches
+  const HIGH_RISK_THRESHOLD = 10;
   
   // Array to store avoid areas sorted by priority
   const avoidAreas = [];
   
-  // First pass: identify high crime cells
-  for (const gridKey in grid) {
-    const cell = grid[gridKey];
-    
-    if (cell.count >= HIGH_CRIME_THRESHOLD || cell.totalSeverity >= HIGH_SEVERITY_THRESHOLD) {
+  for (const cell of binGridCells(points, GRID_SIZE).values()) {
+    if (cell.intensity >= HIGH_RISK_THRESHOLD) {
       // Calculate radius based on crime density and severity
-      const radius = Math.min(0.5, calculateAvoidanceRadius(cell.count, cell.totalSeverity));
-      
-      // Create polygon with priority based on severity/count
-      const priority = cell.totalSeverity + (cell.count * 2);
+      const radius = Math.min(0.5, calculateAvoidanceRadius(cell.crimes, cell.intensity));
       
       avoidAreas.push({
-        polygon: createCircularPolygon(cell.centerLat, cell.centerLng, radius),
-        priority: priority,
-        count: cell.count,
-        severity: cell.totalSeverity
+        polygon: createCircularPolygon(cell.centerY, cell.centerX, radius),
+        priority: cell.intensity,
+        count: cell.crimes,
+        severity: cell.intensity
       });
     }
   }
@@ -194,6 +466,50 @@ function identifyHighCrimeAreas(crimeData) {
   return avoidAreas.map(area => area.polygon);
 }
 
+/**
+ * Sum crimes and intensity per square grid cell. Shared by the avoid areas
+ * (degree cells) and hotspot detection (metre cells).
+ * @param {Array} points - [{x, y, crimes, intensity}] in any planar units
+ * @param {number} size - Cell width, in the points' units
+ * @param {Object} [options] - {minCrimes: drop cells with fewer crimes (default 1)}
+ * @returns {Map} 'ix:iy' => {ix, iy, crimes, intensity, centerX, centerY};
+ *   the centre is intensity-weighted, or the plain mean when intensity is 0
+ */
+export function binGridCells(points, size, { minCrimes = 1 } = {}) {
+  const sums = new Map();
+  points.forEach(({ x, y, crimes, intensity }) => {
+    const ix = Math.floor(x / size);
+    const iy = Math.floor(y / size);
+    const key = `${ix}:${iy}`;
+    if (!sums.has(key)) {
+      sums.set(key, { ix, iy, crimes: 0, intensity: 0, sumX: 0, sumY: 0, weightedX: 0, weightedY: 0 });
+    }
+    const cell = sums.get(key);
+    cell.crimes += crimes;
+    cell.intensity += intensity;
+    cell.sumX += x * crimes;
+    cell.sumY += y * crimes;
+    cell.weightedX += x * intensity;
+    cell.weightedY += y * intensity;
+  });
+
+  const cells = new Map();
+  sums.forEach(({ ix, iy, crimes, intensity, sumX, sumY, weightedX, weightedY }, key) => {
+    if (crimes < minCrimes) {
+      return;
+    }
+    cells.set(key, {
+      ix,
+      iy,
+      crimes,
+      intensity,
+      centerX: intensity > 0 ? weightedX / intensity : sumX / crimes,
+      centerY: intensity > 0 ? weightedY / intensity : sumY / crimes
+    });
+  });
+  return cells;
+}
+
 /**
  * Calculate appropriate avoidance radius based on crime density and severity
  * @param {number} crimeCount - Number of crimes in area
@@ -218,7 +534,7 @@ function calculateAvoidanceRadius(crimeCount, totalSeverity) {
  * @param {number} radiusKm - Radius in kilometers
  * @returns {Object} GeoJSON polygon feature
  */
-function createCircularPolygon(centerLat, centerLng, radiusKm) {
+export function createCircularPolygon(centerLat, centerLng, radiusKm) {
   const points = 16; // Number of points to approximate the circle
   const coords = [];
   
@@ -331,314 +647,151 @@ function expandAvoidAreas(avoidAreas, crimeData) {
 }
 
 /**
- * Get route using OpenRouteService API with avoid_areas parameter
+ * Get a very simple route as a last resort
  * @param {Object} start - Starting point {lat, lng}
  * @param {Object} end - Ending point {lat, lng}
- * @param {Array} avoidAreas - GeoJSON polygons of areas to avoid
- * @returns {Promise<Object>} Route information
+ * @returns {Object} Basic route
  */
-async function getRouteAvoidingAreas(start, end, avoidAreas) {
-  try {
-    console.log(`Fetching route from OpenRouteService API with ${avoidAreas.length} avoid areas...`);
-    
-    // Format coordinates for OpenRouteService API
-    const coordinates = [
+async function getSimpleFallbackRoute(start, end) {
+  console.log('Using last resort simple route generation...');
+  
+  // If all else fails, create a direct line between points
+  return {
+    coordinates: [
       [start.lng, start.lat],
       [end.lng, end.lat]
-    ];
-    
-    // Request body for OpenRouteService API
-    const requestBody = {
-      coordinates: coordinates,
-      format: 'geojson',
-      options: {
-        avoid_features: ["highways", "tollways"] // Optionally avoid highways and tollways
-      },
-      preference: "recommended" // Use recommended for better results
-    };
-    
-    // Add avoid_polygons if we have areas to avoid
-    if (avoidAreas.length > 0) {
-      // OpenRouteService expects avoid_polygons as a GeoJSON object directly in the options
-      requestBody.options.avoid_polygons = {
-        type: "MultiPolygon",
-        coordinates: avoidAreas.map(area => area.geometry.coordinates)
-      };
-    }
-    
-    // Call the OpenRouteService API
-    const response = await axios({
-      method: 'POST',
-      url: `${ORS_API_URL}/driving-car/geojson`,
-      headers: {
-        'Accept': 'application/json, application/geo+json, application/gpx+xml',
-        'Authorization': ORS_API_KEY,
-        'Content-Type': 'application/json; charset=utf-8'
-      },
-      data: requestBody
-    });
-    
-    if (!response.data || !response.data.features || response.data.features.length === 0) {
-      console.warn('No routes found in API response, falling back to simple route.');
-      return await getSimpleFallbackRoute(start, end);
-    }
-    
-    // Extract route from the response
-    const feature = response.data.features[0];
-    return {
-      coordinates: feature.geometry.coordinates,
-      distance: feature.properties.summary.distance,
-      duration: feature.properties.summary.duration
-    };
-  } catch (error) {
-    console.error('Error fetching route with avoid_areas:', error);
-    
-    if (error.response) {
-      console.error('API response error:', error.response.data);
-    }
-    
-    console.log('Falling back to standard route without avoid_areas...');
-    return getRouteWithoutAvoidance(start, end);
-  }
+    ],
+    distance: calculateDistance(start.lat, start.lng, end.lat, end.lng),
+    duration: 0 // Unknown duration
+  };
 }
 
 /**
- * Get route without avoid areas
- * @param {Object} start - Starting point {lat, lng}
- * @param {Object} end - Ending point {lat, lng}
- * @returns {Promise<Object>} Route information
- */
-/**
- * Get route without avoid areas
- * @param {Object} start - Starting point {lat, lng}
- * @param {Object} end - Ending point {lat, lng}
- * @returns {Promise<Object>} Route information
+ * Whether a crime is violent, by its catalogue category or, failing that,
+ * the built-in list of violent crime types
+ * @param {Object} crime - Crime data object
+ * @returns {boolean} True for violent crimes
  */
-async function getRouteWithoutAvoidance(start, end) {
-  try {
-    console.log(`Fetching standard route from OpenRouteService API...`);
-    console.log(`Route from ${start.lat},${start.lng} to ${end.lat},${end.lng}`);
-    
-    // Validate coordinates first
-    if (!validateCoordinates(start.lat, start.lng) || !validateCoordinates(end.lat, end.lng)) {
-      throw new Error('Invalid coordinates provided for routing');
-    }
-    
-    // Format coordinates for OpenRouteService API - [longitude, latitude] format!
-    const coordinates = [
-      [start.lng, start.lat],
-      [end.lng, end.lat]
-    ];
-    
-    // Request body for OpenRouteService API
-    const requestBody = {
-      coordinates: coordinates,
-      format: 'geojson',
-      preference: "recommended", // Use recommended for better results
-      instructions: false // Optional, simplifies the response
-    };
-    
-    console.log('Request payload:', JSON.stringify(requestBody, null, 2));
-    
-    // Add delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Call the OpenRouteService API with retries
-    let retries = 3;
-    let response;
-    
-    while (retries > 0) {
-      try {
-        response = await axios({
-          method: 'POST',
-          url: `${ORS_API_URL}/driving-car/geojson`,
-          headers: {
-            'Accept': 'application/json, application/geo+json',
-            'Authorization': ORS_API_KEY,
-            'Content-Type': 'application/json; charset=utf-8'
-          },
-          data: requestBody,
-          timeout: 15000 // 15 second timeout
-        });
-        
-        console.log('API response status:', response.status);
-        break;
-      } catch (err) {
-        retries--;
-        const errorMessage = err.response?.data?.error?.message || err.message;
-        console.error(`API request failed (${retries} retries left): ${errorMessage}`);
-        
-        if (err.response?.data) {
-          console.error('Response data:', JSON.stringify(err.response.data, null, 2));
-        }
-        
-        if (retries === 0) throw err;
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
-    
-    if (!response.data || !response.data.features || response.data.features.length === 0) {
-      console.error('API response format unexpected:', JSON.stringify(response.data, null, 2));
-      throw new Error('No routes found in API response');
-    }
-    
-    // Extract route from the response
-    const feature = response.data.features[0];
-    
-    // Validate the response has the expected structure
-    if (!feature.geometry?.coordinates || !feature.properties?.summary) {
-      console.error('Invalid route data structure:', JSON.stringify(feature, null, 2));
-      throw new Error('Invalid route data received from API');
-    }
-    
-    return {
-      coordinates: feature.geometry.coordinates,
-      distance: feature.properties.summary.distance,
-      duration: feature.properties.summary.duration
-    };
-  } catch (error) {
-    console.error('Error fetching standard route:', error.message);
-    
-    if (error.response && error.response.data) {
-      console.error('API response error:', JSON.stringify(error.response.data, null, 2));
-    }
-    
-    // Try alternative API endpoint format if the first one failed
-    try {
-      console.log('Trying alternative API endpoint format...');
-      return await getRouteUsingAlternativeEndpoint(start, end);
-    } catch (altError) {
-      console.error('Alternative endpoint also failed:', altError.message);
-      
-      // Try a simpler fallback method as last resort
-      try {
-        return await getSimpleFallbackRoute(start, end);
-      } catch (fallbackError) {
-        console.error('Fallback route also failed:', fallbackError.message);
-        throw new Error(`Failed to get any route: ${error.message}`);
-      }
-    }
+function isViolentCrime(crime) {
+  if (crime.crime_category) {
+    return crime.crime_category === 'violent';
   }
+  return DEFAULT_VIOLENT_CRIME_TYPES.includes((crime.crime_type || '').toLowerCase());
 }
 
 /**
- * Try an alternative endpoint format for OpenRouteService
- * @param {Object} start - Starting point {lat, lng}
- * @param {Object} end - Ending point {lat, lng}
- * @returns {Promise<Object>} Route information
+ * Scale each crime's severity weight for a travel mode, so every later step
+ * (avoid areas, route scores, local routing costs) sees the mode's risk
+ * @param {Array} crimeData - Crime incident data
+ * @param {string} mode - Key of TRAVEL_MODES
+ * @returns {Array} Crimes with an adjusted severity_weight
  */
-async function getRouteUsingAlternativeEndpoint(start, end) {
-  try {
-    console.log('Trying alternative API endpoint format...');
-    
-    // Format coordinates for OpenRouteService API
-    const coordinates = [
-      [start.lng, start.lat],
-      [end.lng, end.lat]
-    ];
-    
-    // Request body for OpenRouteService API
-    const requestBody = {
-      coordinates: coordinates,
-      instructions: false,
-      preference: "recommended"
-    };
-    
-    // Call the OpenRouteService API
-    const response = await axios({
-      method: 'POST',
-      url: `${ORS_API_URL}/driving-car`,  // Different endpoint format
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': ORS_API_KEY,
-        'Content-Type': 'application/json; charset=utf-8'
-      },
-      data: requestBody,
-      timeout: 15000
-    });
-    
-    if (!response.data || !response.data.routes || response.data.routes.length === 0) {
-      throw new Error('No routes found in alternative API response');
-    }
-    
-    // Extract route from the response (different structure)
-    const route = response.data.routes[0];
-    return {
-      coordinates: route.geometry.coordinates || decodeGeometry(route.geometry),
-      distance: route.summary.distance,
-      duration: route.summary.duration
-    };
-  } catch (error) {
-    console.error('Error with alternative endpoint:', error.message);
-    throw error;
-  }
+function applyTravelMode(crimeData, mode) {
+  const { violentCrimeMultiplier } = TRAVEL_MODES[mode];
+  return (crimeData || []).map(crime => ({
+    ...crime,
+    severity_weight: getCrimeSeverityWeight(crime) * (isViolentCrime(crime) ? violentCrimeMultiplier : 1)
+  }));
 }
 
+const localTimeFormats = new Map();
+
 /**
- * Validate coordinates are within valid ranges
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {boolean} Whether coordinates are valid
+ * Local time of day and weekday of an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} {hour: fractional hour 0-24, weekday: 0 (Sunday) to 6}
  */
-function validateCoordinates(lat, lng) {
-  // Check if coordinates are numbers and in valid ranges
-  if (typeof lat !== 'number' || typeof lng !== 'number') {
-    return false;
+function toLocalTime(date, timeZone) {
+  if (!localTimeFormats.has(timeZone)) {
+    localTimeFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, weekday: 'short', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    }));
   }
-  
-  const isValid = lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
-  if (!isValid) {
-    console.error(`Invalid coordinates: lat=${lat}, lng=${lng}`);
-  }
-  return isValid;
+  const parts = Object.fromEntries(
+    localTimeFormats.get(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return {
+    hour: Number(parts.hour) + Number(parts.minute) / 60,
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
 }
 
 /**
- * Helper function to decode polyline geometry if needed
- * @param {string} encodedGeometry - Encoded polyline
- * @returns {Array} Array of coordinate pairs
+ * How much a crime counts towards the risk of a trip leaving at `departure`:
+ * the product of
+ *   - time of day: a Gaussian over the hours between the crime and the trip
+ *     (wrapping at midnight), never below minTimeOfDayWeight
+ *   - weekday: 1 on the same weekday, less weekdayFalloff per day apart
+ *   - recency: exponential decay halving every recencyHalfLifeDays before the trip
+ * Crimes after the departure had not happened yet when the trip started, so
+ * they weigh 0 (this matters when scoring a trip in the past).
+ * @param {Date} crimeDate - When the crime happened
+ * @param {Date} departure - Trip departure time
+ * @param {Object} weighting - TIME_WEIGHTING, optionally with another timeZone
+ * @returns {number} Weight between 0 and 1
  */
-function decodeGeometry(encodedGeometry) {
-  // Implementation of polyline decoder if needed
-  // This is placeholder since the API might return encoded polylines
-  console.log('Geometry decoding would happen here if needed');
-  return [];
+export function getCrimeTimeWeight(crimeDate, departure, weighting = TIME_WEIGHTING) {
+  if (crimeDate > departure) {
+    return 0;
+  }
+
+  const crimeTime = toLocalTime(crimeDate, weighting.timeZone);
+  const tripTime = toLocalTime(departure, weighting.timeZone);
+
+  const hourGap = Math.abs(crimeTime.hour - tripTime.hour);
+  const hoursApart = Math.min(hourGap, 24 - hourGap);
+  const minTime = Math.min(weighting.minTimeOfDayWeight, 1);
+  const timeOfDay = weighting.hourSpread > 0
+    ? minTime + (1 - minTime) * Math.exp(-(hoursApart ** 2) / (2 * weighting.hourSpread ** 2))
+    : 1;
+
+  const dayGap = Math.abs(crimeTime.weekday - tripTime.weekday);
+  const daysApart = Math.min(dayGap, 7 - dayGap);
+  const weekday = Math.max(0, 1 - weighting.weekdayFalloff * daysApart);
+
+  const ageDays = (departure - crimeDate) / MS_PER_DAY;
+  const recency = weighting.recencyHalfLifeDays > 0
+    ? Math.pow(0.5, ageDays / weighting.recencyHalfLifeDays)
+    : 1;
+
+  return timeOfDay * weekday * recency;
 }
 
 /**
- * Get a very simple route as a last resort
- * @param {Object} start - Starting point {lat, lng}
- * @param {Object} end - Ending point {lat, lng}
- * @returns {Object} Basic route
+ * Scale each crime's severity weight by how close it is in time of day,
+ * weekday and recency to the trip (see getCrimeTimeWeight). Crimes after the
+ * departure are left out; crimes without a usable date keep their weight.
+ * @param {Array} crimeData - Crime incident data with `date`
+ * @param {Date} departure - Trip departure time
+ * @param {string} [timeZone] - IANA timezone for hours and weekdays (default ANALYTICS_TIMEZONE or UTC)
+ * @returns {Array} Crimes with an adjusted severity_weight
  */
-async function getSimpleFallbackRoute(start, end) {
-  console.log('Using last resort simple route generation...');
-  
-  // If all else fails, create a direct line between points
-  return {
-    coordinates: [
-      [start.lng, start.lat],
-      [end.lng, end.lat]
-    ],
-    distance: calculateDistance(start.lat, start.lng, end.lat, end.lng),
-    duration: 0 // Unknown duration
-  };
+export function applyDepartureTime(crimeData, departure, timeZone = TIME_WEIGHTING.timeZone) {
+  const weighting = { ...TIME_WEIGHTING, timeZone };
+  return crimeData.flatMap(crime => {
+    const crimeDate = crime.date ? new Date(crime.date) : null;
+    if (!crimeDate || isNaN(crimeDate)) {
+      return [crime];
+    }
+    if (crimeDate > departure) {
+      return [];
+    }
+    return [{
+      ...crime,
+      severity_weight: getCrimeSeverityWeight(crime) * getCrimeTimeWeight(crimeDate, departure, weighting)
+    }];
+  });
 }
 
 /**
- * Score route by proximity to crime locations
- * @param {Object} route - Route object with coordinates
+ * Crime positions with their severity weights, for route scoring and the
+ * local routing engine's risk costs
  * @param {Array} crimeData - Crime incident data
- * @returns {Object} Scored route
+ * @returns {Array} [{lat, lng, severity}] for crimes with coordinates
  */
-function scoreRouteByCrimeSafety(route, crimeData) {
-  if (!crimeData || crimeData.length === 0) {
-    console.warn('No crime data provided for route scoring');
-    return { ...route, crimeScore: 0 };
-  }
-  
-  // Extract crime coordinates from crime data
-  const crimeCoordinates = crimeData.map(crime => {
+function toRiskPoints(crimeData) {
+  return crimeData.map(crime => {
     let lat, lng;
     
     if (crime.crime_locations) {
@@ -652,12 +805,29 @@ function scoreRouteByCrimeSafety(route, crimeData) {
     }
     
     return { lat, lng, severity: getCrimeSeverityWeight(crime) };
-  }).filter(coord => coord !== null);
+  }).filter(coord => coord !== null && !isNaN(coord.lat) && !isNaN(coord.lng));
+}
+
+/**
+ * Score route by proximity to crime locations
+ * @param {Object} route - Route object with coordinates
+ * @param {Array} crimeData - Crime incident data
+ * @returns {Object} Route with crimeScore, highRiskSegments (indices of
+ *   high-risk points) and highRiskRatio
+ */
+function scoreRouteByCrimeSafety(route, crimeData) {
+  if (!crimeData || crimeData.length === 0) {
+    console.warn('No crime data provided for route scoring');
+    return { ...route, crimeScore: 0, highRiskSegments: [], highRiskRatio: 0 };
+  }
+  
+  // Extract crime coordinates from crime data
+  const crimeCoordinates = toRiskPoints(crimeData);
   
   console.log(`Scoring route with ${route.coordinates.length} points against ${crimeCoordinates.length} crime locations`);
   
   let crimeScore = 0;
-  let highRiskSegments = 0;
+  const highRiskSegments = [];
   const SEGMENT_RISK_THRESHOLD = 5; // Threshold to consider a segment high-risk
   
   // For each segment of the route, check proximity to crime locations
@@ -687,7 +857,7 @@ function scoreRouteByCrimeSafety(route, crimeData) {
     
     // Count high-risk segments for additional weighting
     if (segmentScore > SEGMENT_RISK_THRESHOLD) {
-      highRiskSegments++;
+      highRiskSegments.push(i);
     }
   }
   
@@ -696,10 +866,10 @@ function scoreRouteByCrimeSafety(route, crimeData) {
   
   // Apply additional penalty for routes with many high-risk segments
   // This helps avoid routes that pass through multiple high-crime areas
-  const highRiskRatio = highRiskSegments / route.coordinates.length;
+  const highRiskRatio = highRiskSegments.length / route.coordinates.length;
   normalizedScore *= (1 + highRiskRatio * 3);
   
-  console.log(`Route has ${highRiskSegments} high-risk segments out of ${route.coordinates.length} total (${(highRiskRatio * 100).toFixed(1)}%)`);
+  console.log(`Route has ${highRiskSegments.length} high-risk segments out of ${route.coordinates.length} total (${(highRiskRatio * 100).toFixed(1)}%)`);
   
   return {
     ...route,
@@ -711,10 +881,16 @@ function scoreRouteByCrimeSafety(route, crimeData) {
 
 /**
  * Get weight multiplier based on crime type/severity
- * @param {Object} crime - Crime data object
+ * @param {Object} crime - Crime data object; severity_weight (from the crime
+ *   type catalogue) is used when present
  * @returns {number} Weight multiplier
  */
-function getCrimeSeverityWeight(crime) {
+export function getCrimeSeverityWeight(crime) {
+  if (typeof crime.severity_weight === 'number') {
+    return crime.severity_weight;
+  }
+
+  // Uncatalogued types fall back to the built-in weights
   const crimeType = (crime.crime_type || '').toLowerCase();
   
   // Assign weights by crime severity - increased weights
@@ -735,7 +911,7 @@ function getCrimeSeverityWeight(crime) {
  * @param {number} lon2 - Longitude of point 2
  * @returns {number} Distance in meters
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
+export function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 6371e3; // Earth radius in meters
   const φ1 = lat1 * Math.PI/180;
   const φ2 = lat2 * Math.PI/180;
@@ -775,5 +951,6 @@ function formatRouteForFrontend(coordinates) {
 }
 
 export default {
-  calculateSafestPath
+  calculateSafestPath,
+  calculateMultiStopPath
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Declarative request validation with JSON Schema (Ajv).
+ *
+ * Routes describe their input with a schema per request part:
+ *   validateRequest({
+ *     params: idParams,
+ *     query: { type: 'object', properties: { year: { type: 'integer' } } },
+ *     body: { type: 'object', required: ['name'], properties: { name: nonEmptyString } }
+ *   })
+ *
+ * Query and path params arrive as strings, so they are coerced to the schema's
+ * types (and replaced on the request). JSON bodies are validated as sent.
+ * Failures are passed on as a ValidationError (400) listing every failing field:
+ *   { error: 'Validation failed', code: 'VALIDATION_FAILED', details: [{ location, field, message }] }
+ */
+import Ajv from 'ajv';
+import { ValidationError } from './errors.js';
+
+// YYYY-MM-DD, optionally followed by a time and offset
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Check that a string is an IANA timezone the runtime knows, e.g. 'Asia/Karachi'
+ * @param {string} value - Timezone name
+ * @returns {boolean} Whether Intl accepts it
+ */
+function isTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an Ajv instance with the formats used by the route schemas
+ * @param {Object} options - Extra Ajv options
+ * @returns {Ajv} Configured instance
+ */
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, ...options });
+  ajv.addFormat('iso-date', value => ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value)));
+  ajv.addFormat('object-id', /^[0-9a-fA-F]{24}$/);
+  ajv.addFormat('iana-timezone', isTimezone);
+  return ajv;
+}
+
+// coerceTypes: 'array' also wraps a single query value when the schema expects a list
+const coercingAjv = createAjv({ coerceTypes: 'array' });
+const strictAjv = createAjv({});
+
+// Reusable schema fragments
+export const nonEmptyString = { type: 'string', minLength: 1 };
+export const isoDate = { type: 'string', format: 'iso-date' };
+export const latitude = { type: 'number', minimum: -90, maximum: 90 };
+export const longitude = { type: 'number', minimum: -180, maximum: 180 };
+export const recordId = { type: 'integer', minimum: 1 };
+// Day counts and limits that clients send either as numbers or numeric strings
+export const positiveCount = { type: ['integer', 'string'], minimum: 1, pattern: '^[1-9][0-9]*$' };
+export const objectId = { type: 'string', format: 'object-id' };
+export const timezone = { type: 'string', format: 'iana-timezone' };
+
+// Path params for /:id routes on Supabase tables and MongoDB collections
+export const idParams = { type: 'object', required: ['id'], properties: { id: recordId } };
+export const objectIdParams = { type: 'object', required: ['id'], properties: { id: objectId } };
+
+// How each custom format is described in error messages
+const FORMAT_NAMES = {
+  'iso-date': 'ISO 8601 date',
+  'object-id': 'ObjectId',
+  'iana-timezone': 'IANA timezone (e.g. Asia/Karachi)'
+};
+
+/**
+ * Turn Ajv errors into {location, field, message} entries, one per failing field
+ * @param {string} location - 'params', 'query' or 'body'
+ * @param {Array} errors - Ajv errors
+ * @returns {Array} Validation details
+ */
+function formatErrors(location, errors) {
+  return errors.map(err => {
+    const path = err.instancePath.split('/').filter(Boolean);
+    if (err.keyword === 'required') {
+      path.push(err.params.missingProperty);
+    }
+    const message = err.keyword === 'format'
+      ? `must be a valid ${FORMAT_NAMES[err.params.format]}`
+      : err.message;
+    return { location, field: path.join('.') || location, message };
+  });
+}
+
+/**
+ * Build middleware that validates req.params, req.query and req.body against JSON schemas
+ * @param {Object} schemas - {params, query, body}; each is optional
+ * @returns {Function} Express middleware
+ */
+export function validateRequest({ params, query, body }) {
+  const validators = [
+    ['params', params && coercingAjv.compile(params)],
+    ['query', query && coercingAjv.compile(query)],
+    ['body', body && strictAjv.compile(body)]
+  ].filter(([, validate]) => validate);
+
+  return (req, res, next) => {
+    const details = [];
+
+    for (const [location, validate] of validators) {
+      // Validate a copy; Express 5 recomputes req.query on every access
+      const data = location === 'body' ? (req.body ?? {}) : { ...req[location] };
+      if (!validate(data)) {
+        details.push(...formatErrors(location, validate.errors));
+      } else if (location !== 'body') {
+        Object.defineProperty(req, location, { value: data, writable: true, configurable: true, enumerable: true });
+      }
+    }
+
+    if (details.length > 0) {
+      return next(new ValidationError('Validation failed', details));
+    }
+    next();
+  };
+}
+
+export default {
+  validateRequest,
+  idParams,
+  objectIdParams
+};
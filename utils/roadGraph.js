@@ -0,0 +1,385 @@
+/**
+ * In-memory road graph for routing without OpenRouteService.
+ *
+ * The graph is built from an OSM road extract in GeoJSON: LineString or
+ * MultiLineString features carrying the way's OSM tags (`highway`, `oneway`,
+ * `junction`) as properties, e.g. produced with
+ *   osmium tags-filter city.osm.pbf w/highway -o roads.osm.pbf
+ *   osmium export roads.osm.pbf --geometry-types=linestring -o roads.geojson
+ * Vertices shared by several ways become junctions. Extracts are expected to
+ * cover one city, so distances use a flat projection around its centre.
+ *
+ * Routes are found with A*. Each edge costs its length, raised by the crime
+ * risk around it when risk points ({lat, lng, severity}) are given:
+ *   cost = length * (1 + riskWeight * risk / RISK_REFERENCE)
+ * where risk sums severity * e^(-distance / 200 m) over crimes within 1.2 km
+ * of the edge's midpoint, the same influence used to score routes.
+ */
+import fs from 'fs/promises';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Grid cell sizes (metres) for the nearest-node and crime risk lookups
+const NODE_CELL_SIZE = 250;
+const RISK_CELL_SIZE = 400;
+
+// Farthest a start or end point may be from the road it is snapped to
+const MAX_SNAP_DISTANCE = 1000;
+
+// Crime influence: ignored beyond RISK_RADIUS, falls by e every RISK_DECAY metres
+const RISK_RADIUS = 1200;
+const RISK_DECAY = 200;
+
+// Risk at which an edge costs twice its length (the high-risk segment threshold)
+const RISK_REFERENCE = 5;
+
+// OSM `oneway` values meaning the way may only be travelled in its drawn direction, or only against it
+const ONEWAY_FORWARD = ['yes', 'true', '1'];
+const ONEWAY_REVERSE = ['-1', 'reverse'];
+
+/**
+ * Roads each routing profile may use, with speeds (km/h) for durations.
+ * `oneway: true` means the profile obeys one-way restrictions.
+ */
+export const ROUTING_PROFILES = {
+  'foot-walking': {
+    oneway: false,
+    speeds: {
+      footway: 5, pedestrian: 5, path: 5, steps: 2, track: 5, cycleway: 5, bridleway: 5,
+      living_street: 5, residential: 5, service: 5, unclassified: 5, road: 5,
+      tertiary: 5, tertiary_link: 5, secondary: 5, secondary_link: 5,
+      primary: 5, primary_link: 5, trunk: 5, trunk_link: 5
+    }
+  },
+  'cycling-regular': {
+    oneway: true,
+    speeds: {
+      cycleway: 18, path: 12, track: 12, living_street: 10, residential: 16,
+      service: 12, unclassified: 16, road: 16, tertiary: 18, tertiary_link: 18,
+      secondary: 18, secondary_link: 18, primary: 18, primary_link: 18
+    }
+  },
+  'driving-car': {
+    oneway: true,
+    speeds: {
+      motorway: 100, motorway_link: 60, trunk: 80, trunk_link: 50,
+      primary: 60, primary_link: 40, secondary: 50, secondary_link: 40,
+      tertiary: 40, tertiary_link: 30, unclassified: 30, residential: 30,
+      road: 30, service: 15, living_street: 10
+    }
+  }
+};
+
+/**
+ * Binary min-heap of [priority, value] pairs for the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top[1];
+  }
+}
+
+/**
+ * Key of the grid cell containing a projected point
+ * @param {number} x - Easting (m)
+ * @param {number} y - Northing (m)
+ * @param {number} size - Cell width (m)
+ * @returns {string} Cell key
+ */
+function cellKey(x, y, size) {
+  return `${Math.floor(x / size)}:${Math.floor(y / size)}`;
+}
+
+/**
+ * Add a value to the grid cell containing (x, y)
+ * @param {Map} grid - Cell key -> values
+ */
+function addToGrid(grid, x, y, size, value) {
+  const key = cellKey(x, y, size);
+  if (!grid.has(key)) grid.set(key, []);
+  grid.get(key).push(value);
+}
+
+/**
+ * Values in the cells within `radius` metres of (x, y)
+ * @param {Map} grid - Cell key -> values
+ * @returns {Array} Candidate values (callers still check the exact distance)
+ */
+function nearbyInGrid(grid, x, y, size, radius) {
+  const found = [];
+  const reach = Math.ceil(radius / size);
+  const cx = Math.floor(x / size);
+  const cy = Math.floor(y / size);
+  for (let dx = -reach; dx <= reach; dx++) {
+    for (let dy = -reach; dy <= reach; dy++) {
+      const values = grid.get(`${cx + dx}:${cy + dy}`);
+      if (values) found.push(...values);
+    }
+  }
+  return found;
+}
+
+/**
+ * Line strings of a GeoJSON geometry
+ * @param {Object} geometry - LineString or MultiLineString
+ * @returns {Array} Arrays of [lng, lat] positions
+ */
+function lineStrings(geometry) {
+  if (geometry?.type === 'LineString') return [geometry.coordinates];
+  if (geometry?.type === 'MultiLineString') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Build a road graph from OSM road features
+ * @param {Object} geojson - FeatureCollection of ways with OSM tags as properties
+ * @returns {Object} Graph {nodes: [{lat, lng, x, y}], edges: [[{to, length, highway, against}]], toXY, nodeGrid}
+ */
+export function buildRoadGraph(geojson) {
+  const ways = (geojson.features || []).filter(feature => feature.properties?.highway);
+
+  let latSum = 0;
+  let latCount = 0;
+  ways.forEach(way => lineStrings(way.geometry).forEach(line => line.forEach(([, lat]) => {
+    latSum += lat;
+    latCount++;
+  })));
+
+  if (latCount === 0) {
+    throw new Error('Road graph has no highway ways');
+  }
+
+  const metersPerDegreeLng = METERS_PER_DEGREE_LAT * Math.cos((latSum / latCount) * Math.PI / 180);
+  const toXY = (lat, lng) => [lng * metersPerDegreeLng, lat * METERS_PER_DEGREE_LAT];
+
+  const nodes = [];
+  const edges = [];
+  const nodeIds = new Map();
+
+  const nodeId = ([lng, lat]) => {
+    const key = `${lng.toFixed(7)},${lat.toFixed(7)}`;
+    let id = nodeIds.get(key);
+    if (id === undefined) {
+      const [x, y] = toXY(lat, lng);
+      id = nodes.length;
+      nodes.push({ lat, lng, x, y });
+      edges.push([]);
+      nodeIds.set(key, id);
+    }
+    return id;
+  };
+
+  ways.forEach(({ properties, geometry }) => {
+    const { highway } = properties;
+    const oneway = String(properties.oneway ?? '').toLowerCase();
+    const forwardOnly = ONEWAY_FORWARD.includes(oneway) || properties.junction === 'roundabout' ||
+      (highway === 'motorway' && oneway !== 'no');
+    const reverseOnly = ONEWAY_REVERSE.includes(oneway);
+
+    lineStrings(geometry).forEach(line => {
+      for (let i = 1; i < line.length; i++) {
+        const from = nodeId(line[i - 1]);
+        const to = nodeId(line[i]);
+        if (from === to) continue;
+        const length = Math.hypot(nodes[to].x - nodes[from].x, nodes[to].y - nodes[from].y);
+        edges[from].push({ to, length, highway, against: reverseOnly });
+        edges[to].push({ to: from, length, highway, against: forwardOnly });
+      }
+    });
+  });
+
+  const nodeGrid = new Map();
+  nodes.forEach((node, id) => addToGrid(nodeGrid, node.x, node.y, NODE_CELL_SIZE, id));
+
+  return { nodes, edges, toXY, nodeGrid };
+}
+
+/**
+ * Read and build the road graph from a GeoJSON file
+ * @param {string} path - Path to the extract
+ * @returns {Promise<Object>} Graph from buildRoadGraph
+ */
+export async function loadRoadGraph(path) {
+  const geojson = JSON.parse(await fs.readFile(path, 'utf8'));
+  return buildRoadGraph(geojson);
+}
+
+/**
+ * Nearest node with at least one road the profile may use
+ * @param {Object} graph - Road graph
+ * @param {Object} point - {lat, lng}
+ * @param {Object} profile - Entry of ROUTING_PROFILES
+ * @returns {Object|null} {id, distance (m)}, or null if no road is within MAX_SNAP_DISTANCE
+ */
+function snapToGraph(graph, { lat, lng }, profile) {
+  const [x, y] = graph.toXY(lat, lng);
+  let best = null;
+
+  nearbyInGrid(graph.nodeGrid, x, y, NODE_CELL_SIZE, MAX_SNAP_DISTANCE).forEach(id => {
+    const node = graph.nodes[id];
+    const distance = Math.hypot(node.x - x, node.y - y);
+    if (distance <= MAX_SNAP_DISTANCE && (!best || distance < best.distance) &&
+        graph.edges[id].some(edge => edge.highway in profile.speeds)) {
+      best = { id, distance };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Build a lookup of crime risk at a projected point
+ * @param {Object} graph - Road graph (for its projection)
+ * @param {Array} riskPoints - [{lat, lng, severity}]
+ * @returns {Function} (x, y) => risk
+ */
+function createRiskLookup(graph, riskPoints) {
+  const grid = new Map();
+  riskPoints.forEach(({ lat, lng, severity }) => {
+    const [x, y] = graph.toXY(lat, lng);
+    addToGrid(grid, x, y, RISK_CELL_SIZE, { x, y, severity });
+  });
+
+  return (x, y) => nearbyInGrid(grid, x, y, RISK_CELL_SIZE, RISK_RADIUS).reduce((risk, crime) => {
+    const distance = Math.hypot(crime.x - x, crime.y - y);
+    return distance <= RISK_RADIUS ? risk + crime.severity * Math.exp(-distance / RISK_DECAY) : risk;
+  }, 0);
+}
+
+/**
+ * Find the cheapest route between two points with A*
+ * @param {Object} graph - Road graph from buildRoadGraph
+ * @param {Object} start - {lat, lng}
+ * @param {Object} end - {lat, lng}
+ * @param {Object} [options] - {profile (key of ROUTING_PROFILES), riskPoints ([{lat, lng, severity}]), riskWeight (default 1)}
+ * @returns {Object|null} {coordinates: [[lng, lat]], distance (m), duration (s)}, or null if the points are not connected
+ * @throws {Error} If a point is not within MAX_SNAP_DISTANCE of a usable road
+ */
+export function findRoute(graph, start, end, { profile = 'driving-car', riskPoints = [], riskWeight = 1 } = {}) {
+  const spec = ROUTING_PROFILES[profile];
+  if (!spec) {
+    throw new Error(`Unknown routing profile: ${profile}`);
+  }
+
+  const from = snapToGraph(graph, start, spec);
+  const to = snapToGraph(graph, end, spec);
+  if (!from || !to) {
+    throw new Error('Start or end point is outside the road graph');
+  }
+
+  const { nodes, edges } = graph;
+  const goal = nodes[to.id];
+  const riskAt = riskPoints.length > 0 && riskWeight > 0 ? createRiskLookup(graph, riskPoints) : null;
+  const riskFactors = new Map();
+
+  const cost = new Float64Array(nodes.length).fill(Infinity);
+  const previous = new Int32Array(nodes.length).fill(-1);
+  const previousEdge = new Array(nodes.length);
+  const closed = new Uint8Array(nodes.length);
+  const open = new MinHeap();
+
+  cost[from.id] = 0;
+  open.push(Math.hypot(goal.x - nodes[from.id].x, goal.y - nodes[from.id].y), from.id);
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === to.id) break;
+    if (closed[current]) continue;
+    closed[current] = 1;
+
+    edges[current].forEach(edge => {
+      if (!(edge.highway in spec.speeds) || (edge.against && spec.oneway) || closed[edge.to]) {
+        return;
+      }
+
+      let factor = 1;
+      if (riskAt) {
+        // Both directions of a segment share its risk, keyed by its endpoints
+        const key = current < edge.to ? `${current}:${edge.to}` : `${edge.to}:${current}`;
+        factor = riskFactors.get(key);
+        if (factor === undefined) {
+          const next = nodes[edge.to];
+          const risk = riskAt((nodes[current].x + next.x) / 2, (nodes[current].y + next.y) / 2);
+          factor = 1 + riskWeight * risk / RISK_REFERENCE;
+          riskFactors.set(key, factor);
+        }
+      }
+
+      const candidate = cost[current] + edge.length * factor;
+      if (candidate < cost[edge.to]) {
+        cost[edge.to] = candidate;
+        previous[edge.to] = current;
+        previousEdge[edge.to] = edge;
+        const next = nodes[edge.to];
+        open.push(candidate + Math.hypot(goal.x - next.x, goal.y - next.y), edge.to);
+      }
+    });
+  }
+
+  if (from.id !== to.id && previous[to.id] === -1) {
+    return null;
+  }
+
+  const path = [];
+  let distance = from.distance + to.distance;
+  let duration = 0;
+  for (let id = to.id; id !== from.id; id = previous[id]) {
+    const edge = previousEdge[id];
+    distance += edge.length;
+    duration += edge.length / (spec.speeds[edge.highway] / 3.6);
+    path.push(id);
+  }
+  path.push(from.id);
+  path.reverse();
+
+  // The route runs from the exact start to the exact end, not just between the snapped nodes
+  const coordinates = path.map(id => [nodes[id].lng, nodes[id].lat]);
+  if (from.distance > 0) coordinates.unshift([start.lng, start.lat]);
+  if (to.distance > 0) coordinates.push([end.lng, end.lat]);
+
+  return { coordinates, distance, duration };
+}
+
+export default {
+  ROUTING_PROFILES,
+  buildRoadGraph,
+  loadRoadGraph,
+  findRoute
+};
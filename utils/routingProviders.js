@@ -0,0 +1,575 @@
+/**
+ * Routing providers behind calculateSafestPath. A provider is an object
+ *   {
+ *     name,
+ *     isAvailable(),   // whether it can route right now
+ *     init(),          // optional; called once at startup
+ *     route(start, end, { avoidAreas, riskPoints, mode }),
+ *     alternatives(start, end, { riskPoints, mode, count })   // optional
+ *   }
+ * whose `route` resolves to { coordinates: [[lng, lat]], distance (m), duration (s) }
+ * and rejects if it cannot route between the points. `avoidAreas` are GeoJSON
+ * polygons to steer around and `riskPoints` ({lat, lng, severity}) are the
+ * crimes behind them; a provider uses whichever it supports. Both are empty
+ * when the plain shortest route is wanted. `mode` is the travel mode
+ * ('foot-walking', 'cycling-regular' or 'driving-car', the default).
+ * `alternatives` resolves to up to `count` distinct routes, best first.
+
+ *
+ * Providers are tried in ROUTING_PROVIDERS order (default `ors,local`):
+ *   ors    OpenRouteService directions API (needs ORS_API_KEY)
+ *   local  A* over the road graph in ROAD_GRAPH_PATH (see roadGraph.js)
+ */
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { loadRoadGraph, findRoute } from './roadGraph.js';
+
+dotenv.config();
+
+const ORS_API_KEY = process.env.ORS_API_KEY;
+const ORS_API_URL = 'https://api.openrouteservice.org/v2/directions';
+
+// Most alternative routes OpenRouteService returns for one request
+const ORS_MAX_ALTERNATIVES = 3;
+
+// GeoJSON road extract for the local provider
+const ROAD_GRAPH_PATH = process.env.ROAD_GRAPH_PATH;
+
+// Risk weights the local provider routes with to offer alternatives: the
+// shortest route first, then ones trading more distance for less crime risk
+const LOCAL_ALTERNATIVE_RISK_WEIGHTS = [0, 1, 3, 8];
+
+/**
+ * Get route using OpenRouteService API with avoid_areas parameter
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Object} end - Ending point {lat, lng}
+ * @param {Array} avoidAreas - GeoJSON polygons of areas to avoid
+ * @param {string} mode - ORS profile, e.g. 'foot-walking'
+ * @returns {Promise<Object>} Route information
+ */
+async function getRouteAvoidingAreas(start, end, avoidAreas, mode) {
+  try {
+    console.log(`Fetching ${mode} route from OpenRouteService API with ${avoidAreas.length} avoid areas...`);
+    
+    // Format coordinates for OpenRouteService API
+    const coordinates = [
+      [start.lng, start.lat],
+      [end.lng, end.lat]
+    ];
+    
+    // Request body for OpenRouteService API
+    const requestBody = {
+      coordinates: coordinates,
+      format: 'geojson',
+      options: {},
+      preference: "recommended" // Use recommended for better results
+    };
+
+    // Highways and tollways only exist for the driving profiles
+    if (mode === 'driving-car') {
+      requestBody.options.avoid_features = ["highways", "tollways"];
+    }
+    
+    // Add avoid_polygons if we have areas to avoid
+    if (avoidAreas.length > 0) {
+      // OpenRouteService expects avoid_polygons as a GeoJSON object directly in the options
+      requestBody.options.avoid_polygons = {
+        type: "MultiPolygon",
+        coordinates: avoidAreas.map(area => area.geometry.coordinates)
+      };
+    }
+    
+    // Call the OpenRouteService API
+    const response = await axios({
+      method: 'POST',
+      url: `${ORS_API_URL}/${mode}/geojson`,
+      headers: {
+        'Accept': 'application/json, application/geo+json, application/gpx+xml',
+        'Authorization': ORS_API_KEY,
+        'Content-Type': 'application/json; charset=utf-8'
+      },
+      data: requestBody
+    });
+    
+    if (!response.data || !response.data.features || response.data.features.length === 0) {
+      console.warn('No routes found in API response, falling back to standard route.');
+      return await getRouteWithoutAvoidance(start, end, mode);
+    }
+    
+    // Extract route from the response
+    const feature = response.data.features[0];
+    return {
+      coordinates: feature.geometry.coordinates,
+      distance: feature.properties.summary.distance,
+      duration: feature.properties.summary.duration
+    };
+  } catch (error) {
+    console.error('Error fetching route with avoid_areas:', error);
+    
+    if (error.response) {
+      console.error('API response error:', error.response.data);
+    }
+    
+    console.log('Falling back to standard route without avoid_areas...');
+    return getRouteWithoutAvoidance(start, end, mode);
+  }
+}
+
+/**
+ * Get the recommended route and its alternatives in one request
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Object} end - Ending point {lat, lng}
+ * @param {string} mode - ORS profile, e.g. 'foot-walking'
+ * @param {number} count - Routes wanted (ORS returns at most 3)
+ * @returns {Promise<Array>} Routes {coordinates, distance, duration}, recommended first
+ */
+async function getAlternativeRoutes(start, end, mode, count) {
+  console.log(`Fetching up to ${count} ${mode} routes from OpenRouteService API...`);
+  
+  const response = await axios({
+    method: 'POST',
+    url: `${ORS_API_URL}/${mode}/geojson`,
+    headers: {
+      'Accept': 'application/json, application/geo+json',
+      'Authorization': ORS_API_KEY,
+      'Content-Type': 'application/json; charset=utf-8'
+    },
+    data: {
+      coordinates: [
+        [start.lng, start.lat],
+        [end.lng, end.lat]
+      ],
+      preference: "recommended",
+      instructions: false,
+      alternative_routes: {
+        target_count: Math.min(count, ORS_MAX_ALTERNATIVES),
+        share_factor: 0.6, // alternatives may share at most 60% of the recommended route
+        weight_factor: 1.6 // and cost at most 60% more
+      }
+    },
+    timeout: 15000
+  });
+  
+  const features = response.data?.features || [];
+  if (features.length === 0) {
+    throw new Error('No routes found in API response');
+  }
+  
+  return features.map(feature => ({
+    coordinates: feature.geometry.coordinates,
+    distance: feature.properties.summary.distance,
+    duration: feature.properties.summary.duration
+  }));
+}
+
+/**
+ * Get route without avoid areas
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Object} end - Ending point {lat, lng}
+ * @param {string} mode - ORS profile, e.g. 'foot-walking'
+ * @returns {Promise<Object>} Route information
+ */
+async function getRouteWithoutAvoidance(start, end, mode) {
+  try {
+    console.log(`Fetching standard ${mode} route from OpenRouteService API...`);
+    console.log(`Route from ${start.lat},${start.lng} to ${end.lat},${end.lng}`);
+    
+    // Validate coordinates first
+    if (!validateCoordinates(start.lat, start.lng) || !validateCoordinates(end.lat, end.lng)) {
+      throw new Error('Invalid coordinates provided for routing');
+    }
+    
+    // Format coordinates for OpenRouteService API - [longitude, latitude] format!
+    const coordinates = [
+      [start.lng, start.lat],
+      [end.lng, end.lat]
+    ];
+    
+    // Request body for OpenRouteService API
+    const requestBody = {
+      coordinates: coordinates,
+      format: 'geojson',
+      preference: "recommended", // Use recommended for better results
+      instructions: false // Optional, simplifies the response
+    };
+    
+    console.log('Request payload:', JSON.stringify(requestBody, null, 2));
+    
+    // Add delay to avoid rate limiting
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Call the OpenRouteService API with retries
+    let retries = 3;
+    let response;
+    
+    while (retries > 0) {
+      try {
+        response = await axios({
+          method: 'POST',
+          url: `${ORS_API_URL}/${mode}/geojson`,
+          headers: {
+            'Accept': 'application/json, application/geo+json',
+            'Authorization': ORS_API_KEY,
+            'Content-Type': 'application/json; charset=utf-8'
+          },
+          data: requestBody,
+          timeout: 15000 // 15 second timeout
+        });
+        
+        console.log('API response status:', response.status);
+        break;
+      } catch (err) {
+        retries--;
+        const errorMessage = err.response?.data?.error?.message || err.message;
+        console.error(`API request failed (${retries} retries left): ${errorMessage}`);
+        
+        if (err.response?.data) {
+          console.error('Response data:', JSON.stringify(err.response.data, null, 2));
+        }
+        
+        if (retries === 0) throw err;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+    
+    if (!response.data || !response.data.features || response.data.features.length === 0) {
+      console.error('API response format unexpected:', JSON.stringify(response.data, null, 2));
+      throw new Error('No routes found in API response');
+    }
+    
+    // Extract route from the response
+    const feature = response.data.features[0];
+    
+    // Validate the response has the expected structure
+    if (!feature.geometry?.coordinates || !feature.properties?.summary) {
+      console.error('Invalid route data structure:', JSON.stringify(feature, null, 2));
+      throw new Error('Invalid route data received from API');
+    }
+    
+    return {
+      coordinates: feature.geometry.coordinates,
+      distance: feature.properties.summary.distance,
+      duration: feature.properties.summary.duration
+    };
+  } catch (error) {
+    console.error('Error fetching standard route:', error.message);
+    
+    if (error.response && error.response.data) {
+      console.error('API response error:', JSON.stringify(error.response.data, null, 2));
+    }
+    
+    // Try alternative API endpoint format if the first one failed
+    try {
+      console.log('Trying alternative API endpoint format...');
+      return await getRouteUsingAlternativeEndpoint(start, end, mode);
+    } catch (altError) {
+      console.error('Alternative endpoint also failed:', altError.message);
+      // Let the next routing provider try
+      throw new Error(`Failed to get any route: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Try an alternative endpoint format for OpenRouteService
+ * @param {Object} start - Starting point {lat, lng}
+ * @param {Object} end - Ending point {lat, lng}
+ * @param {string} mode - ORS profile, e.g. 'foot-walking'
+ * @returns {Promise<Object>} Route information
+ */
+async function getRouteUsingAlternativeEndpoint(start, end, mode) {
+  try {
+    console.log('Trying alternative API endpoint format...');
+    
+    // Format coordinates for OpenRouteService API
+    const coordinates = [
+      [start.lng, start.lat],
+      [end.lng, end.lat]
+    ];
+    
+    // Request body for OpenRouteService API
+    const requestBody = {
+      coordinates: coordinates,
+      instructions: false,
+      preference: "recommended"
+    };
+    
+    // Call the OpenRouteService API
+    const response = await axios({
+      method: 'POST',
+      url: `${ORS_API_URL}/${mode}`,  // Different endpoint format
+      headers: {
+        'Accept': 'application/json',
+        'Authorization': ORS_API_KEY,
+        'Content-Type': 'application/json; charset=utf-8'
+      },
+      data: requestBody,
+      timeout: 15000
+    });
+    
+    if (!response.data || !response.data.routes || response.data.routes.length === 0) {
+      throw new Error('No routes found in alternative API response');
+    }
+    
+    // Extract route from the response (different structure)
+    const route = response.data.routes[0];
+    return {
+      coordinates: route.geometry.coordinates || decodeGeometry(route.geometry),
+      distance: route.summary.distance,
+      duration: route.summary.duration
+    };
+  } catch (error) {
+    console.error('Error with alternative endpoint:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate coordinates are within valid ranges
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean} Whether coordinates are valid
+ */
+function validateCoordinates(lat, lng) {
+  // Check if coordinates are numbers and in valid ranges
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return false;
+  }
+  
+  const isValid = lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+  if (!isValid) {
+    console.error(`Invalid coordinates: lat=${lat}, lng=${lng}`);
+  }
+  return isValid;
+}
+
+/**
+ * Decode an encoded polyline (precision 5), the geometry format ORS uses
+ * unless GeoJSON is requested
+ * @param {string} encodedGeometry - Encoded polyline
+ * @returns {Array} [lng, lat] coordinate pairs
+ * @throws {Error} If the geometry is not a valid encoded polyline
+ */
+export function decodeGeometry(encodedGeometry) {
+  if (typeof encodedGeometry !== 'string') {
+    throw new Error('Route geometry is neither coordinates nor an encoded polyline');
+  }
+
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  // Each value is a zigzag-encoded delta split into 5-bit chunks, offset by 63
+  const nextDelta = () => {
+    let result = 0;
+    let shift = 0;
+    let chunk;
+    do {
+      if (index >= encodedGeometry.length) {
+        throw new Error('Encoded polyline ends mid-value');
+      }
+      chunk = encodedGeometry.charCodeAt(index++) - 63;
+      if (chunk < 0 || chunk > 63) {
+        throw new Error('Encoded polyline contains an invalid character');
+      }
+      result |= (chunk & 0x1f) << shift;
+      shift += 5;
+    } while (chunk >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encodedGeometry.length) {
+    lat += nextDelta();
+    lng += nextDelta();
+    coordinates.push([lng / 1e5, lat / 1e5]);
+  }
+
+  return coordinates;
+}
+
+/**
+ * Whether two routes follow the same points
+ * @param {Object} a - Route with coordinates
+ * @param {Object} b - Route with coordinates
+ * @returns {boolean} True if the routes are identical
+ */
+export function isSameRoute(a, b) {
+  return a.coordinates.length === b.coordinates.length &&
+    a.coordinates.every(([lng, lat], i) => lng === b.coordinates[i][0] && lat === b.coordinates[i][1]);
+}
+
+/** OpenRouteService, using avoid_polygons for the safer route */
+export const orsProvider = {
+  name: 'ors',
+  isAvailable: () => Boolean(ORS_API_KEY),
+  route: (start, end, { avoidAreas = [], mode = 'driving-car' } = {}) => avoidAreas.length > 0
+    ? getRouteAvoidingAreas(start, end, avoidAreas, mode)
+    : getRouteWithoutAvoidance(start, end, mode),
+  async alternatives(start, end, { mode = 'driving-car', count = 1 } = {}) {
+    try {
+      return await getAlternativeRoutes(start, end, mode, count);
+    } catch (error) {
+      // e.g. routes too long for alternatives; the single route is still useful
+      console.error('Alternative routes request failed:', error.message);
+      return [await getRouteWithoutAvoidance(start, end, mode)];
+    }
+  }
+};
+
+let roadGraph = null;
+
+/** Offline A* over the local road graph, costing each road by the crime risk around it */
+export const localProvider = {
+  name: 'local',
+  isAvailable: () => roadGraph !== null,
+  async init() {
+    if (!ROAD_GRAPH_PATH) {
+      return;
+    }
+    const startedAt = Date.now();
+    roadGraph = await loadRoadGraph(ROAD_GRAPH_PATH);
+    console.log(`Loaded road graph with ${roadGraph.nodes.length} nodes from ${ROAD_GRAPH_PATH} in ${Date.now() - startedAt} ms`);
+  },
+  async route(start, end, { riskPoints = [], mode = 'driving-car' } = {}) {
+    const route = findRoute(roadGraph, start, end, { profile: mode, riskPoints });
+    if (!route) {
+      throw new Error('Points are not connected in the road graph');
+    }
+    return route;
+  },
+  async alternatives(start, end, { riskPoints = [], mode = 'driving-car', count = 1 } = {}) {
+    const routes = [];
+    for (const riskWeight of LOCAL_ALTERNATIVE_RISK_WEIGHTS) {
+      if (routes.length >= count) break;
+      const route = findRoute(roadGraph, start, end, { profile: mode, riskPoints, riskWeight });
+      if (!route) {
+        throw new Error('Points are not connected in the road graph');
+      }
+      if (!routes.some(existing => isSameRoute(existing, route))) {
+        routes.push(route);
+      }
+    }
+    return routes;
+  }
+};
+
+const providers = new Map([orsProvider, localProvider].map(provider => [provider.name, provider]));
+
+/**
+ * Add a routing provider (or replace one with the same name). It is used
+ * once its name is listed in ROUTING_PROVIDERS.
+ * @param {Object} provider - {name, isAvailable, route, init?}
+ */
+export function registerRoutingProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Provider names in the order they should be tried
+ * @returns {Array} Names from ROUTING_PROVIDERS
+ */
+function configuredProviderNames() {
+  return (process.env.ROUTING_PROVIDERS || 'ors,local')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Configured providers that can route right now, in preference order
+ * @returns {Array} Providers
+ */
+export function getRoutingProviders() {
+  return configuredProviderNames()
+    .map(name => providers.get(name))
+    .filter(provider => provider && provider.isAvailable());
+}
+
+/**
+ * Run each configured provider's startup work (e.g. loading the road graph).
+ * Failures are logged and leave that provider unavailable.
+ * @returns {Promise<void>}
+ */
+export async function initRoutingProviders() {
+  await Promise.all(configuredProviderNames().map(async name => {
+    const provider = providers.get(name);
+    if (!provider) {
+      console.error(`Unknown routing provider "${name}" in ROUTING_PROVIDERS`);
+      return;
+    }
+    try {
+      await provider.init?.();
+    } catch (error) {
+      console.error(`Failed to initialise routing provider "${name}":`, error.message);
+    }
+  }));
+}
+
+/**
+ * Run a request against each provider in turn until one succeeds
+ * @param {Array} candidates - Providers, in order
+ * @param {Function} request - async provider => result
+ * @returns {Promise<*>} The first successful result
+ * @throws {Error} The last provider's error if none succeeds
+ */
+async function firstSuccessful(candidates, request) {
+  let lastError = new Error('No routing provider is available');
+
+  for (const provider of candidates) {
+    try {
+      return await request(provider);
+    } catch (error) {
+      console.error(`Routing provider "${provider.name}" failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Route with the first provider that succeeds
+ * @param {Object} start - {lat, lng}
+ * @param {Object} end - {lat, lng}
+ * @param {Object} [options] - {avoidAreas, riskPoints, mode}
+ * @param {Array} [candidates] - Providers to try, in order (default: getRoutingProviders())
+ * @returns {Promise<Object>} Route with the `provider` name that produced it
+ * @throws {Error} The last provider's error if none succeeds
+ */
+export async function routeWithProviders(start, end, options = {}, candidates = getRoutingProviders()) {
+  return firstSuccessful(candidates, async provider => ({
+    ...await provider.route(start, end, options),
+    provider: provider.name
+  }));
+}
+
+/**
+ * Up to `count` distinct routes from the first provider that succeeds.
+ * Providers without `alternatives` give their single shortest route.
+ * @param {Object} start - {lat, lng}
+ * @param {Object} end - {lat, lng}
+ * @param {Object} [options] - {riskPoints, mode, count (default 1)}
+ * @param {Array} [candidates] - Providers to try, in order (default: getRoutingProviders())
+ * @returns {Promise<Array>} Routes, each with the `provider` name
+ * @throws {Error} The last provider's error if none succeeds
+ */
+export async function routeAlternativesWithProviders(start, end, options = {}, candidates = getRoutingProviders()) {
+  return firstSuccessful(candidates, async provider => {
+    const routes = (options.count ?? 1) > 1 && provider.alternatives
+      ? await provider.alternatives(start, end, options)
+      : [await provider.route(start, end, { mode: options.mode })];
+    return routes.map(route => ({ ...route, provider: provider.name }));
+  });
+}
+
+export default {
+  orsProvider,
+  localProvider,
+  registerRoutingProvider,
+  getRoutingProviders,
+  initRoutingProviders,
+  routeWithProviders,
+  routeAlternativesWithProviders,
+  decodeGeometry
+};
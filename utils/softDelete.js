@@ -0,0 +1,80 @@
+/**
+ * Purging of soft-deleted Supabase rows.
+ *
+ * Rows are soft-deleted by setting `deleted_at` and purged (deleted for good)
+ * once that is older than the retention period. Criminals and victims can
+ * still be linked to crimes through crime_criminal / crime_victim; purging
+ * them would either fail on the foreign key or erase who was involved in the
+ * crime, so linked rows are kept (still soft-deleted and hidden) and reported.
+ *
+ * Each purgeable table is described by a spec:
+ *   { table: 'criminals', idField: 'criminal_id', links: [{ table: 'crime_criminal', column: 'criminal_id' }] }
+ */
+import { fromSupabaseError } from './errors.js';
+
+export const PURGEABLE_TABLES = {
+  criminals: { table: 'criminals', idField: 'criminal_id', links: [{ table: 'crime_criminal', column: 'criminal_id' }] },
+  victims: { table: 'victims', idField: 'victim_id', links: [{ table: 'crime_victim', column: 'victim_id' }] },
+  // Arrests keep their row when the station goes (station_id is set to null)
+  stations: { table: 'stations', idField: 'station_id', links: [] }
+};
+
+/**
+ * Permanently delete rows soft-deleted before `cutoff` that nothing links to
+ * @param {Object} supabase - Supabase client
+ * @param {Object} spec - Entry of PURGEABLE_TABLES
+ * @param {Date} cutoff - Rows deleted before this are past retention
+ * @returns {Promise<Object>} {purged: deleted rows, kept: IDs past retention still linked to crimes}
+ */
+export async function purgeSoftDeleted(supabase, { table, idField, links }, cutoff) {
+  const { data: expired, error: expiredError } = await supabase
+    .from(table)
+    .select(idField)
+    .lt('deleted_at', cutoff.toISOString());
+
+  if (expiredError) {
+    throw fromSupabaseError(expiredError, `Failed to purge ${table}`);
+  }
+
+  const ids = expired.map(row => row[idField]);
+  if (ids.length === 0) {
+    return { purged: [], kept: [] };
+  }
+
+  const linked = new Set();
+  for (const link of links) {
+    const { data, error } = await supabase
+      .from(link.table)
+      .select(link.column)
+      .in(link.column, ids);
+
+    if (error) {
+      throw fromSupabaseError(error, `Failed to purge ${table}`);
+    }
+    data.forEach(row => linked.add(row[link.column]));
+  }
+
+  const purgeable = ids.filter(id => !linked.has(id));
+  if (purgeable.length === 0) {
+    return { purged: [], kept: [...linked] };
+  }
+
+  // A link added since the check above fails the delete on its foreign key (409)
+  const { data, error } = await supabase
+    .from(table)
+    .delete()
+    .in(idField, purgeable)
+    .lt('deleted_at', cutoff.toISOString())
+    .select();
+
+  if (error) {
+    throw fromSupabaseError(error, `Failed to purge ${table}`);
+  }
+
+  return { purged: data, kept: [...linked] };
+}
+
+export default {
+  PURGEABLE_TABLES,
+  purgeSoftDeleted
+};
@@ -0,0 +1,81 @@
+/**
+ * Spatial query filters shared by /api/crime-locations and /api/stations:
+ *   bbox=minLng,minLat,maxLng,maxLat   inside a bounding box
+ *   near=lat,lng&radius=metres         within `radius` of a point, nearest first
+ * Both may be combined; without `radius`, `near` only orders by distance.
+ */
+import { ValidationError } from './errors.js';
+
+// Largest `radius` accepted by the spatial filters, in metres
+export const MAX_SEARCH_RADIUS_M = 50000;
+
+const DECIMAL_PATTERN = '-?\\d+(\\.\\d+)?';
+
+// Spatial filters shared by /api/crime-locations and /api/stations (see parseSpatialFilters)
+export const SPATIAL_QUERY_PROPERTIES = {
+  bbox: { type: 'string', pattern: `^${DECIMAL_PATTERN}(,${DECIMAL_PATTERN}){3}$` },
+  near: { type: 'string', pattern: `^${DECIMAL_PATTERN},${DECIMAL_PATTERN}$` },
+  radius: { type: 'number', exclusiveMinimum: 0, maximum: MAX_SEARCH_RADIUS_M }
+};
+
+/**
+ * Turn `bbox=minLng,minLat,maxLng,maxLat`, `near=lat,lng` and `radius=metres`
+ * into arguments for the *_search RPCs
+ * @param {Object} query - Validated req.query
+ * @returns {Object|null} RPC arguments, or null if no spatial filter was given
+ */
+export function parseSpatialFilters(query) {
+  const { bbox, near, radius } = query;
+  if (!bbox && !near && radius === undefined) {
+    return null;
+  }
+
+  const args = {};
+  const details = [];
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox.split(',').map(Number);
+    if ([minLng, maxLng].some(lng => lng < -180 || lng > 180) || [minLat, maxLat].some(lat => lat < -90 || lat > 90)) {
+      details.push({ location: 'query', field: 'bbox', message: 'must be minLng,minLat,maxLng,maxLat within valid coordinate ranges' });
+    } else if (minLng >= maxLng || minLat >= maxLat) {
+      details.push({ location: 'query', field: 'bbox', message: 'min values must be below max values' });
+    }
+    Object.assign(args, { p_min_lng: minLng, p_min_lat: minLat, p_max_lng: maxLng, p_max_lat: maxLat });
+  }
+
+  if (near) {
+    const [lat, lng] = near.split(',').map(Number);
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      details.push({ location: 'query', field: 'near', message: 'must be lat,lng within valid coordinate ranges' });
+    }
+    Object.assign(args, { p_lat: lat, p_lng: lng });
+  }
+
+  if (radius !== undefined) {
+    if (!near) {
+      details.push({ location: 'query', field: 'radius', message: 'requires near' });
+    }
+    args.p_radius_m = radius;
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError('Validation failed', details);
+  }
+  return args;
+}
+
+/**
+ * Round a distance from a *_search RPC to decimetres
+ * @param {number|null} meters - Distance in metres
+ * @returns {number|null} Rounded distance
+ */
+export function roundDistance(meters) {
+  return meters === null ? null : Number(meters.toFixed(1));
+}
+
+export default {
+  MAX_SEARCH_RADIUS_M,
+  SPATIAL_QUERY_PROPERTIES,
+  parseSpatialFilters,
+  roundDistance
+};
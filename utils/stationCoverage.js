@@ -0,0 +1,51 @@
+/**
+ * Shaping of station search and jurisdiction RPC rows for /api/stations.
+ * Jurisdictions and nearest-station assignment are computed in Postgres.
+ */
+import { roundDistance } from './spatialFilters.js';
+
+/**
+ * Convert station_jurisdictions rows to GeoJSON Features
+ * @param {Array} rows - [{station_id, station_name, geometry, crimes}]
+ * @returns {Array} Features with the station's cell as geometry and id station_id
+ */
+export function toJurisdictionFeatures(rows) {
+  return rows.map(({ geometry, ...properties }) => ({
+    type: 'Feature',
+    id: properties.station_id,
+    properties,
+    geometry
+  }));
+}
+
+/**
+ * Flatten stations_search rows to stations with their straight-line distance
+ * @param {Array} rows - [{station, distance_m}], nearest first
+ * @returns {Array} Stations with distance_m rounded to decimetres
+ */
+export function toNearestStations(rows) {
+  return rows.map(({ station, distance_m }) => ({
+    ...station,
+    distance_m: roundDistance(distance_m)
+  }));
+}
+
+/**
+ * Add road distance and driving time to stations
+ * @param {Array} stations - From toNearestStations
+ * @param {Array} roadDistances - [{distance, duration}] from getRoadDistances, in station order
+ * @returns {Array} Stations with road_distance_m and eta_seconds (null if unreachable)
+ */
+export function withRoadDistances(stations, roadDistances) {
+  return stations.map((station, i) => ({
+    ...station,
+    road_distance_m: roadDistances[i].distance,
+    eta_seconds: roadDistances[i].duration
+  }));
+}
+
+export default {
+  toJurisdictionFeatures,
+  toNearestStations,
+  withRoadDistances
+};
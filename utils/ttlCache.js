@@ -0,0 +1,64 @@
+/**
+ * In-memory cache for one value that is expensive to load, e.g. the crime
+ * type catalogue. The value is reloaded once it is older than the TTL or
+ * after invalidate(); concurrent callers share a single load.
+ */
+
+/**
+ * Create a cache around a loader
+ * @param {Function} load - () => Promise resolving to the value
+ * @param {number} ttlMs - How long a loaded value is reused
+ * @returns {Object} {get, invalidate}
+ */
+export function createTtlCache(load, ttlMs) {
+  let value = null;
+  let loadedAt = 0;
+  let pending = null;
+  // Bumped by invalidate() so loads that started before it are not cached
+  let generation = 0;
+
+  /**
+   * Return the cached value, loading it if it is missing or expired
+   * @returns {Promise<*>} Value
+   */
+  function get() {
+    if (value !== null && Date.now() - loadedAt < ttlMs) {
+      return Promise.resolve(value);
+    }
+
+    if (!pending) {
+      const startedIn = generation;
+      const loading = load()
+        .then(loaded => {
+          if (startedIn === generation) {
+            value = loaded;
+            loadedAt = Date.now();
+          }
+          return loaded;
+        })
+        .finally(() => {
+          if (pending === loading) {
+            pending = null;
+          }
+        });
+      pending = loading;
+    }
+
+    return pending;
+  }
+
+  /**
+   * Drop the cached value and any load in flight, so the next get() loads afresh
+   */
+  function invalidate() {
+    generation++;
+    value = null;
+    pending = null;
+  }
+
+  return { get, invalidate };
+}
+
+export default {
+  createTtlCache
+};